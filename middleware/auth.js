@@ -1,7 +1,38 @@
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
+const { verifyAccessToken } = require("../utils/authTokens");
+const { verifyApiKey } = require("../utils/apiKeys");
+const { resolveUserPermissions } = require("../utils/permissions");
+
+// Routers that accept X-API-Key; everything else needs a user session
+const API_KEY_ROUTES = ["/api/pitch-decks", "/api/thesis"];
+
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!API_KEY_ROUTES.includes(req.baseUrl)) {
+    return res
+      .status(403)
+      .json({ message: "API keys cannot be used for this endpoint" });
+  }
+
+  try {
+    // Requests act as the key's creator, limited to the key's scopes
+    const { apiKey, user, permissions } = await verifyApiKey(key);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.authSession = null;
+    req.permissions = permissions;
+    next();
+  } catch (error) {
+    console.error("API key auth error:", error.message);
+    res.status(401).json({ message: "API key is not valid" });
+  }
+};
 
 const authMiddleware = async (req, res, next) => {
+  const apiKey = req.header("X-API-Key");
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
 
@@ -11,14 +42,12 @@ const authMiddleware = async (req, res, next) => {
         .json({ message: "No token, authorization denied" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).populate("organization");
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: "Token is not valid" });
-    }
+    // Rejects expired tokens, revoked sessions and inactive users
+    const { user, authSession } = await verifyAccessToken(token);
 
     req.user = user;
+    req.authSession = authSession;
+    req.permissions = await resolveUserPermissions(user);
     next();
   } catch (error) {
     console.error("Auth middleware error:", error);
@@ -40,6 +69,26 @@ const requireRole = (roles) => {
   };
 };
 
+// Require every listed permission (e.g. requirePermission("deck:upload"))
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+
+    const granted = req.permissions || [];
+    const missing = permissions.filter((p) => !granted.includes(p));
+    if (missing.length > 0) {
+      return res
+        .status(403)
+        .json({ message: "Insufficient permissions", missing });
+    }
+
+    next();
+  };
+};
+
+// Role-based shortcuts kept for backwards compatibility; prefer requirePermission
 const requireSA = requireRole(["SA"]);
 const requireAnalyst = requireRole(["ANALYST"]);
 const requireSAOrAnalyst = requireRole(["SA", "ANALYST"]);
@@ -47,6 +96,7 @@ const requireSAOrAnalyst = requireRole(["SA", "ANALYST"]);
 module.exports = {
   authMiddleware,
   requireRole,
+  requirePermission,
   requireSA,
   requireAnalyst,
   requireSAOrAnalyst,
@@ -1,26 +1,23 @@
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
+const { verifyAccessToken } = require("../utils/authTokens");
+const { resolveUserPermissions } = require("../utils/permissions");
 
 const websocketAuth = async (socket, next) => {
   try {
     // Get token from handshake auth or query
-    const token =
-      socket.handshake.auth?.token || socket.handshake.query?.token;
+    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
 
     if (!token) {
       return next(new Error("Authentication error: No token provided"));
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).populate("organization");
-
-    if (!user || !user.isActive) {
-      return next(new Error("Authentication error: Invalid token"));
-    }
+    // Verify token (also rejects revoked sessions and inactive users);
+    // user.organization/role are those of the token's organization
+    const { user, authSession } = await verifyAccessToken(token);
 
     // Attach user to socket
     socket.user = user;
+    socket.authSessionId = authSession._id.toString();
+    socket.permissions = await resolveUserPermissions(user);
     socket.userId = user._id.toString();
     socket.organizationId = user.organization._id.toString();
 
@@ -32,4 +29,3 @@ const websocketAuth = async (socket, next) => {
 };
 
 module.exports = { websocketAuth };
-
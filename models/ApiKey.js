@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// Organization-scoped key for service integrations (sent as X-API-Key)
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // First characters of the key, shown in listings so keys can be told apart
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of the full key (raw key is only shown once, at creation)
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Permissions the key may use (see API_KEY_SCOPES in utils/permissions.js)
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Requests made with the key act on behalf of this user
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+apiKeySchema.index({ organization: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// Append-only record of security-relevant and deal activity (see utils/audit.js)
+const auditEventSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Missing for events without a known user, e.g. a failed login for an unknown email
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set when the request was authenticated with an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    // Dotted action name, e.g. "deck.upload" (see AUDIT_ACTIONS in utils/audit.js)
+    action: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: {
+        type: String,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      label: {
+        type: String,
+      },
+    },
+    // Field-level changes: { field: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for efficient queries
+auditEventSchema.index({ organization: 1, createdAt: -1 });
+auditEventSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+auditEventSchema.index({ organization: 1, action: 1, createdAt: -1 });
+auditEventSchema.index({ organization: 1, "target.id": 1, createdAt: -1 });
+
+// Events are never modified or removed once written
+function rejectMutation(next) {
+  next(new Error("Audit events are append-only"));
+}
+
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation
+);
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
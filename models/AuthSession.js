@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const authSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Organization the session is scoped to (switchable, see POST /api/auth/switch-organization)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // SHA-256 hash of the current refresh token (raw token is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the token that was rotated out, used to detect refresh token reuse
+    previousRefreshTokenHash: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "refresh_reuse",
+        "password_change",
+        "password_reset",
+        "admin",
+        "membership_revoked",
+      ],
+    },
+    metadata: {
+      ip: String,
+      userAgent: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+authSessionSchema.index({ refreshTokenHash: 1 });
+authSessionSchema.index({ previousRefreshTokenHash: 1 });
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// Let Mongo clean up sessions once their refresh token can no longer be used
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authSessionSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
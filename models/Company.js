@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// A startup the organization has met; groups its decks, supporting documents and
+// live conversations across funding rounds
+const companySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lower-case name without punctuation or legal suffixes, used for matching
+    normalizedName: String,
+    website: {
+      type: String,
+      trim: true,
+    },
+    // Host of the website without "www.", used for matching
+    domain: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    sector: {
+      type: String,
+      trim: true,
+    },
+    headquarters: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    founders: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        role: {
+          type: String,
+          trim: true,
+        },
+        email: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+        linkedinUrl: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+companySchema.index({ organization: 1, isActive: 1, name: 1 });
+companySchema.index({ organization: 1, normalizedName: 1 });
+companySchema.index({ organization: 1, domain: 1 });
+
+module.exports = mongoose.model("Company", companySchema);
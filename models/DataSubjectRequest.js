@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Personal data export/erasure request for a user or a founder (see utils/dataSubject.js)
+const dataSubjectRequestSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["EXPORT", "ERASURE"],
+      required: true,
+    },
+    subject: {
+      type: {
+        type: String,
+        enum: ["user", "founder"],
+        required: true,
+      },
+      // Platform user (staff) the request is about
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      // Name as it appears in transcripts, comments and chat (founders, or a user's display name)
+      name: {
+        type: String,
+        trim: true,
+      },
+      // Decks submitted by a founder; erasure deletes their files
+      pitchDecks: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PitchDeck",
+        },
+      ],
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "COMPLETED", "FAILED"],
+      default: "PENDING",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Records found (export) or changed (erasure) per collection
+    counts: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    completedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+dataSubjectRequestSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model("DataSubjectRequest", dataSubjectRequestSchema);
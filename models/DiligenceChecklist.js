@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// Per-deck diligence checklist built from the thesis' diligence framework
+// and the deck's fit open questions (see utils/diligenceChecklist.js)
+const diligenceChecklistSchema = new mongoose.Schema(
+  {
+    pitchDeck: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PitchDeck",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Thesis the criteria and red flags were taken from
+    thesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thesis",
+    },
+    thesisVersion: Number,
+    items: [
+      {
+        kind: {
+          type: String,
+          enum: ["criterion", "red_flag", "open_question"],
+          required: true,
+        },
+        text: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        // For red flags "satisfied" means the flag was checked and cleared
+        status: {
+          type: String,
+          enum: ["open", "satisfied", "failed", "not_applicable"],
+          default: "open",
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+        evidence: [
+          {
+            source: {
+              type: String,
+              enum: [
+                "chat_message",
+                "supporting_document",
+                "transcript_segment",
+              ],
+              required: true,
+            },
+            sourceId: {
+              type: mongoose.Schema.Types.ObjectId,
+              required: true,
+            },
+            // Short excerpt or title shown in the checklist
+            label: String,
+            addedBy: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+            },
+            addedAt: {
+              type: Date,
+              default: Date.now,
+            },
+          },
+        ],
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        updatedAt: Date,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+diligenceChecklistSchema.index({ pitchDeck: 1 }, { unique: true });
+diligenceChecklistSchema.index({ organization: 1 });
+
+module.exports = mongoose.model("DiligenceChecklist", diligenceChecklistSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// An investment vehicle of the organization; decks assigned to it are assessed against its thesis
+const fundSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Falls back to the organization's default thesis when unset
+    thesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thesis",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+fundSchema.index({ organization: 1, isActive: 1 });
+fundSchema.index({ thesis: 1 });
+
+module.exports = mongoose.model("Fund", fundSchema);
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    firstName: {
+      type: String,
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      trim: true,
+    },
+    // Built-in or custom role key, validated when the invitation is created
+    role: {
+      type: String,
+      uppercase: true,
+      default: "ANALYST",
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the emailed token (raw token is never stored)
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "ACCEPTED", "REVOKED"],
+      default: "PENDING",
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sendCount: {
+      type: Number,
+      default: 1,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ organization: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+
+invitationSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+// Remove token hash from JSON output
+invitationSchema.methods.toJSON = function () {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  invitation.isExpired = this.isExpired();
+  return invitation;
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
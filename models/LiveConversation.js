@@ -11,6 +11,11 @@ const liveConversationSchema = new mongoose.Schema(
       ref: "PitchDeck",
       required: true,
     },
+    // Inherited from the pitch deck
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+    },
     organization: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Organization",
@@ -110,6 +115,7 @@ const liveConversationSchema = new mongoose.Schema(
 
 // Indexes for efficient queries
 liveConversationSchema.index({ pitchDeck: 1, isActive: 1 });
+liveConversationSchema.index({ company: 1, isActive: 1 });
 liveConversationSchema.index({ organization: 1, status: 1 });
 liveConversationSchema.index({ createdBy: 1, createdAt: -1 });
 
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Access to an organization other than the user's primary one (User.organization/User.role)
+const membershipSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Built-in role key or custom Role.key of this organization
+    role: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+membershipSchema.index({ user: 1, organization: 1 }, { unique: true });
+membershipSchema.index({ organization: 1, isActive: 1 });
+
+module.exports = mongoose.model("Membership", membershipSchema);
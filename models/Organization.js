@@ -11,26 +11,71 @@ const organizationSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Email domain of the organization (e.g. "acme.vc"); SSO logins must match it
     domain: {
       type: String,
       trim: true,
+      lowercase: true,
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    sso: {
+      oidc: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        issuer: {
+          type: String,
+          trim: true,
+        },
+        clientId: {
+          type: String,
+          trim: true,
+        },
+        clientSecret: {
+          type: String,
+          select: false,
+        },
+        scopes: {
+          type: String,
+          default: "openid email profile",
+        },
+        // Role given to users provisioned on their first SSO login
+        defaultRole: {
+          type: String,
+          uppercase: true,
+          default: "ANALYST",
+        },
+      },
+    },
+    // Thesis for decks that are not assigned to a fund (see utils/thesisResolver.js)
+    defaultThesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thesis",
+    },
     settings: {
+      // When false, only users who can see every deck (deck:read_all) can comment
       allowAnalystComments: {
         type: Boolean,
         default: true,
       },
+      // Upload limits enforced by utils/s3Upload.js
       maxFileSize: {
         type: Number,
         default: 50 * 1024 * 1024, // 50MB
       },
+      // Deck file extensions, a subset of DECK_FILE_TYPES in utils/s3Upload.js
       allowedFileTypes: {
         type: [String],
-        default: ["pdf", "ppt", "pptx", "doc", "docx"],
+        default: ["pdf", "ppt", "pptx"],
+      },
+      // Force every user in the organization to use two-factor authentication
+      requireMfa: {
+        type: Boolean,
+        default: false,
       },
     },
   },
@@ -39,4 +84,6 @@ const organizationSchema = new mongoose.Schema(
   }
 );
 
+organizationSchema.index({ domain: 1 });
+
 module.exports = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the emailed token (raw token is never stored)
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+    metadata: {
+      requestedIp: String,
+      requestedUserAgent: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+passwordResetTokenSchema.index({ tokenHash: 1 });
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
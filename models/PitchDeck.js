@@ -46,12 +46,41 @@ const pitchDeckSchema = new mongoose.Schema(
       sectorAnalysis: mongoose.Schema.Types.Mixed,
       // Fit assessment from thesis comparison
       fitAssessment: mongoose.Schema.Types.Mixed,
+      // Sector, stage, geography, raise and ownership extracted for the rules engine
+      dealAttributes: mongoose.Schema.Types.Mixed,
+      // Deterministic per-criterion fit against the same thesis (see utils/thesisRules.js)
+      ruleAssessment: mongoose.Schema.Types.Mixed,
       analysisDate: Date,
       aiModel: {
         type: String,
         default: "sonar-pro",
       },
     },
+    // Uploaded files, oldest first; originalFileUrl/originalFileKey are the latest
+    fileVersions: [
+      {
+        version: Number,
+        fileKey: String,
+        fileUrl: String,
+        fileName: String,
+        fileSize: Number,
+        fileType: String,
+        note: String,
+        // Set when analyzing this file failed; the previous analysis stays current
+        analysisError: {
+          message: String,
+          failedAt: Date,
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     // Raw AI output (optional)
     analysisRaw: { type: String },
     // Track analysis version for iterative improvements
@@ -68,7 +97,79 @@ const pitchDeckSchema = new mongoose.Schema(
         analysisDate: Date,
         trigger: {
           type: String,
-          enum: ["initial", "user_question", "supporting_doc", "updated_deck"],
+          enum: [
+            "initial",
+            "user_question",
+            "supporting_doc",
+            "updated_deck",
+            "thesis_change",
+            "restore",
+          ],
+        },
+        // Version whose analysis was made current again (trigger "restore")
+        restoredFrom: Number,
+      },
+    ],
+    // Company the deck belongs to; groups decks of the same startup across rounds
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+    },
+    // Fund the deal is evaluated for; its thesis drives analysis.fitAssessment
+    fund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Fund",
+    },
+    // Thesis the current analysis.fitAssessment was made against
+    fitThesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thesis",
+    },
+    // Side-by-side fit assessments against other theses (latest per thesis)
+    thesisAssessments: [
+      {
+        thesis: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Thesis",
+        },
+        thesisVersion: Number,
+        fitAssessment: mongoose.Schema.Types.Mixed,
+        ruleAssessment: mongoose.Schema.Types.Mixed,
+        assessedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        assessedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Sharing beyond the uploader (see utils/deckAccess.js)
+    access: [
+      {
+        principalType: {
+          type: String,
+          enum: ["user", "team"],
+          required: true,
+        },
+        // User or Team ID depending on principalType
+        principal: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        permission: {
+          type: String,
+          enum: ["viewer", "editor"],
+          default: "viewer",
+        },
+        grantedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        grantedAt: {
+          type: Date,
+          default: Date.now,
         },
       },
     ],
@@ -96,5 +197,46 @@ const pitchDeckSchema = new mongoose.Schema(
 // Index for efficient queries
 pitchDeckSchema.index({ organization: 1, uploadedBy: 1, isActive: 1 });
 pitchDeckSchema.index({ uploadedBy: 1, status: 1 });
+pitchDeckSchema.index({ organization: 1, "access.principal": 1 });
+pitchDeckSchema.index({ company: 1, isActive: 1 });
+// Deck list: sort orders, filters and full-text search
+pitchDeckSchema.index({ organization: 1, isActive: 1, createdAt: -1, _id: -1 });
+pitchDeckSchema.index({
+  organization: 1,
+  isActive: 1,
+  "analysis.confidenceScore": -1,
+  _id: -1,
+});
+pitchDeckSchema.index({
+  organization: 1,
+  isActive: 1,
+  "analysis.ruleAssessment.score": -1,
+  _id: -1,
+});
+pitchDeckSchema.index({ organization: 1, status: 1, createdAt: -1 });
+pitchDeckSchema.index({
+  organization: 1,
+  "analysis.dealAttributes.sectors": 1,
+});
+pitchDeckSchema.index({
+  organization: 1,
+  "analysis.fitAssessment.overallFit": 1,
+});
+pitchDeckSchema.index({
+  organization: 1,
+  "analysis.ruleAssessment.verdict": 1,
+});
+pitchDeckSchema.index(
+  {
+    title: "text",
+    description: "text",
+    "analysis.summary": "text",
+    "analysis.keyPoints": "text",
+  },
+  {
+    name: "pitch_deck_text",
+    weights: { title: 10, "analysis.summary": 3 },
+  }
+);
 
 module.exports = mongoose.model("PitchDeck", pitchDeckSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Re-assessment of every deck that uses a thesis after it changed (see utils/rescore.js)
+const rescoreJobSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    thesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thesis",
+      required: true,
+    },
+    thesisVersion: Number,
+    // What changed the thesis, e.g. its changeReason
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "RUNNING", "COMPLETED", "FAILED", "CANCELLED"],
+      default: "PENDING",
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    // Decks whose overallFit changed
+    changed: {
+      type: Number,
+      default: 0,
+    },
+    // Decks that moved in or out of thesis (overallFit STRONG/PARTIAL vs. WEAK/UNKNOWN)
+    movements: [
+      {
+        pitchDeck: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PitchDeck",
+        },
+        title: String,
+        direction: {
+          type: String,
+          enum: ["in", "out"],
+        },
+        fromFit: String,
+        toFit: String,
+        fromVerdict: String,
+        toVerdict: String,
+      },
+    ],
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+rescoreJobSchema.index({ thesis: 1, createdAt: -1 });
+rescoreJobSchema.index({ organization: 1, status: 1 });
+
+module.exports = mongoose.model("RescoreJob", rescoreJobSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Organization-defined role; built-in roles live in utils/permissions.js
+const roleSchema = new mongoose.Schema(
+  {
+    // Stored in User.role, e.g. "IC_MEMBER"
+    key: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+roleSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -7,6 +7,11 @@ const supportingDocumentSchema = new mongoose.Schema(
       ref: "PitchDeck",
       required: true,
     },
+    // Inherited from the pitch deck
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+    },
     title: {
       type: String,
       required: true,
@@ -51,5 +56,6 @@ const supportingDocumentSchema = new mongoose.Schema(
 
 // Index for efficient queries
 supportingDocumentSchema.index({ pitchDeck: 1, isActive: 1 });
+supportingDocumentSchema.index({ company: 1, isActive: 1 });
 
 module.exports = mongoose.model("SupportingDocument", supportingDocumentSchema);
@@ -45,6 +45,14 @@ const thesisSchema = new mongoose.Schema(
     },
     // Original AI text for audit/debug
     rawContent: { type: String },
+    // How the thesis was provided; documents are kept in S3, text in sourceText
+    source: {
+      type: String,
+      enum: ["PDF", "DOCX", "MARKDOWN", "TEXT", "QUESTIONNAIRE"],
+      default: "PDF",
+    },
+    // Pasted or uploaded plain text / Markdown, kept for re-analysis
+    sourceText: { type: String },
     originalPdfUrl: {
       type: String,
     },
@@ -69,12 +77,36 @@ const thesisSchema = new mongoose.Schema(
       type: Number,
       default: 1,
     },
+    // Why the current version was created; earlier versions live in ThesisVersion
+    changeReason: {
+      type: String,
+      trim: true,
+    },
+    versionCreatedAt: {
+      type: Date,
+      default: Date.now,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    status: {
+      type: String,
+      enum: ["UPLOADED", "ANALYZING", "COMPLETED", "FAILED"],
+      default: "UPLOADED",
+    },
+    // Why the last analysis failed (cleared when an analysis completes)
+    analysisError: {
+      code: {
+        type: String,
+        enum: ["AI_ERROR", "PARSE_ERROR", "FILE_ERROR", "INTERNAL_ERROR"],
+      },
+      message: String,
+      failedAt: Date,
+    },
     metadata: {
       fileSize: Number,
+      fileName: String,
       uploadDate: Date,
       analysisDate: Date,
       aiModel: {
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a thesis as it was before an update or restore (see utils/thesisVersions.js)
+const thesisVersionSchema = new mongoose.Schema(
+  {
+    thesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thesis",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+    },
+    content: {
+      type: String,
+    },
+    // Same shape as Thesis.profile
+    profile: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    rawContent: {
+      type: String,
+    },
+    // Who produced this version and why
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+    },
+    // When this version became current
+    versionCreatedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+thesisVersionSchema.index({ thesis: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("ThesisVersion", thesisVersionSchema);
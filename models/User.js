@@ -12,9 +12,21 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: true,
+      // SSO users authenticate at their identity provider and have no local password
+      required: function () {
+        return this.authProvider === "local";
+      },
       minlength: 6,
     },
+    authProvider: {
+      type: String,
+      enum: ["local", "oidc"],
+      default: "local",
+    },
+    // Subject identifier from the identity provider (SSO users)
+    externalId: {
+      type: String,
+    },
     firstName: {
       type: String,
       required: true,
@@ -25,10 +37,12 @@ const userSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Built-in role key (see utils/permissions.js) or a custom Role.key of the organization
     role: {
       type: String,
-      enum: ["SA", "ANALYST"],
       required: true,
+      uppercase: true,
+      trim: true,
     },
     organization: {
       type: mongoose.Schema.Types.ObjectId,
@@ -42,6 +56,50 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // TOTP two-factor authentication
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String, // Base32 TOTP secret (set once enrollment is confirmed)
+      pendingSecret: String, // Secret awaiting first code confirmation
+      enrolledAt: Date,
+      lastUsedStep: Number, // Last accepted TOTP time step (replay protection)
+      backupCodes: [
+        {
+          codeHash: String,
+          usedAt: Date,
+        },
+      ],
+    },
+    // Brute-force protection (see utils/accountLockout.js)
+    security: {
+      failedLoginAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedLoginAt: Date,
+      lockedUntil: Date,
+      lockoutCount: {
+        type: Number,
+        default: 0,
+      }, // Consecutive lockouts, drives the progressive lock duration
+      lockoutEvents: [
+        {
+          lockedAt: Date,
+          lockedUntil: Date,
+          reason: String,
+          ip: String,
+          userAgent: String,
+          unlockedAt: Date,
+          unlockedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
+      ],
+    },
   },
   {
     timestamps: true,
@@ -63,13 +121,20 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove password and MFA secrets from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  if (user.mfa) {
+    user.mfa = {
+      enabled: user.mfa.enabled,
+      enrolledAt: user.mfa.enrolledAt,
+    };
+  }
   return user;
 };
 
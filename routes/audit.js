@@ -0,0 +1,179 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { query, validationResult } = require("express-validator");
+const AuditEvent = require("../models/AuditEvent");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { dateRangeFilter, escapeRegex } = require("../utils/helpers");
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+const filterValidators = [
+  query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+  query("targetId").optional().isMongoId().withMessage("Invalid target ID"),
+  query("targetType").optional().trim(),
+  query("action").optional().trim(),
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+// Helper: build the Mongo filter from query parameters
+// action accepts a comma-separated list; "deck.*" matches every deck action
+function buildAuditFilter(req) {
+  const { actor, targetId, targetType, action, from, to } = req.query;
+  const filter = { organization: req.user.organization._id };
+
+  if (actor) filter.actor = new mongoose.Types.ObjectId(actor);
+  if (targetId) filter["target.id"] = new mongoose.Types.ObjectId(targetId);
+  if (targetType) filter["target.type"] = targetType;
+
+  if (action) {
+    const actions = action
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean);
+    filter.$or = actions.map((a) =>
+      a.endsWith(".*")
+        ? { action: new RegExp(`^${escapeRegex(a.slice(0, -1))}`) }
+        : { action: a }
+    );
+  }
+
+  if (from || to) filter.createdAt = dateRangeFilter(from, to);
+
+  return filter;
+}
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return "";
+  let text =
+    typeof value === "object" && !(value instanceof mongoose.Types.ObjectId)
+      ? JSON.stringify(value)
+      : String(value);
+  // Labels come from user-entered titles, e.g. "=HYPERLINK(...)"
+  if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Query audit events (audit:read), newest first
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  [
+    ...filterValidators,
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = req.query.page || 1;
+      const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+      const filter = buildAuditFilter(req);
+
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+          .populate("actor", "firstName lastName email")
+          .populate("apiKey", "name keyPrefix")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditEvent.countDocuments(filter),
+      ]);
+
+      res.json({
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Get audit events error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Export audit events as CSV (audit:read), same filters as the list
+router.get(
+  "/export",
+  authMiddleware,
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  filterValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const events = await AuditEvent.find(buildAuditFilter(req))
+        .populate("actor", "email")
+        .populate("apiKey", "name")
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      const header = [
+        "timestamp",
+        "action",
+        "actorId",
+        "actorEmail",
+        "apiKey",
+        "targetType",
+        "targetId",
+        "targetLabel",
+        "ip",
+        "userAgent",
+        "changes",
+        "metadata",
+      ];
+      const rows = events.map((event) =>
+        [
+          event.createdAt.toISOString(),
+          event.action,
+          event.actor?._id,
+          event.actor?.email,
+          event.apiKey?.name,
+          event.target?.type,
+          event.target?.id,
+          event.target?.label,
+          event.ip,
+          event.userAgent,
+          event.changes,
+          event.metadata,
+        ]
+          .map(toCsvValue)
+          .join(",")
+      );
+
+      const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}"`
+      );
+      res.send([header.join(","), ...rows].join("\n"));
+    } catch (error) {
+      console.error("Export audit events error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,15 +1,142 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const Organization = require("../models/Organization");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const Invitation = require("../models/Invitation");
+const OidcAuthRequest = require("../models/OidcAuthRequest");
+const Membership = require("../models/Membership");
 const { authMiddleware } = require("../middleware/auth");
+const { sendMail, buildAppUrl } = require("../utils/mailer");
+const {
+  isMfaRequired,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  verifyMfaCode,
+  resetBackupCodes,
+  disableMfa,
+} = require("../utils/mfa");
+const {
+  generateAuthRequestParams,
+  buildAuthorizationUrl,
+  exchangeCodeForClaims,
+} = require("../utils/oidc");
+const {
+  hashToken,
+  generateOpaqueToken,
+  createAuthSession,
+  rotateRefreshToken,
+  revokeAuthSession,
+  revokeAllAuthSessions,
+  signAccessToken,
+} = require("../utils/authTokens");
+const {
+  resolveOrganizationAccess,
+  applyOrganizationAccess,
+  listUserOrganizations,
+} = require("../utils/memberships");
+const { resolveUserPermissions } = require("../utils/permissions");
+const { AUDIT_ACTIONS, recordAudit } = require("../utils/audit");
+const {
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../utils/accountLockout");
+const { loginLimiter, authLimiter } = require("../utils/rateLimits");
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const OIDC_AUTH_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Helper: record the login and start an auth session in user.organization; returns the login response body
+async function completeLogin(
+  user,
+  req,
+  auditAction = AUDIT_ACTIONS.AUTH_LOGIN
+) {
+  user.lastLogin = new Date();
+  resetFailedLogins(user);
+  await user.save();
+
+  // Start an auth session (access + refresh token)
+  const tokens = await createAuthSession(user, req);
+  await recordAudit(req, {
+    action: auditAction,
+    actor: user,
+    target: { type: "user", id: user._id, label: user.email },
+  });
+
+  return {
+    message: "Login successful",
+    ...tokens,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      organization: user.organization,
+    },
+    organizations: await listUserOrganizations(user),
+  };
+}
+
+// Helper: response for a locked account
+function sendAccountLocked(res, lockedUntil) {
+  return res.status(423).json({
+    message:
+      "Account is temporarily locked after too many failed attempts. Try again later or ask an administrator to unlock it.",
+    lockedUntil,
+  });
+}
+
+// Helper: count a failed password/MFA attempt; returns lockedUntil if the account just got locked
+async function handleFailedLogin(user, req, reason) {
+  const lockedUntil = await registerFailedLogin(user, req, reason);
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.AUTH_LOGIN_FAILED,
+    actor: user,
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: { reason },
+  });
+  if (lockedUntil) {
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AUTH_ACCOUNT_LOCKED,
+      actor: user,
+      target: { type: "user", id: user._id, label: user.email },
+      metadata: { reason, lockedUntil },
+    });
+  }
+  return lockedUntil;
+}
+
+// Helper: resolve the (active) user behind an MFA challenge token, pointed at the organization
+// the first step logged in to; returns { user, method } or null
+async function findMfaChallengeUser(mfaToken) {
+  const challenge = verifyMfaChallenge(mfaToken);
+  if (!challenge) return null;
+
+  const user = await User.findById(challenge.userId).populate("organization");
+  if (!user || !user.isActive) return null;
+
+  if (challenge.organizationId) {
+    const access = await resolveOrganizationAccess(
+      user,
+      challenge.organizationId
+    );
+    if (!access) return null;
+    applyOrganizationAccess(user, access);
+  }
+  return { user, method: challenge.method };
+}
+
 // Register SA (Super Admin) - Creates organization and SA account
 router.post(
   "/register-sa",
+  authLimiter,
   [
     body("email").isEmail().normalizeEmail(),
     body("password").isLength({ min: 6 }),
@@ -51,16 +178,21 @@ router.post(
       });
       await user.save();
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: "7d" }
-      );
+      // Start an auth session (access + refresh token)
+      const tokens = await createAuthSession(user, req);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.AUTH_REGISTER,
+        actor: user,
+        target: {
+          type: "organization",
+          id: organization._id,
+          label: organization.name,
+        },
+      });
 
       res.status(201).json({
         message: "SA account created successfully",
-        token,
+        ...tokens,
         user: {
           id: user._id,
           email: user.email,
@@ -80,6 +212,7 @@ router.post(
 // Login
 router.post(
   "/login",
+  loginLimiter,
   [body("email").isEmail().normalizeEmail(), body("password").notEmpty()],
   async (req, res) => {
     try {
@@ -96,25 +229,1010 @@ router.post(
         return res.status(400).json({ message: "Invalid credentials" });
       }
 
+      // A locked account answers the same whatever the password; wrong ones still count
+      if (isAccountLocked(user)) {
+        if (!(await user.comparePassword(password))) {
+          await handleFailedLogin(user, req, "invalid_password");
+        }
+        return sendAccountLocked(res, user.security.lockedUntil);
+      }
+
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        const lockedUntil = await handleFailedLogin(
+          user,
+          req,
+          "invalid_password"
+        );
+        if (lockedUntil) {
+          return sendAccountLocked(res, lockedUntil);
+        }
         return res.status(400).json({ message: "Invalid credentials" });
       }
 
-      // Update last login
-      user.lastLogin = new Date();
+      // Second factor required: hand out a challenge instead of a session
+      if (isMfaRequired(user)) {
+        return res.json({
+          message: user.mfa?.enabled
+            ? "Two-factor authentication required"
+            : "Your organization requires two-factor authentication. Set it up to continue.",
+          mfaRequired: true,
+          mfaSetupRequired: !user.mfa?.enabled,
+          mfaToken: issueMfaChallenge(user),
+        });
+      }
+
+      res.json(await completeLogin(user, req));
+    } catch (error) {
+      console.error("Login error:", error);
+      res.status(500).json({ message: "Server error during login" });
+    }
+  }
+);
+
+// Login step 2: verify TOTP/backup code (or finish forced enrollment) and start a session
+router.post(
+  "/login/mfa",
+  loginLimiter,
+  [body("mfaToken").isString().notEmpty(), body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const challenge = await findMfaChallengeUser(req.body.mfaToken);
+      if (!challenge) {
+        return res
+          .status(401)
+          .json({ message: "MFA challenge is invalid or has expired" });
+      }
+      const { user } = challenge;
+
+      if (isAccountLocked(user)) {
+        return sendAccountLocked(res, user.security.lockedUntil);
+      }
+
+      let backupCodes;
+      if (user.mfa?.enabled) {
+        const isValid = await verifyMfaCode(user, req.body.code);
+        if (!isValid) {
+          const lockedUntil = await handleFailedLogin(
+            user,
+            req,
+            "invalid_mfa_code"
+          );
+          if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil);
+          }
+          return res.status(400).json({ message: "Invalid MFA code" });
+        }
+      } else {
+        // Forced enrollment: confirming the first code enables MFA
+        backupCodes = await confirmMfaEnrollment(user, req.body.code);
+        if (!backupCodes) {
+          const lockedUntil = await handleFailedLogin(
+            user,
+            req,
+            "invalid_mfa_code"
+          );
+          if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil);
+          }
+          return res.status(400).json({ message: "Invalid MFA code" });
+        }
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.AUTH_MFA_ENABLED,
+          actor: user,
+          target: { type: "user", id: user._id, label: user.email },
+        });
+      }
+
+      const payload = await completeLogin(
+        user,
+        req,
+        challenge.method === "sso"
+          ? AUDIT_ACTIONS.AUTH_SSO_LOGIN
+          : AUDIT_ACTIONS.AUTH_LOGIN
+      );
+      if (backupCodes) {
+        payload.backupCodes = backupCodes;
+      }
+      res.json(payload);
+    } catch (error) {
+      console.error("MFA login error:", error);
+      res.status(500).json({ message: "Server error during login" });
+    }
+  }
+);
+
+// Login step 2 (forced enrollment): get a TOTP secret using the MFA challenge
+router.post(
+  "/login/mfa/setup",
+  [body("mfaToken").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const challenge = await findMfaChallengeUser(req.body.mfaToken);
+      if (!challenge) {
+        return res
+          .status(401)
+          .json({ message: "MFA challenge is invalid or has expired" });
+      }
+      const { user } = challenge;
+
+      if (user.mfa?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+
+      const enrollment = await startMfaEnrollment(user);
+      res.json({
+        message: "Scan the QR code, then submit a code to /login/mfa",
+        ...enrollment,
+      });
+    } catch (error) {
+      console.error("MFA setup error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get MFA status for current user
+router.get("/mfa", authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      enabled: Boolean(req.user.mfa?.enabled),
+      enrolledAt: req.user.mfa?.enrolledAt || null,
+      requiredByOrganization: Boolean(
+        req.user.organization?.settings?.requireMfa
+      ),
+      remainingBackupCodes: (req.user.mfa?.backupCodes || []).filter(
+        (c) => !c.usedAt
+      ).length,
+    });
+  } catch (error) {
+    console.error("Get MFA status error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Start MFA enrollment for current user
+router.post("/mfa/enroll", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.mfa?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const enrollment = await startMfaEnrollment(user);
+    res.json({
+      message: "Scan the QR code, then confirm with a code from your app",
+      ...enrollment,
+    });
+  } catch (error) {
+    console.error("MFA enroll error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Confirm MFA enrollment with a code from the authenticator app
+router.post(
+  "/mfa/verify",
+  authMiddleware,
+  [body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      const backupCodes = await confirmMfaEnrollment(user, req.body.code);
+      if (!backupCodes) {
+        return res.status(400).json({ message: "Invalid MFA code" });
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.AUTH_MFA_ENABLED,
+        target: { type: "user", id: user._id, label: user.email },
+      });
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        backupCodes,
+      });
+    } catch (error) {
+      console.error("MFA verify error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Regenerate backup codes (requires a current MFA code)
+router.post(
+  "/mfa/backup-codes",
+  authMiddleware,
+  [body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      const isValid = await verifyMfaCode(user, req.body.code);
+      if (!isValid) {
+        return res.status(400).json({ message: "Invalid MFA code" });
+      }
+
+      const backupCodes = resetBackupCodes(user);
+      await user.save();
+
+      res.json({ message: "Backup codes regenerated", backupCodes });
+    } catch (error) {
+      console.error("MFA backup codes error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Disable MFA (requires password and a current MFA code)
+router.post(
+  "/mfa/disable",
+  authMiddleware,
+  [body("password").notEmpty(), body("code").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.user.organization?.settings?.requireMfa) {
+        return res.status(403).json({
+          message:
+            "Your organization requires two-factor authentication; it cannot be disabled",
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      const isPasswordValid = await user.comparePassword(req.body.password);
+      const isCodeValid =
+        isPasswordValid && (await verifyMfaCode(user, req.body.code));
+      if (!isCodeValid) {
+        return res.status(400).json({ message: "Invalid credentials" });
+      }
+
+      await disableMfa(user);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.AUTH_MFA_DISABLED,
+        target: { type: "user", id: user._id, label: user.email },
+      });
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("MFA disable error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+      if (!tokens) {
+        return res
+          .status(401)
+          .json({ message: "Refresh token is not valid" });
+      }
+
+      res.json({
+        message: "Token refreshed",
+        ...tokens,
+      });
+    } catch (error) {
+      console.error("Refresh token error:", error);
+      res.status(500).json({ message: "Server error during token refresh" });
+    }
+  }
+);
+
+// Logout (revokes the current session)
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeAuthSession(req.authSession._id, "logout");
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AUTH_LOGOUT,
+      target: { type: "user", id: req.user._id, label: req.user.email },
+    });
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+});
+
+// Logout everywhere (revokes every session of the current user)
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllAuthSessions(
+      req.user._id,
+      "logout_all"
+    );
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AUTH_LOGOUT_ALL,
+      target: { type: "user", id: req.user._id, label: req.user.email },
+      metadata: { revokedSessions: revokedCount },
+    });
+    res.json({
+      message: "Logged out of all sessions successfully",
+      revokedSessions: revokedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+});
+
+// Request a password reset link (always responds the same to avoid leaking accounts)
+router.post(
+  "/forgot-password",
+  authLimiter,
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const genericResponse = {
+        message:
+          "If an account exists for that email, a password reset link has been sent",
+      };
+
+      const user = await User.findOne({ email: req.body.email });
+      // SSO users have no local password to reset
+      if (!user || !user.isActive || user.authProvider !== "local") {
+        return res.json(genericResponse);
+      }
+
+      // Only the most recent link is valid
+      await PasswordResetToken.updateMany(
+        { user: user._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+      );
+
+      const resetToken = generateOpaqueToken();
+      await PasswordResetToken.create({
+        user: user._id,
+        tokenHash: hashToken(resetToken),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+        metadata: {
+          requestedIp: req.ip,
+          requestedUserAgent: req.get("User-Agent"),
+        },
+      });
+
+      const resetUrl = buildAppUrl("/reset-password", { token: resetToken });
+      await sendMail({
+        to: user.email,
+        subject: "Reset your VC Analyst password",
+        text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Use the link below within the next hour:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      });
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Reset password using an emailed reset token
+router.post(
+  "/reset-password",
+  authLimiter,
+  [
+    body("token").isString().notEmpty(),
+    body("password").isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+
+      // Consume the token atomically so it can only be used once
+      const resetToken = await PasswordResetToken.findOneAndUpdate(
+        {
+          tokenHash: hashToken(token),
+          usedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { $set: { usedAt: new Date() } }
+      );
+
+      if (!resetToken) {
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
+
+      const user = await User.findById(resetToken.user);
+      if (!user || !user.isActive) {
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
+
+      user.password = password;
       await user.save();
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: "7d" }
+      // Whoever knew the old password must not stay logged in
+      await revokeAllAuthSessions(user._id, "password_reset");
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.AUTH_PASSWORD_RESET,
+        actor: user,
+        target: { type: "user", id: user._id, label: user.email },
+      });
+
+      res.json({ message: "Password has been reset. Please log in again." });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Helper: find a pending, unexpired invitation by its raw token
+async function findUsableInvitation(token) {
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: "PENDING",
+    expiresAt: { $gt: new Date() },
+  }).populate("organization", "name");
+}
+
+// Helper: mark an invitation accepted; atomic so it can only be accepted once (null if already taken)
+async function claimInvitation(invitation) {
+  return Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: "PENDING" },
+    { $set: { status: "ACCEPTED", acceptedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// Helper: put a claimed invitation back so the invitee can try again
+async function releaseInvitation(invitation) {
+  await Invitation.updateOne(
+    { _id: invitation._id },
+    { $set: { status: "PENDING" }, $unset: { acceptedAt: 1 } }
+  );
+}
+
+// Helper: accept an invitation with an existing account (the password proves ownership);
+// adds a membership and logs in to the invited organization
+async function acceptInvitationAsMember(user, invitation, password, req, res) {
+  if (!user.isActive) {
+    return res.status(403).json({ message: "Account is deactivated" });
+  }
+  // Same as login: a locked account answers the same whatever the password
+  if (isAccountLocked(user)) {
+    if (!(await user.comparePassword(password))) {
+      await handleFailedLogin(user, req, "invalid_password");
+    }
+    return sendAccountLocked(res, user.security.lockedUntil);
+  }
+
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    const lockedUntil = await handleFailedLogin(user, req, "invalid_password");
+    if (lockedUntil) {
+      return sendAccountLocked(res, lockedUntil);
+    }
+    return res.status(400).json({ message: "Invalid credentials" });
+  }
+
+  if (await resolveOrganizationAccess(user, invitation.organization._id)) {
+    return res
+      .status(400)
+      .json({ message: "You are already a member of this organization" });
+  }
+
+  const claimed = await claimInvitation(invitation);
+  if (!claimed) {
+    return res
+      .status(400)
+      .json({ message: "Invitation is invalid or has expired" });
+  }
+
+  try {
+    // Re-invited former members get their membership back with the new role
+    await Membership.findOneAndUpdate(
+      { user: user._id, organization: claimed.organization },
+      {
+        $set: {
+          role: claimed.role,
+          invitedBy: claimed.invitedBy,
+          isActive: true,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (membershipError) {
+    await releaseInvitation(claimed);
+    throw membershipError;
+  }
+
+  claimed.acceptedUser = user._id;
+  await claimed.save();
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.AUTH_INVITE_ACCEPTED,
+    actor: user,
+    organization: claimed.organization,
+    target: { type: "invitation", id: claimed._id, label: claimed.email },
+    metadata: {
+      role: claimed.role,
+      invitedBy: claimed.invitedBy,
+      existingAccount: true,
+    },
+  });
+
+  const access = await resolveOrganizationAccess(user, claimed.organization);
+  applyOrganizationAccess(user, access);
+
+  // Two-factor users finish through POST /login/mfa, which logs in to the new organization
+  if (isMfaRequired(user)) {
+    return res.status(201).json({
+      message: "Invitation accepted. Enter your two-factor code to continue.",
+      mfaRequired: true,
+      mfaSetupRequired: !user.mfa?.enabled,
+      mfaToken: issueMfaChallenge(user),
+    });
+  }
+
+  const loginResponse = await completeLogin(user, req);
+  res.status(201).json({
+    ...loginResponse,
+    message: "Invitation accepted successfully",
+  });
+}
+
+// Preview an invitation (used by the accept-invite page)
+router.get("/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await findUsableInvitation(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation is invalid or has expired" });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        organization: invitation.organization,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get invitation error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Accept an invitation: creates the account with a self-chosen password and logs in.
+// Invitees who already have an account confirm their password instead and join as members.
+router.post(
+  "/accept-invite",
+  authLimiter,
+  [
+    body("token").isString().notEmpty(),
+    body("password").isLength({ min: 6 }),
+    body("firstName").optional().trim().notEmpty(),
+    body("lastName").optional().trim().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+
+      const invitation = await findUsableInvitation(token);
+      if (!invitation) {
+        return res
+          .status(400)
+          .json({ message: "Invitation is invalid or has expired" });
+      }
+
+      const existingUser = await User.findOne({
+        email: invitation.email,
+      }).populate("organization");
+      if (existingUser) {
+        return acceptInvitationAsMember(
+          existingUser,
+          invitation,
+          password,
+          req,
+          res
+        );
+      }
+
+      const firstName = req.body.firstName || invitation.firstName;
+      const lastName = req.body.lastName || invitation.lastName;
+      if (!firstName || !lastName) {
+        return res
+          .status(400)
+          .json({ message: "First name and last name are required" });
+      }
+
+      const claimed = await claimInvitation(invitation);
+      if (!claimed) {
+        return res
+          .status(400)
+          .json({ message: "Invitation is invalid or has expired" });
+      }
+
+      const user = new User({
+        email: invitation.email,
+        password,
+        firstName,
+        lastName,
+        role: invitation.role,
+        organization: invitation.organization._id,
+        lastLogin: new Date(),
+      });
+      try {
+        await user.save();
+      } catch (saveError) {
+        await releaseInvitation(claimed);
+        throw saveError;
+      }
+
+      claimed.acceptedUser = user._id;
+      await claimed.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.AUTH_INVITE_ACCEPTED,
+        actor: user,
+        target: { type: "invitation", id: claimed._id, label: claimed.email },
+        metadata: { role: user.role, invitedBy: claimed.invitedBy },
+      });
+
+      await user.populate("organization");
+
+      // Organizations that force MFA get the same challenge as a regular login
+      if (isMfaRequired(user)) {
+        return res.status(201).json({
+          message:
+            "Invitation accepted. Your organization requires two-factor authentication. Set it up to continue.",
+          mfaRequired: true,
+          mfaSetupRequired: true,
+          mfaToken: issueMfaChallenge(user),
+        });
+      }
+
+      const tokens = await createAuthSession(user, req);
+
+      res.status(201).json({
+        message: "Invitation accepted successfully",
+        ...tokens,
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          organization: user.organization,
+        },
+      });
+    } catch (error) {
+      console.error("Accept invitation error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Start SSO login: resolve the organization by email domain (or ID) and return the IdP URL
+router.post(
+  "/oidc/authorize",
+  authLimiter,
+  [
+    body("email").optional().isEmail().normalizeEmail(),
+    body("organizationId").optional().isMongoId(),
+    body("redirectUri").optional().isURL({ require_tld: false }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, organizationId } = req.body;
+      if (!email && !organizationId) {
+        return res
+          .status(400)
+          .json({ message: "Email or organization ID is required" });
+      }
+
+      const query = { isActive: true, "sso.oidc.enabled": true };
+      if (organizationId) {
+        query._id = organizationId;
+      } else {
+        query.domain = email.split("@")[1];
+      }
+
+      const organization = await Organization.findOne(query);
+      if (!organization) {
+        return res.status(404).json({
+          message: "Single sign-on is not configured for this account",
+        });
+      }
+
+      const redirectUri = req.body.redirectUri || process.env.OIDC_REDIRECT_URI;
+      if (!redirectUri) {
+        return res.status(400).json({ message: "Redirect URI is required" });
+      }
+
+      const params = generateAuthRequestParams();
+      await OidcAuthRequest.create({
+        state: params.state,
+        nonce: params.nonce,
+        codeVerifier: params.codeVerifier,
+        organization: organization._id,
+        redirectUri,
+        expiresAt: new Date(Date.now() + OIDC_AUTH_REQUEST_TTL_MS),
+      });
+
+      const authorizationUrl = await buildAuthorizationUrl(
+        organization.sso.oidc,
+        { ...params, redirectUri, loginHint: email }
       );
 
+      res.json({ authorizationUrl, state: params.state });
+    } catch (error) {
+      console.error("OIDC authorize error:", error);
+      res.status(500).json({ message: "Server error during SSO login" });
+    }
+  }
+);
+
+// Finish SSO login: exchange the authorization code, provision the user if needed, start a session
+router.post(
+  "/oidc/callback",
+  authLimiter,
+  [body("code").isString().notEmpty(), body("state").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Single use: remove the pending request as we read it
+      const authRequest = await OidcAuthRequest.findOneAndDelete({
+        state: req.body.state,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!authRequest) {
+        return res
+          .status(400)
+          .json({ message: "SSO login request is invalid or has expired" });
+      }
+
+      const organization = await Organization.findOne({
+        _id: authRequest.organization,
+        isActive: true,
+        "sso.oidc.enabled": true,
+      }).select("+sso.oidc.clientSecret");
+      if (!organization) {
+        return res
+          .status(400)
+          .json({ message: "Single sign-on is no longer enabled" });
+      }
+
+      let claims;
+      try {
+        claims = await exchangeCodeForClaims(organization.sso.oidc, {
+          code: req.body.code,
+          codeVerifier: authRequest.codeVerifier,
+          redirectUri: authRequest.redirectUri,
+          nonce: authRequest.nonce,
+        });
+      } catch (oidcError) {
+        console.error("OIDC token exchange error:", oidcError);
+        return res
+          .status(401)
+          .json({ message: "Identity provider rejected the login" });
+      }
+
+      const email = String(claims.email || "").toLowerCase();
+      if (!email || claims.email_verified === false) {
+        return res.status(403).json({
+          message: "Identity provider did not return a verified email",
+        });
+      }
+      if (organization.domain && email.split("@")[1] !== organization.domain) {
+        return res.status(403).json({
+          message: "Email domain is not allowed for this organization",
+        });
+      }
+
+      let user = await User.findOne({ email });
+      if (user) {
+        const isMember =
+          user.organization.toString() === organization._id.toString() ||
+          (await Membership.exists({
+            user: user._id,
+            organization: organization._id,
+            isActive: true,
+          }));
+        if (!isMember) {
+          return res.status(403).json({
+            message: "This account belongs to a different organization",
+          });
+        }
+        if (!user.isActive) {
+          return res.status(403).json({ message: "Account is deactivated" });
+        }
+        // Matching by email only links an account once; later logins must be the same IdP subject
+        if (user.externalId && user.externalId !== claims.sub) {
+          return res.status(403).json({
+            message:
+              "This account is linked to a different identity provider account",
+          });
+        }
+        if (!user.externalId) {
+          user.externalId = claims.sub;
+          await user.save();
+        }
+      } else {
+        // Just-in-time provisioning on first SSO login
+        const [emailName] = email.split("@");
+        user = new User({
+          email,
+          firstName: claims.given_name || claims.name || emailName,
+          lastName: claims.family_name || "-",
+          role: organization.sso.oidc.defaultRole || "ANALYST",
+          organization: organization._id,
+          authProvider: "oidc",
+          externalId: claims.sub,
+        });
+        await user.save();
+      }
+
+      // Log in to the SSO organization even when it is not the user's primary one
+      await user.populate("organization");
+      applyOrganizationAccess(
+        user,
+        await resolveOrganizationAccess(user, organization._id)
+      );
+
+      // Users with their own TOTP, or in organizations that force MFA, get the same
+      // challenge as a password login and finish through POST /login/mfa
+      if (isMfaRequired(user)) {
+        return res.json({
+          message: user.mfa?.enabled
+            ? "Two-factor authentication required"
+            : "Your organization requires two-factor authentication. Set it up to continue.",
+          mfaRequired: true,
+          mfaSetupRequired: !user.mfa?.enabled,
+          mfaToken: issueMfaChallenge(user, "sso"),
+        });
+      }
+
+      res.json(await completeLogin(user, req, AUDIT_ACTIONS.AUTH_SSO_LOGIN));
+    } catch (error) {
+      console.error("OIDC callback error:", error);
+      res.status(500).json({ message: "Server error during SSO login" });
+    }
+  }
+);
+
+// List the organizations the current user can switch to
+router.get("/organizations", authMiddleware, async (req, res) => {
+  try {
+    const organizations = await listUserOrganizations(req.user);
+    res.json({
+      organizations: organizations.map((entry) => ({
+        ...entry,
+        current:
+          entry.organization.id.toString() ===
+          req.user.organization._id.toString(),
+      })),
+    });
+  } catch (error) {
+    console.error("List organizations error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Switch the current session to another organization the user belongs to.
+// Returns a new access token scoped to it; the refresh token keeps working and follows the switch.
+router.post(
+  "/switch-organization",
+  authMiddleware,
+  [body("organizationId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.authSession) {
+        return res
+          .status(403)
+          .json({ message: "API keys cannot switch organizations" });
+      }
+
+      // req.user is scoped to the current organization, resolve from the stored user
+      const user = await User.findById(req.user._id).populate("organization");
+      const access = await resolveOrganizationAccess(
+        user,
+        req.body.organizationId
+      );
+      if (!access) {
+        return res
+          .status(403)
+          .json({ message: "You are not a member of this organization" });
+      }
+      if (access.organization.settings?.requireMfa && !user.mfa?.enabled) {
+        return res.status(403).json({
+          message:
+            "This organization requires two-factor authentication. Enable it before switching.",
+          mfaSetupRequired: true,
+        });
+      }
+
+      const previousOrganizationId = req.user.organization._id;
+      applyOrganizationAccess(user, access);
+
+      req.authSession.organization = access.organization._id;
+      await req.authSession.save();
+
+      const token = signAccessToken(user, req.authSession);
+      const permissions = await resolveUserPermissions(user);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.AUTH_ORGANIZATION_SWITCH,
+        actor: user,
+        organization: access.organization._id,
+        target: { type: "user", id: user._id, label: user.email },
+        metadata: { fromOrganization: previousOrganizationId },
+      });
+
       res.json({
-        message: "Login successful",
+        message: "Organization switched",
         token,
         user: {
           id: user._id,
@@ -123,19 +1241,20 @@ router.post(
           lastName: user.lastName,
           role: user.role,
           organization: user.organization,
+          permissions,
         },
       });
     } catch (error) {
-      console.error("Login error:", error);
-      res.status(500).json({ message: "Server error during login" });
+      console.error("Switch organization error:", error);
+      res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// Get current user
+// Get current user (organization/role of the token's organization)
 router.get("/me", authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate("organization");
+    const user = req.user;
     res.json({
       user: {
         id: user._id,
@@ -145,6 +1264,7 @@ router.get("/me", authMiddleware, async (req, res) => {
         role: user.role,
         organization: user.organization,
         lastLogin: user.lastLogin,
+        permissions: req.permissions,
       },
     });
   } catch (error) {
@@ -0,0 +1,349 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Company = require("../models/Company");
+const PitchDeck = require("../models/PitchDeck");
+const SupportingDocument = require("../models/SupportingDocument");
+const LiveConversation = require("../models/LiveConversation");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { deckAccessFilter } = require("../utils/deckAccess");
+const {
+  companyMatchFields,
+  suggestCompanies,
+  buildCompanyTimeline,
+} = require("../utils/companies");
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require("../utils/audit");
+const { escapeRegex } = require("../utils/helpers");
+
+const router = express.Router();
+
+const COMPANY_FIELDS = [
+  "name",
+  "website",
+  "sector",
+  "headquarters",
+  "description",
+  "founders",
+];
+
+const companyValidators = [
+  body("website").optional().trim(),
+  body("sector").optional().trim(),
+  body("headquarters").optional().trim(),
+  body("description").optional().trim(),
+  body("founders").optional().isArray(),
+  body("founders.*.name")
+    .trim()
+    .notEmpty()
+    .withMessage("Founder name is required"),
+  body("founders.*.role").optional().trim(),
+  body("founders.*.email")
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage("Invalid founder email"),
+  body("founders.*.linkedinUrl").optional().trim(),
+];
+
+// Helper: load an active company of the caller's organization
+function findCompany(req) {
+  return Company.findOne({
+    _id: req.params.id,
+    organization: req.user.organization._id,
+    isActive: true,
+  });
+}
+
+// Helper: another active company with the same normalized name or domain, if any
+function findDuplicateCompany(
+  organizationId,
+  { normalizedName, domain },
+  excludeId
+) {
+  return Company.findOne({
+    organization: organizationId,
+    isActive: true,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    $or: [{ normalizedName }, ...(domain ? [{ domain }] : [])],
+  }).select("name");
+}
+
+// List companies, optionally filtered by name (deck:read)
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  [query("q").optional().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const companies = await Company.find({
+        organization: req.user.organization._id,
+        isActive: true,
+        ...(req.query.q
+          ? { name: new RegExp(escapeRegex(req.query.q), "i") }
+          : {}),
+      })
+        .select("-normalizedName")
+        .sort({ name: 1 });
+
+      res.json({ companies });
+    } catch (error) {
+      console.error("Get companies error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Suggest existing companies by name and website/e-mail domain (deck:read)
+router.get(
+  "/suggestions",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  [query("name").optional().trim(), query("website").optional().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestions = await suggestCompanies(req.user.organization._id, {
+        name: req.query.name,
+        website: req.query.website,
+      });
+
+      res.json({ suggestions });
+    } catch (error) {
+      console.error("Suggest companies error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create company (deck:upload)
+router.post(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  [
+    body("name").trim().notEmpty().withMessage("Name is required"),
+    ...companyValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, website, sector, headquarters, description, founders } =
+        req.body;
+      const matchFields = companyMatchFields(name, website);
+
+      const existing = await findDuplicateCompany(
+        req.user.organization._id,
+        matchFields
+      );
+      if (existing) {
+        return res.status(400).json({
+          message: "A company with this name or website already exists",
+          company: { id: existing._id, name: existing.name },
+        });
+      }
+
+      const company = await Company.create({
+        name,
+        website,
+        sector,
+        headquarters,
+        description,
+        founders: founders || [],
+        ...matchFields,
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+      });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.COMPANY_CREATE,
+        target: { type: "company", id: company._id, label: company.name },
+      });
+
+      res.status(201).json({
+        message: "Company created successfully",
+        company,
+      });
+    } catch (error) {
+      console.error("Create company error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get company with the decks the caller can access (deck:read)
+router.get(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const company = await findCompany(req);
+      if (!company) {
+        return res.status(404).json({ message: "Company not found" });
+      }
+
+      const pitchDecks = await PitchDeck.find({
+        company: company._id,
+        organization: req.user.organization._id,
+        isActive: true,
+        ...(await deckAccessFilter(req, "viewer")),
+      })
+        .select(
+          "title status createdAt analysisVersion analysis.recommendation analysis.confidenceScore analysis.fitAssessment.overallFit analysis.dealAttributes.stage"
+        )
+        .sort({ createdAt: -1 });
+
+      res.json({ company, pitchDecks });
+    } catch (error) {
+      console.error("Get company error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Every interaction with the company across its decks, newest first (deck:read)
+router.get(
+  "/:id/timeline",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const company = await findCompany(req);
+      if (!company) {
+        return res.status(404).json({ message: "Company not found" });
+      }
+
+      const events = await buildCompanyTimeline(
+        company,
+        await deckAccessFilter(req, "viewer")
+      );
+
+      res.json({
+        company: { id: company._id, name: company.name },
+        events,
+      });
+    } catch (error) {
+      console.error("Get company timeline error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update company details (deck:upload)
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  [body("name").optional().trim().notEmpty(), ...companyValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await findCompany(req);
+      if (!company) {
+        return res.status(404).json({ message: "Company not found" });
+      }
+
+      const before = company.toObject();
+      for (const field of COMPANY_FIELDS) {
+        if (req.body[field] !== undefined) company[field] = req.body[field];
+      }
+
+      const matchFields = companyMatchFields(company.name, company.website);
+      const existing = await findDuplicateCompany(
+        req.user.organization._id,
+        matchFields,
+        company._id
+      );
+      if (existing) {
+        return res.status(400).json({
+          message: "A company with this name or website already exists",
+          company: { id: existing._id, name: existing.name },
+        });
+      }
+
+      company.normalizedName = matchFields.normalizedName;
+      company.domain = matchFields.domain;
+      await company.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.COMPANY_UPDATE,
+        target: { type: "company", id: company._id, label: company.name },
+        changes: diffFields(before, company.toObject(), COMPANY_FIELDS),
+      });
+
+      res.json({
+        message: "Company updated successfully",
+        company,
+      });
+    } catch (error) {
+      console.error("Update company error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete company (deck:delete); its decks, documents and sessions are detached, not deleted
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_DELETE),
+  async (req, res) => {
+    try {
+      const company = await findCompany(req);
+      if (!company) {
+        return res.status(404).json({ message: "Company not found" });
+      }
+
+      // Soft delete company
+      company.isActive = false;
+      await company.save();
+
+      const detach = { $unset: { company: 1 } };
+      const [decks] = await Promise.all([
+        PitchDeck.updateMany(
+          { organization: req.user.organization._id, company: company._id },
+          detach
+        ),
+        SupportingDocument.updateMany(
+          { organization: req.user.organization._id, company: company._id },
+          detach
+        ),
+        LiveConversation.updateMany(
+          { organization: req.user.organization._id, company: company._id },
+          detach
+        ),
+      ]);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.COMPANY_DELETE,
+        target: { type: "company", id: company._id, label: company.name },
+        metadata: { detachedDecks: decks.modifiedCount },
+      });
+
+      res.json({
+        message: "Company deleted successfully",
+        detachedDecks: decks.modifiedCount,
+      });
+    } catch (error) {
+      console.error("Delete company error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
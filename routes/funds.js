@@ -0,0 +1,221 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Fund = require("../models/Fund");
+const Thesis = require("../models/Thesis");
+const PitchDeck = require("../models/PitchDeck");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+// Helper: check that a thesis is active in the organization (null/undefined clears the fund's thesis)
+async function isValidThesis(thesisId, organizationId) {
+  if (!thesisId) return true;
+  const thesis = await Thesis.exists({
+    _id: thesisId,
+    organization: organizationId,
+    isActive: true,
+  });
+  return Boolean(thesis);
+}
+
+// Helper: load an active fund of the caller's organization
+function findFund(req) {
+  return Fund.findOne({
+    _id: req.params.id,
+    organization: req.user.organization._id,
+    isActive: true,
+  });
+}
+
+// List funds (thesis:read)
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const funds = await Fund.find({
+        organization: req.user.organization._id,
+        isActive: true,
+      })
+        .populate("thesis", "title version")
+        .sort({ name: 1 });
+
+      res.json({ funds });
+    } catch (error) {
+      console.error("Get funds error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create fund (thesis:edit)
+router.post(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  [
+    body("name").trim().notEmpty().withMessage("Name is required"),
+    body("description").optional().trim(),
+    body("thesisId").optional({ nullable: true }).isMongoId(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, thesisId } = req.body;
+
+      const existing = await Fund.exists({
+        organization: req.user.organization._id,
+        name,
+        isActive: true,
+      });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: "A fund with this name already exists" });
+      }
+
+      if (!(await isValidThesis(thesisId, req.user.organization._id))) {
+        return res.status(400).json({ message: "Thesis not found" });
+      }
+
+      const fund = await Fund.create({
+        name,
+        description,
+        thesis: thesisId || undefined,
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+      });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.FUND_CREATE,
+        target: { type: "fund", id: fund._id, label: fund.name },
+        metadata: { thesis: fund.thesis },
+      });
+
+      res.status(201).json({
+        message: "Fund created successfully",
+        fund,
+      });
+    } catch (error) {
+      console.error("Create fund error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update fund name, description or thesis (thesis:edit)
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  [
+    body("name").optional().trim().notEmpty(),
+    body("description").optional().trim(),
+    body("thesisId").optional({ nullable: true }).isMongoId(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const fund = await findFund(req);
+      if (!fund) {
+        return res.status(404).json({ message: "Fund not found" });
+      }
+
+      const { name, description, thesisId } = req.body;
+
+      if (name !== undefined && name !== fund.name) {
+        const existing = await Fund.exists({
+          organization: req.user.organization._id,
+          name,
+          isActive: true,
+        });
+        if (existing) {
+          return res
+            .status(400)
+            .json({ message: "A fund with this name already exists" });
+        }
+      }
+
+      if (
+        thesisId !== undefined &&
+        !(await isValidThesis(thesisId, req.user.organization._id))
+      ) {
+        return res.status(400).json({ message: "Thesis not found" });
+      }
+
+      const before = fund.toObject();
+      if (name !== undefined) fund.name = name;
+      if (description !== undefined) fund.description = description;
+      // thesisId null clears it: decks fall back to the organization default
+      if (thesisId !== undefined) fund.thesis = thesisId || undefined;
+      await fund.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.FUND_UPDATE,
+        target: { type: "fund", id: fund._id, label: fund.name },
+        changes: diffFields(before, fund.toObject(), [
+          "name",
+          "description",
+          "thesis",
+        ]),
+      });
+
+      res.json({
+        message: "Fund updated successfully",
+        fund,
+      });
+    } catch (error) {
+      console.error("Update fund error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete fund (thesis:edit); its decks are unassigned and use the organization default thesis
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  async (req, res) => {
+    try {
+      const fund = await findFund(req);
+      if (!fund) {
+        return res.status(404).json({ message: "Fund not found" });
+      }
+
+      // Soft delete fund
+      fund.isActive = false;
+      await fund.save();
+
+      const { modifiedCount } = await PitchDeck.updateMany(
+        { organization: req.user.organization._id, fund: fund._id },
+        { $unset: { fund: 1 } }
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.FUND_DELETE,
+        target: { type: "fund", id: fund._id, label: fund.name },
+        metadata: { unassignedDecks: modifiedCount },
+      });
+
+      res.json({
+        message: "Fund deleted successfully",
+        unassignedDecks: modifiedCount,
+      });
+    } catch (error) {
+      console.error("Delete fund error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,11 @@ const { body, validationResult } = require("express-validator");
 const LiveConversation = require("../models/LiveConversation");
 const ConversationTranscript = require("../models/ConversationTranscript");
 const PitchDeck = require("../models/PitchDeck");
-const { authMiddleware, requireSAOrAnalyst } = require("../middleware/auth");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS, hasPermission } = require("../utils/permissions");
+const { deckAccessFilter, canAccessDeck } = require("../utils/deckAccess");
+const { AUDIT_ACTIONS, recordAudit } = require("../utils/audit");
+const { aiLimiter } = require("../utils/rateLimits");
 const {
   transcribeCompleteAudio,
   createLiveTranscription,
@@ -1192,7 +1196,8 @@ ${parsed.overallAssessment || "Assessment not available."}
 router.post(
   "/start",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_START),
+  aiLimiter,
   [
     body("pitchDeckId")
       .notEmpty()
@@ -1215,12 +1220,9 @@ router.post(
         _id: pitchDeckId,
         organization: req.user.organization._id,
         isActive: true,
+        ...(await deckAccessFilter(req, "editor")),
       };
 
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
-      }
-
       const pitchDeck = await PitchDeck.findOne(query);
       if (!pitchDeck) {
         return res.status(404).json({ message: "Pitch deck not found" });
@@ -1230,6 +1232,7 @@ router.post(
       const liveConversation = new LiveConversation({
         title: title || `Live conversation - ${pitchDeck.title}`,
         pitchDeck: pitchDeckId,
+        company: pitchDeck.company,
         organization: req.user.organization._id,
         createdBy: req.user._id,
         status: "ACTIVE",
@@ -1237,12 +1240,27 @@ router.post(
       });
 
       await liveConversation.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SESSION_START,
+        target: {
+          type: "live_conversation",
+          id: liveConversation._id,
+          label: liveConversation.title,
+        },
+        metadata: {
+          pitchDeckId: pitchDeck._id,
+          pitchDeckTitle: pitchDeck.title,
+        },
+      });
 
       // Generate WebSocket token (JWT with session info)
+      // Bound to the caller's auth session so logging out also cuts off the socket
       const jwt = require("jsonwebtoken");
       const wsToken = jwt.sign(
         {
           userId: req.user._id.toString(),
+          orgId: req.user.organization._id.toString(),
+          sid: req.authSession._id.toString(),
           sessionId: liveConversation._id.toString(),
           pitchDeckId: pitchDeckId,
         },
@@ -1269,48 +1287,49 @@ router.post(
 /**
  * Get session details
  */
-router.get("/:id", authMiddleware, requireSAOrAnalyst, async (req, res) => {
-  try {
-    const session = await LiveConversation.findOne({
-      _id: req.params.id,
-      organization: req.user.organization._id,
-      isActive: true,
-    })
-      .populate("pitchDeck", "title")
-      .populate("createdBy", "firstName lastName email")
-      .lean();
+router.get(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.SESSION_READ),
+  async (req, res) => {
+    try {
+      const session = await LiveConversation.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+        isActive: true,
+      })
+        .populate("pitchDeck", "title")
+        .populate("createdBy", "firstName lastName email")
+        .lean();
 
-    if (!session) {
-      return res.status(404).json({ message: "Session not found" });
-    }
+      if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+      }
 
-    // Check access for analysts
-    if (req.user.role === "ANALYST") {
-      const pitchDeck = await PitchDeck.findById(session.pitchDeck);
-      if (pitchDeck.uploadedBy.toString() !== req.user._id.toString()) {
+      if (!(await canAccessDeck(req, session.pitchDeck, "viewer"))) {
         return res.status(403).json({ message: "Access denied" });
       }
-    }
 
-    res.json({
-      sessionId: session._id.toString(),
-      title: session.title,
-      pitchDeck: session.pitchDeck,
-      status: session.status,
-      createdAt: session.startedAt,
-      endedAt: session.endedAt,
-      totalDuration: session.totalDuration,
-      transcriptCount: session.transcriptCount,
-      suggestionCount: session.suggestionCount,
-      summary: session.summary || null,
-      summaryState: session.summaryState || "pending",
-      detectedLanguages: session.metadata?.detectedLanguages || [],
-    });
-  } catch (error) {
-    console.error("Get session error:", error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        sessionId: session._id.toString(),
+        title: session.title,
+        pitchDeck: session.pitchDeck,
+        status: session.status,
+        createdAt: session.startedAt,
+        endedAt: session.endedAt,
+        totalDuration: session.totalDuration,
+        transcriptCount: session.transcriptCount,
+        suggestionCount: session.suggestionCount,
+        summary: session.summary || null,
+        summaryState: session.summaryState || "pending",
+        detectedLanguages: session.metadata?.detectedLanguages || [],
+      });
+    } catch (error) {
+      console.error("Get session error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 /**
  * Mark a suggested question as answered (triggers generation of new question)
@@ -1318,7 +1337,7 @@ router.get("/:id", authMiddleware, requireSAOrAnalyst, async (req, res) => {
 router.patch(
   "/:id/questions/:questionId/answered",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_START),
   async (req, res) => {
     try {
       const session = await LiveConversation.findOne({
@@ -1331,12 +1350,8 @@ router.patch(
         return res.status(404).json({ message: "Session not found" });
       }
 
-      // Check access for analysts
-      if (req.user.role === "ANALYST") {
-        const pitchDeck = await PitchDeck.findById(session.pitchDeck);
-        if (pitchDeck.uploadedBy.toString() !== req.user._id.toString()) {
-          return res.status(403).json({ message: "Access denied" });
-        }
+      if (!(await canAccessDeck(req, session.pitchDeck, "editor"))) {
+        return res.status(403).json({ message: "Access denied" });
       }
 
       // Find and mark question as answered
@@ -1479,7 +1494,7 @@ router.patch(
 router.delete(
   "/:id/questions/:questionId",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_START),
   async (req, res) => {
     try {
       const session = await LiveConversation.findOne({
@@ -1492,12 +1507,8 @@ router.delete(
         return res.status(404).json({ message: "Session not found" });
       }
 
-      // Check access for analysts
-      if (req.user.role === "ANALYST") {
-        const pitchDeck = await PitchDeck.findById(session.pitchDeck);
-        if (pitchDeck.uploadedBy.toString() !== req.user._id.toString()) {
-          return res.status(403).json({ message: "Access denied" });
-        }
+      if (!(await canAccessDeck(req, session.pitchDeck, "editor"))) {
+        return res.status(403).json({ message: "Access denied" });
       }
 
       // Find and mark question as deleted
@@ -1526,7 +1537,7 @@ router.delete(
 router.get(
   "/:id/transcript",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_READ),
   async (req, res) => {
     try {
       const session = await LiveConversation.findOne({
@@ -1539,12 +1550,8 @@ router.get(
         return res.status(404).json({ message: "Session not found" });
       }
 
-      // Check access for analysts
-      if (req.user.role === "ANALYST") {
-        const pitchDeck = await PitchDeck.findById(session.pitchDeck);
-        if (pitchDeck.uploadedBy.toString() !== req.user._id.toString()) {
-          return res.status(403).json({ message: "Access denied" });
-        }
+      if (!(await canAccessDeck(req, session.pitchDeck, "viewer"))) {
+        return res.status(403).json({ message: "Access denied" });
       }
 
       const transcripts = await ConversationTranscript.find({
@@ -1581,7 +1588,7 @@ router.get(
 router.get(
   "/pitch-deck/:pitchDeckId",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_READ),
   async (req, res) => {
     try {
       const { pitchDeckId } = req.params;
@@ -1591,12 +1598,9 @@ router.get(
         _id: pitchDeckId,
         organization: req.user.organization._id,
         isActive: true,
+        ...(await deckAccessFilter(req, "viewer")),
       };
 
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
-      }
-
       const pitchDeck = await PitchDeck.findOne(query).lean();
       if (!pitchDeck) {
         return res.status(404).json({ message: "Pitch deck not found" });
@@ -1643,7 +1647,7 @@ router.get(
 router.post(
   "/:id/stop",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_START),
   async (req, res) => {
     try {
       const session = await LiveConversation.findOne({
@@ -1656,12 +1660,8 @@ router.post(
         return res.status(404).json({ message: "Session not found" });
       }
 
-      // Check access for analysts
-      if (req.user.role === "ANALYST") {
-        const pitchDeck = await PitchDeck.findById(session.pitchDeck);
-        if (pitchDeck.uploadedBy.toString() !== req.user._id.toString()) {
-          return res.status(403).json({ message: "Access denied" });
-        }
+      if (!(await canAccessDeck(req, session.pitchDeck, "editor"))) {
+        return res.status(403).json({ message: "Access denied" });
       }
 
       const sessionIdString = session._id.toString();
@@ -1687,6 +1687,18 @@ router.post(
       );
       session.summaryState = "pending";
       await session.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SESSION_STOP,
+        target: {
+          type: "live_conversation",
+          id: session._id,
+          label: session.title,
+        },
+        metadata: {
+          pitchDeckId: session.pitchDeck,
+          totalDuration: session.totalDuration,
+        },
+      });
 
       // Kick off background processing
       setImmediate(() => {
@@ -1716,7 +1728,8 @@ router.post(
 router.post(
   "/:id/retry-summary",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.SESSION_START),
+  aiLimiter,
   async (req, res) => {
     try {
       const session = await LiveConversation.findOne({
@@ -1729,12 +1742,8 @@ router.post(
         return res.status(404).json({ message: "Session not found" });
       }
 
-      // Check access for analysts
-      if (req.user.role === "ANALYST") {
-        const pitchDeck = await PitchDeck.findById(session.pitchDeck);
-        if (pitchDeck.uploadedBy.toString() !== req.user._id.toString()) {
-          return res.status(403).json({ message: "Access denied" });
-        }
+      if (!(await canAccessDeck(req, session.pitchDeck, "editor"))) {
+        return res.status(403).json({ message: "Access denied" });
       }
 
       // Check if session has ended
@@ -1983,7 +1992,10 @@ function setupLiveConversationHandlers(io, socket) {
 
       // Verify session exists and user has access
       const session = await LiveConversation.findById(sessionId);
-      if (!session) {
+      if (
+        !session ||
+        session.organization.toString() !== socket.organizationId
+      ) {
         socket.emit("error", {
           message: "Session not found",
           code: "SESSION_NOT_FOUND",
@@ -1991,6 +2003,18 @@ function setupLiveConversationHandlers(io, socket) {
         return;
       }
 
+      // Joining streams audio into the session, so it needs the same access as starting one
+      if (
+        !hasPermission(socket, PERMISSIONS.SESSION_START) ||
+        !(await canAccessDeck(socket, session.pitchDeck, "editor"))
+      ) {
+        socket.emit("error", {
+          message: "Access denied",
+          code: "ACCESS_DENIED",
+        });
+        return;
+      }
+
       // Check if session is active
       if (session.status !== "ACTIVE") {
         socket.emit("error", {
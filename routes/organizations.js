@@ -0,0 +1,486 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Organization = require("../models/Organization");
+const ApiKey = require("../models/ApiKey");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  isAssignableRole,
+} = require("../utils/permissions");
+const { discover } = require("../utils/oidc");
+const { generateApiKey } = require("../utils/apiKeys");
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require("../utils/audit");
+const { DECK_FILE_TYPES, MAX_FILE_SIZE_LIMIT } = require("../utils/s3Upload");
+
+const router = express.Router();
+
+// Helper: SSO configuration as returned to clients (never includes the client secret)
+function formatSsoConfig(organization, hasClientSecret) {
+  const oidc = organization.sso?.oidc || {};
+  return {
+    domain: organization.domain || null,
+    oidc: {
+      enabled: Boolean(oidc.enabled),
+      issuer: oidc.issuer || null,
+      clientId: oidc.clientId || null,
+      scopes: oidc.scopes,
+      defaultRole: oidc.defaultRole,
+      hasClientSecret,
+    },
+  };
+}
+
+// Helper: organization as returned to clients
+function formatOrganization(organization) {
+  return {
+    id: organization._id,
+    name: organization.name,
+    description: organization.description,
+    domain: organization.domain || null,
+    settings: {
+      allowAnalystComments: organization.settings.allowAnalystComments,
+      maxFileSize: organization.settings.maxFileSize,
+      allowedFileTypes: organization.settings.allowedFileTypes,
+      requireMfa: organization.settings.requireMfa,
+    },
+    createdAt: organization.createdAt,
+  };
+}
+
+// Get current organization and its settings (any member, e.g. to show upload limits)
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      organization: formatOrganization(req.user.organization),
+      supportedFileTypes: DECK_FILE_TYPES,
+      maxFileSizeLimit: MAX_FILE_SIZE_LIMIT,
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update organization details and settings (org:manage)
+// MFA and SSO have their own endpoints because they need extra checks
+router.patch(
+  "/me",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Name cannot be empty"),
+    body("description").optional().trim(),
+    body("settings.allowAnalystComments").optional().isBoolean().toBoolean(),
+    body("settings.maxFileSize")
+      .optional()
+      .isInt({ min: 1024 * 1024, max: MAX_FILE_SIZE_LIMIT })
+      .withMessage(
+        `Max file size must be between 1MB and ${
+          MAX_FILE_SIZE_LIMIT / (1024 * 1024)
+        }MB (in bytes)`
+      )
+      .toInt(),
+    body("settings.allowedFileTypes")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("At least one file type must be allowed"),
+    body("settings.allowedFileTypes.*")
+      .trim()
+      .toLowerCase()
+      .isIn(DECK_FILE_TYPES)
+      .withMessage(`Allowed file types are ${DECK_FILE_TYPES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const organization = await Organization.findById(
+        req.user.organization._id
+      );
+      const before = formatOrganization(organization);
+
+      const { name, description, settings = {} } = req.body;
+      if (name !== undefined) organization.name = name;
+      if (description !== undefined) organization.description = description;
+      if (settings.allowAnalystComments !== undefined) {
+        organization.settings.allowAnalystComments =
+          settings.allowAnalystComments;
+      }
+      if (settings.maxFileSize !== undefined) {
+        organization.settings.maxFileSize = settings.maxFileSize;
+      }
+      if (settings.allowedFileTypes !== undefined) {
+        organization.settings.allowedFileTypes = [
+          ...new Set(settings.allowedFileTypes),
+        ];
+      }
+
+      await organization.save();
+
+      const after = formatOrganization(organization);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ORG_UPDATE,
+        target: {
+          type: "organization",
+          id: organization._id,
+          label: organization.name,
+        },
+        changes: diffFields(
+          {
+            ...before.settings,
+            name: before.name,
+            description: before.description,
+          },
+          {
+            ...after.settings,
+            name: after.name,
+            description: after.description,
+          }
+        ),
+      });
+
+      res.json({
+        message: "Organization updated successfully",
+        organization: after,
+      });
+    } catch (error) {
+      console.error("Update organization error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Require (or stop requiring) two-factor authentication for every user (org:manage)
+router.put(
+  "/me/mfa-policy",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  [body("requireMfa").isBoolean().toBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // The SA turning this on must not lock themselves out
+      if (req.body.requireMfa && !req.user.mfa?.enabled) {
+        return res.status(400).json({
+          message:
+            "Enable two-factor authentication on your own account before requiring it for the organization",
+        });
+      }
+
+      const organization = await Organization.findByIdAndUpdate(
+        req.user.organization._id,
+        { $set: { "settings.requireMfa": req.body.requireMfa } },
+        { new: true }
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ORG_UPDATE,
+        target: {
+          type: "organization",
+          id: organization._id,
+          label: organization.name,
+        },
+        changes: diffFields(
+          { requireMfa: req.user.organization.settings?.requireMfa },
+          { requireMfa: organization.settings.requireMfa }
+        ),
+      });
+
+      res.json({
+        message: "MFA policy updated successfully",
+        requireMfa: organization.settings.requireMfa,
+      });
+    } catch (error) {
+      console.error("Update MFA policy error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get OIDC single sign-on configuration (org:manage)
+router.get(
+  "/me/sso",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  async (req, res) => {
+    try {
+      const organization = await Organization.findById(
+        req.user.organization._id
+      ).select("+sso.oidc.clientSecret");
+
+      res.json({
+        sso: formatSsoConfig(
+          organization,
+          Boolean(organization.sso?.oidc?.clientSecret)
+        ),
+      });
+    } catch (error) {
+      console.error("Get SSO config error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Configure OIDC single sign-on (org:manage)
+router.put(
+  "/me/sso",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  [
+    body("enabled").isBoolean().toBoolean(),
+    body("issuer").optional().isURL({ require_tld: false }),
+    body("clientId").optional().trim().notEmpty(),
+    body("clientSecret").optional().isString(),
+    body("scopes").optional().trim().notEmpty(),
+    body("defaultRole").optional().trim().toUpperCase(),
+    body("domain")
+      .optional()
+      .trim()
+      .toLowerCase()
+      .isFQDN()
+      .withMessage("Domain must be a valid email domain, e.g. acme.vc"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const organization = await Organization.findById(
+        req.user.organization._id
+      ).select("+sso.oidc.clientSecret");
+      const before = formatSsoConfig(
+        organization,
+        Boolean(organization.sso?.oidc?.clientSecret)
+      );
+
+      const {
+        enabled,
+        issuer,
+        clientId,
+        clientSecret,
+        scopes,
+        defaultRole,
+        domain,
+      } = req.body;
+
+      if (
+        defaultRole !== undefined &&
+        !(await isAssignableRole(defaultRole, organization._id))
+      ) {
+        return res.status(400).json({ message: "Unknown default role" });
+      }
+
+      const oidc = organization.sso.oidc;
+      if (issuer !== undefined) oidc.issuer = issuer.replace(/\/+$/, "");
+      if (clientId !== undefined) oidc.clientId = clientId;
+      if (clientSecret !== undefined) oidc.clientSecret = clientSecret;
+      if (scopes !== undefined) oidc.scopes = scopes;
+      if (defaultRole !== undefined) oidc.defaultRole = defaultRole;
+      if (domain !== undefined) organization.domain = domain;
+      oidc.enabled = enabled;
+
+      if (enabled) {
+        if (!oidc.issuer || !oidc.clientId || !organization.domain) {
+          return res.status(400).json({
+            message:
+              "Issuer, client ID and domain are required to enable single sign-on",
+          });
+        }
+
+        // Fail fast on a misconfigured issuer
+        try {
+          await discover(oidc.issuer);
+        } catch (discoveryError) {
+          return res.status(400).json({
+            message: "Could not load the issuer's OpenID configuration",
+            error: discoveryError.message,
+          });
+        }
+
+        const domainOwner = await Organization.findOne({
+          _id: { $ne: organization._id },
+          domain: organization.domain,
+          "sso.oidc.enabled": true,
+        });
+        if (domainOwner) {
+          return res.status(400).json({
+            message:
+              "Another organization already uses single sign-on for this domain",
+          });
+        }
+      }
+
+      await organization.save();
+
+      const after = formatSsoConfig(organization, Boolean(oidc.clientSecret));
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ORG_UPDATE,
+        target: {
+          type: "organization",
+          id: organization._id,
+          label: organization.name,
+        },
+        // The client secret itself is never written to the audit log
+        changes: diffFields(
+          { ...before.oidc, domain: before.domain },
+          { ...after.oidc, domain: after.domain }
+        ),
+        metadata: { section: "sso" },
+      });
+
+      res.json({
+        message: "SSO configuration updated successfully",
+        sso: after,
+      });
+    } catch (error) {
+      console.error("Update SSO config error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// List API keys (org:manage)
+router.get(
+  "/api-keys",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  async (req, res) => {
+    try {
+      const apiKeys = await ApiKey.find({
+        organization: req.user.organization._id,
+      })
+        .populate("createdBy", "firstName lastName email")
+        .populate("revokedBy", "firstName lastName email")
+        .sort({ createdAt: -1 });
+
+      res.json({ apiKeys, availableScopes: API_KEY_SCOPES });
+    } catch (error) {
+      console.error("Get API keys error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create API key (org:manage); the key itself is only returned here
+router.post(
+  "/api-keys",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  [
+    body("name").trim().notEmpty().withMessage("Key name is required"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("At least one scope is required"),
+    body("scopes.*").isIn(API_KEY_SCOPES).withMessage("Unknown scope"),
+    body("expiresAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Expiry must be an ISO 8601 date")
+      .toDate(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, scopes, expiresAt } = req.body;
+
+      if (expiresAt && expiresAt <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "Expiry must be in the future" });
+      }
+
+      // The key acts as its creator, so it can't be scoped beyond their own permissions
+      const missing = scopes.filter(
+        (scope) => !req.permissions.includes(scope)
+      );
+      if (missing.length > 0) {
+        return res.status(403).json({
+          message: "You cannot grant scopes you do not have",
+          missing,
+        });
+      }
+
+      const { key, keyPrefix, keyHash } = generateApiKey();
+      const apiKey = new ApiKey({
+        name,
+        keyPrefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt,
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+      });
+      await apiKey.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ORG_API_KEY_CREATE,
+        target: { type: "api_key", id: apiKey._id, label: apiKey.name },
+        metadata: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+      });
+
+      res.status(201).json({
+        message:
+          "API key created successfully. Store it now, it won't be shown again.",
+        key,
+        apiKey,
+      });
+    } catch (error) {
+      console.error("Create API key error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Revoke API key (org:manage)
+router.delete(
+  "/api-keys/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORG_MANAGE),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+      });
+
+      if (!apiKey) {
+        return res.status(404).json({ message: "API key not found" });
+      }
+
+      if (apiKey.revokedAt) {
+        return res.status(400).json({ message: "API key is already revoked" });
+      }
+
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user._id;
+      await apiKey.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ORG_API_KEY_REVOKE,
+        target: { type: "api_key", id: apiKey._id, label: apiKey.name },
+      });
+
+      res.json({ message: "API key revoked successfully" });
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,27 +1,71 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const { body, query, validationResult } = require("express-validator");
 const PitchDeck = require("../models/PitchDeck");
 const Thesis = require("../models/Thesis");
 const Comment = require("../models/Comment");
 const PitchDeckMessage = require("../models/PitchDeckMessage");
 const SupportingDocument = require("../models/SupportingDocument");
-const { authMiddleware, requireSAOrAnalyst } = require("../middleware/auth");
+const User = require("../models/User");
+const Team = require("../models/Team");
+const Fund = require("../models/Fund");
+const Company = require("../models/Company");
+const DiligenceChecklist = require("../models/DiligenceChecklist");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS, hasPermission } = require("../utils/permissions");
+const { deckAccessFilter } = require("../utils/deckAccess");
+const { organizationUsersFilter } = require("../utils/memberships");
+const { resolveDeckThesis } = require("../utils/thesisResolver");
+const { evaluateThesisRules } = require("../utils/thesisRules");
+const {
+  FIT_ASSESSMENT_SCHEMA,
+  assessThesisFit,
+} = require("../utils/thesisFit");
+const { suggestCompanies, assignDeckCompany } = require("../utils/companies");
+const {
+  diffAnalyses,
+  latestEntriesByVersion,
+  getAnalysisVersion,
+} = require("../utils/analysisVersions");
+const {
+  EVIDENCE_SOURCES,
+  createDiligenceChecklist,
+  addOpenQuestions,
+  getDiligenceChecklist,
+  summarizeChecklist,
+  resolveEvidence,
+} = require("../utils/diligenceChecklist");
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require("../utils/audit");
+const { aiLimiter } = require("../utils/rateLimits");
 const {
   upload,
   uploadToS3,
   generateFileKey,
   generateSignedUrl,
 } = require("../utils/s3Upload");
-const Perplexity = require("@perplexity-ai/perplexity_ai");
+const { perplexity } = require("../utils/perplexity");
 const fs = require("fs");
-const { tryParseJson, stripCodeFences } = require("../utils/helpers");
+const {
+  tryParseJson,
+  stripCodeFences,
+  dateRangeFilter,
+  escapeRegex,
+  getPath,
+} = require("../utils/helpers");
 
 const router = express.Router();
-const perplexity = new Perplexity({
-  apiKey: process.env.PERPLEXITY_API_KEY, // if not already set
-  timeout: 600000, // 10 minutes in ms; tweak lower/higher as you like
-  maxRetries: 3,
-});
+
+// Theses a deck can be assessed against in one side-by-side request
+const MAX_FIT_THESES = 5;
+// analysis.dealAttributes fields analysts can correct
+const DEAL_ATTRIBUTE_FIELDS = [
+  "sectors",
+  "keywords",
+  "stage",
+  "geography",
+  "raiseAmount",
+  "ownershipOffered",
+];
 
 // Helper: normalize analysis object (clean weird summary formatting, code fences, nested JSON, etc.)
 function normalizeAnalysisObject(analysis) {
@@ -144,11 +188,63 @@ CRITICAL RULES:
   }
 }
 
+// Helper: load an active fund of the organization (null for unknown or malformed IDs)
+async function findActiveFund(fundId, organizationId) {
+  if (!mongoose.isValidObjectId(fundId)) return null;
+  return Fund.findOne({
+    _id: fundId,
+    organization: organizationId,
+    isActive: true,
+  });
+}
+
+async function findActiveCompany(companyId, organizationId) {
+  if (!mongoose.isValidObjectId(companyId)) return null;
+  return Company.findOne({
+    _id: companyId,
+    organization: organizationId,
+    isActive: true,
+  });
+}
+
+// Helper: query for the deck in req.params.id if the caller can access it at the given level
+async function accessibleDeckQuery(req, level) {
+  return {
+    _id: req.params.id,
+    organization: req.user.organization._id,
+    isActive: true,
+    ...(await deckAccessFilter(req, level)),
+  };
+}
+
+// Helper: load a deck the caller can access at the given level
+async function findAccessibleDeck(req, level) {
+  return PitchDeck.findOne(await accessibleDeckQuery(req, level));
+}
+
+// Middleware: 404 unless the caller can access the deck at the given level; goes
+// before upload middleware so files for other decks are never buffered
+function requireAccessibleDeck(level) {
+  return async (req, res, next) => {
+    try {
+      if (!(await PitchDeck.exists(await accessibleDeckQuery(req, level)))) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+      next();
+    } catch (error) {
+      console.error("Deck access check error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
 // Upload pitch deck
+// Without companyId, the response suggests existing companies matching the title or website
 router.post(
   "/upload",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  aiLimiter,
   upload.single("pitchDeck"),
   async (req, res) => {
     try {
@@ -156,11 +252,28 @@ router.post(
         return res.status(400).json({ message: "No file uploaded" });
       }
 
-      const { title, description } = req.body;
+      const { title, description, fundId, companyId, website } = req.body;
       if (!title) {
         return res.status(400).json({ message: "Title is required" });
       }
 
+      // Optional fund assignment decides which thesis the deck is assessed against
+      let fund = null;
+      if (fundId) {
+        fund = await findActiveFund(fundId, req.user.organization._id);
+        if (!fund) {
+          return res.status(400).json({ message: "Fund not found" });
+        }
+      }
+
+      let company = null;
+      if (companyId) {
+        company = await findActiveCompany(companyId, req.user.organization._id);
+        if (!company) {
+          return res.status(400).json({ message: "Company not found" });
+        }
+      }
+
       // Convert file to base64 for analysis
       const encodedFile = req.file.buffer.toString("base64");
 
@@ -172,6 +285,8 @@ router.post(
         originalFileKey: "", // Will be set after S3 upload
         organization: req.user.organization._id,
         uploadedBy: req.user._id,
+        fund: fund?._id,
+        company: company?._id,
         status: "ANALYZING",
         metadata: {
           fileSize: req.file.size,
@@ -182,6 +297,9 @@ router.post(
 
       await pitchDeck.save();
 
+      // Diligence criteria and red flags of the deck's thesis; open questions follow the analysis
+      await createDiligenceChecklist(pitchDeck);
+
       // Fire-and-forget background AI analysis (with base64 file)
       const pitchDeckId = pitchDeck._id;
       const fileName = req.file.originalname;
@@ -201,17 +319,36 @@ router.post(
         });
       });
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_UPLOAD,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: { fileName, fileSize: req.file.size },
+      });
+
+      const companySuggestions = company
+        ? []
+        : await suggestCompanies(req.user.organization._id, {
+            name: title,
+            website,
+          });
+
       res.status(201).json({
         message: "Pitch deck uploaded; analysis is running in the background",
         pitchDeck: {
           id: pitchDeck._id,
           title: pitchDeck.title,
           description: pitchDeck.description,
+          company: company ? { id: company._id, name: company.name } : null,
           status: pitchDeck.status,
           uploadedAt: pitchDeck.createdAt,
           analysis: null,
           analysisPending: true,
         },
+        companySuggestions,
       });
     } catch (error) {
       console.error("Pitch deck upload error:", error);
@@ -220,27 +357,44 @@ router.post(
   }
 );
 
-// Background AI analysis function with base64 file
+// Background AI analysis function with base64 file.
+// For a new deck version pass { previousAnalysis, previousStatus, version, fileVersion,
+// authorId }: the file is already stored (fileBuffer null) and the previous analysis is
+// given as context.
 async function analyzePitchDeckWithBase64(
   pitchDeckId,
   encodedFile,
   fileName,
-  fileBuffer
+  fileBuffer,
+  {
+    previousAnalysis = null,
+    previousStatus = "COMPLETED",
+    version = 1,
+    fileVersion = null,
+    authorId = null,
+  } = {}
 ) {
+  const isNewVersion = Boolean(previousAnalysis);
   try {
     // Update status to analyzing
     await PitchDeck.findByIdAndUpdate(pitchDeckId, { status: "ANALYZING" });
 
     const startTime = Date.now();
 
-    // Fetch latest active thesis for this organization to assess fit
+    // Sector research and fit results are regenerated, so only the deck analysis is passed on
+    let previousAnalysisContext = "";
+    if (isNewVersion) {
+      const { sectorAnalysis, fitAssessment, ruleAssessment, ...previous } =
+        previousAnalysis;
+      previousAnalysisContext = `
+
+This is a revised version of a deck that was analyzed before. The previous analysis (JSON below) is context only: base the new analysis on the revised deck and call out material changes (traction, ask, team, financials) in keyPoints.
+${JSON.stringify(previous)}`;
+    }
+
+    // Assess fit against the thesis of the deck's fund (or the organization default)
     const pdRecord = await PitchDeck.findById(pitchDeckId).lean();
-    const latestThesis = await Thesis.findOne({
-      organization: pdRecord.organization,
-      isActive: true,
-    })
-      .sort({ updatedAt: -1 })
-      .lean();
+    const fitThesis = await resolveDeckThesis(pdRecord);
 
     // Generate AI analysis using Perplexity with retries
     const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -288,34 +442,27 @@ Return this JSON structure:
   "opportunities": ["List 3-5 growth opportunities or strengths."],
   "recommendation": "One of: 'Pass', 'Request More Info', 'Schedule Meeting', or 'Proceed to Diligence'. Include 1-line rationale.",
   "confidenceScore": 1-10,
-  "fitAssessment": {
-    "overallFit": "STRONG | PARTIAL | WEAK",
-    "rationale": "Explain main reasons for this fit rating.",
-    "alignment": {
-      "sectors": [{ "match": true/false, "details": "text or 'unknown'" }],
-      "stage": [{ "match": true/false, "details": "text or 'unknown'" }],
-      "geography": [{ "match": true/false, "details": "text or 'unknown'" }],
-      "checkSize": { "match": true/false, "details": "text or 'unknown'" },
-      "ownershipTargets": { "match": true/false, "details": "text or 'unknown'" },
-      "timeHorizon": { "match": true/false, "details": "text or 'unknown'" },
-      "returnTargets": { "match": true/false, "details": "text or 'unknown'" },
-      "riskTolerance": { "match": true/false, "details": "text or 'unknown'" },
-      "constraintsAndExclusions": [{ "violated": true/false, "details": "text or 'unknown'" }]
-    },
-    "openQuestions": ["Top 5 questions the analyst should ask to validate assumptions."]
-  }
+  "dealAttributes": {
+    "sectors": ["Sector(s) the company operates in, e.g. 'Fintech'."],
+    "keywords": ["3-8 short descriptors of the product and business model, e.g. 'payments', 'B2B SaaS'."],
+    "stage": "Funding stage of the current round, e.g. 'Seed' or 'Series A' — or 'unknown'.",
+    "geography": ["Headquarters country and its region, e.g. 'Germany', 'Europe'."],
+    "raiseAmount": { "amount": "Amount raised in this round as a plain number, or null", "currency": "Currency code (USD, EUR, etc.) or null" },
+    "ownershipOffered": "Percentage of equity offered in this round as a plain number, or null"
+  },
+  "fitAssessment": ${FIT_ASSESSMENT_SCHEMA}
 }
 
 Keep tone professional, clear, and investor-grade. Output valid JSON only.
 
 Firm thesis (JSON below). Use it strictly to assess fit; do not alter it.
 ${
-  latestThesis && latestThesis.profile
-    ? JSON.stringify(latestThesis.profile)
-    : latestThesis && latestThesis.content
-    ? String(latestThesis.content)
+  fitThesis && fitThesis.profile
+    ? JSON.stringify(fitThesis.profile)
+    : fitThesis && fitThesis.content
+    ? String(fitThesis.content)
     : "No firm thesis available."
-}`,
+}${previousAnalysisContext}`,
                   },
 
                   {
@@ -398,8 +545,8 @@ ${
         recommendation: "See detailed analysis",
         confidenceScore: 7,
         fitAssessment: {
-          overallFit: latestThesis ? "PARTIAL" : "UNKNOWN",
-          rationale: latestThesis
+          overallFit: fitThesis ? "PARTIAL" : "UNKNOWN",
+          rationale: fitThesis
             ? "Heuristic fallback fit due to non-JSON AI response. Review manually."
             : "No thesis available to assess fit.",
           alignment: {
@@ -421,6 +568,9 @@ ${
     // Normalize analysis (fix weird summary formatting, nested JSON, code fences, etc.)
     analysis = normalizeAnalysisObject(analysis);
 
+    // Rule-based fit next to the AI fitAssessment
+    analysis.ruleAssessment = evaluateThesisRules(analysis, fitThesis);
+
     // Generate separate, detailed sector analysis using web search
     const sectorAnalysis = await generateSectorAnalysisForPitchDeck(
       pdRecord,
@@ -433,18 +583,34 @@ ${
     const endTime = Date.now();
     const analysisDuration = endTime - startTime;
 
-    // Upload file to S3 after successful analysis
-    const fileKey = generateFileKey(
-      fileName,
-      pdRecord.organization,
-      "pitch-decks"
-    );
-    // fileBuffer is actually req.file object with buffer and mimetype
-    const fileUrl = await uploadToS3(fileBuffer, fileKey);
+    // Upload file to S3 after successful analysis (new versions are stored on upload)
+    const fileFields = {};
+    if (fileBuffer) {
+      const fileKey = generateFileKey(
+        fileName,
+        pdRecord.organization,
+        "pitch-decks"
+      );
+      // fileBuffer is actually req.file object with buffer and mimetype
+      fileFields.originalFileUrl = await uploadToS3(fileBuffer, fileKey);
+      fileFields.originalFileKey = fileKey;
+      fileFields.fileVersions = [
+        {
+          version: 1,
+          fileKey,
+          fileUrl: fileFields.originalFileUrl,
+          fileName,
+          fileSize: fileBuffer.size,
+          fileType: fileBuffer.mimetype,
+          uploadedBy: pdRecord.uploadedBy,
+          uploadedAt: pdRecord.metadata?.uploadDate,
+        },
+      ];
+    }
 
     // Save to analysis history
     const analysisRecord = {
-      version: 1,
+      version,
       analysis: {
         ...analysis,
         analysisDate: new Date(),
@@ -452,7 +618,7 @@ ${
       },
       analysisRaw: analysisText,
       analysisDate: new Date(),
-      trigger: "initial",
+      trigger: isNewVersion ? "updated_deck" : "initial",
     };
 
     // Update pitch deck with analysis and S3 URLs
@@ -466,10 +632,10 @@ ${
             aiModel: "sonar-pro",
           },
           analysisRaw: analysisText,
-          analysisVersion: 1,
+          analysisVersion: version,
+          fitThesis: fitThesis?._id,
           status: "COMPLETED",
-          originalFileUrl: fileUrl,
-          originalFileKey: fileKey,
+          ...fileFields,
           "metadata.analysisDuration": analysisDuration,
         },
         $push: {
@@ -482,20 +648,32 @@ ${
     // Create initial message with analysis (special case: no user query for initial analysis)
     await PitchDeckMessage.create({
       pitchDeck: pitchDeckId,
-      author: pdRecord.uploadedBy,
+      author: authorId || pdRecord.uploadedBy,
       organization: pdRecord.organization,
-      userQuery: "[Initial pitch deck upload]",
+      userQuery: isNewVersion
+        ? `[Updated pitch deck: ${fileName}]`
+        : "[Initial pitch deck upload]",
       attachments: [],
       aiResponse: analysis,
-      responseType: "initial",
+      responseType: isNewVersion ? "full_analysis" : "initial",
       requiresAnalysisUpdate: true,
-      analysisVersion: 1,
+      analysisVersion: version,
       metadata: {
         processingTime: analysisDuration,
         model: "sonar-pro",
       },
     });
 
+    await addOpenQuestions(
+      updatedPitchDeck,
+      analysis.fitAssessment?.openQuestions
+    ).catch((err) => {
+      console.error(
+        `Failed to add open questions to checklist of ${pitchDeckId}:`,
+        err
+      );
+    });
+
     console.log(
       `Pitch deck ${pitchDeckId} analysis completed in ${analysisDuration}ms`
     );
@@ -503,6 +681,23 @@ ${
     return updatedPitchDeck;
   } catch (error) {
     console.error("Pitch deck analysis error:", error);
+    if (isNewVersion) {
+      // Keep the previous analysis and status; the error is recorded on the file version
+      // and uploading the version again retries
+      await PitchDeck.updateOne(
+        { _id: pitchDeckId, "fileVersions.version": fileVersion },
+        {
+          $set: {
+            status: previousStatus,
+            "fileVersions.$.analysisError": {
+              message: error.message,
+              failedAt: new Date(),
+            },
+          },
+        }
+      );
+      return;
+    }
     await PitchDeck.findByIdAndUpdate(pitchDeckId, {
       status: "FAILED",
       analysis: {
@@ -531,204 +726,1594 @@ ${
   }
 }
 
-// Get pitch decks (SA can see all, Analysts see only their own)
-router.get("/", authMiddleware, requireSAOrAnalyst, async (req, res) => {
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort orders of the deck list; _id breaks ties so cursors are stable
+const DECK_SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  confidence: { field: "analysis.confidenceScore", direction: -1 },
+  // Thesis rules-engine score (0-100); the AI's fitAssessment.overallFit is a filter only
+  fit: { field: "analysis.ruleAssessment.score", direction: -1 },
+};
+
+const deckListValidators = [
+  query("q").optional().trim().isLength({ max: 200 }),
+  query("status")
+    .optional()
+    .custom((value) =>
+      String(value)
+        .split(",")
+        .every((status) =>
+          ["UPLOADED", "ANALYZING", "COMPLETED", "FAILED"].includes(
+            status.trim()
+          )
+        )
+    )
+    .withMessage("Invalid status"),
+  query("uploadedBy").optional().isMongoId().withMessage("Invalid uploader ID"),
+  query("sector").optional().trim().notEmpty(),
+  query("fit")
+    .optional()
+    .isIn(["STRONG", "PARTIAL", "WEAK"])
+    .withMessage("fit must be STRONG, PARTIAL or WEAK"),
+  query("verdict")
+    .optional()
+    .isIn(["PASS", "FAIL", "INCOMPLETE"])
+    .withMessage("verdict must be PASS, FAIL or INCOMPLETE"),
+  query("minConfidence").optional().isFloat({ min: 0, max: 10 }).toFloat(),
+  query("maxConfidence").optional().isFloat({ min: 0, max: 10 }).toFloat(),
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+  query("sort")
+    .optional()
+    .isIn(Object.keys(DECK_SORTS))
+    .withMessage(`sort must be one of ${Object.keys(DECK_SORTS).join(", ")}`),
+  query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  query("cursor").optional().isString(),
+];
+
+// Helper: opaque cursor holding the sort value and _id of the last deck of a page
+function encodeDeckCursor(pitchDeck, sort) {
+  const value = getPath(pitchDeck, sort.field);
+  return Buffer.from(
+    JSON.stringify({ value: value ?? null, id: pitchDeck._id })
+  ).toString("base64url");
+}
+
+// Helper: filter for the decks after a cursor; null if the cursor is malformed
+function deckCursorFilter(cursor, sort) {
+  let decoded;
   try {
-    const query = {
-      organization: req.user.organization._id,
-      isActive: true,
-    };
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+  if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id)) return null;
+
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  const after = sort.direction === -1 ? "$lt" : "$gt";
+  let value = decoded.value;
+  if (sort.field === "createdAt") {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) return null;
+  }
+
+  // Decks without a score sort last in descending order
+  if (value === null) {
+    return { [sort.field]: null, _id: { [after]: id } };
+  }
+  return {
+    $or: [
+      { [sort.field]: { [after]: value } },
+      { [sort.field]: value, _id: { [after]: id } },
+      ...(sort.direction === -1 ? [{ [sort.field]: null }] : []),
+    ],
+  };
+}
+
+// Helper: build the deck list filter from query parameters; status accepts a comma-separated list
+function buildDeckListFilter(req) {
+  const {
+    q,
+    status,
+    uploadedBy,
+    sector,
+    fit,
+    verdict,
+    minConfidence,
+    maxConfidence,
+    from,
+    to,
+  } = req.query;
+  const filter = {};
+
+  if (q) filter.$text = { $search: q };
+  if (status) {
+    filter.status = { $in: status.split(",").map((entry) => entry.trim()) };
+  }
+  if (uploadedBy) filter.uploadedBy = new mongoose.Types.ObjectId(uploadedBy);
+  if (sector) {
+    filter["analysis.dealAttributes.sectors"] = new RegExp(
+      `^${escapeRegex(sector)}$`,
+      "i"
+    );
+  }
+  // The AI does not always upper-case its fit rating
+  if (fit) {
+    filter["analysis.fitAssessment.overallFit"] = new RegExp(`^${fit}$`, "i");
+  }
+  if (verdict) filter["analysis.ruleAssessment.verdict"] = verdict;
+
+  if (minConfidence !== undefined || maxConfidence !== undefined) {
+    filter["analysis.confidenceScore"] = {};
+    if (minConfidence !== undefined) {
+      filter["analysis.confidenceScore"].$gte = minConfidence;
+    }
+    if (maxConfidence !== undefined) {
+      filter["analysis.confidenceScore"].$lte = maxConfidence;
+    }
+  }
+
+  if (from || to) filter.createdAt = dateRangeFilter(from, to);
+
+  return filter;
+}
+
+// Get pitch decks (deck:read_all sees every deck, others their own and shared ones)
+// Supports full-text search (q), filters, sort and cursor pagination
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  deckListValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sort = DECK_SORTS[req.query.sort || "newest"];
+      const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+      // Without deck:read_all, users see decks they uploaded or that were shared with them
+      const filter = {
+        organization: req.user.organization._id,
+        isActive: true,
+        ...(await deckAccessFilter(req, "viewer")),
+        ...buildDeckListFilter(req),
+      };
+
+      if (req.query.cursor) {
+        const cursorFilter = deckCursorFilter(req.query.cursor, sort);
+        if (!cursorFilter) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        // $and keeps the cursor's $or apart from the access filter's $or
+        filter.$and = [cursorFilter];
+      }
+
+      const pitchDecks = await PitchDeck.find(filter)
+        .select("-analysisHistory -analysisRaw")
+        .populate("uploadedBy", "firstName lastName email")
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = pitchDecks.length > limit;
+      const page = hasMore ? pitchDecks.slice(0, limit) : pitchDecks;
+
+      res.json({
+        pitchDecks: page,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore
+            ? encodeDeckCursor(page[page.length - 1], sort)
+            : null,
+        },
+      });
+    } catch (error) {
+      console.error("Get pitch decks error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the stored sector analysis of a pitch deck
+router.get(
+  "/:id/sector-analysis",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      // Without deck:read_all, users see decks they uploaded or that were shared with them
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const sectorAnalysis = pitchDeck.analysis?.sectorAnalysis;
+      if (!sectorAnalysis) {
+        return res.status(404).json({
+          message:
+            "Sector analysis not available yet. Run initial analysis first or generate it.",
+        });
+      }
+
+      res.json({
+        pitchDeckId: pitchDeck._id.toString(),
+        sectorAnalysis,
+      });
+    } catch (error) {
+      console.error("Get sector analysis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Generate (or refresh) the sector analysis with a web-search AI call (editor access)
+router.post(
+  "/:id/sector-analysis",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  aiLimiter,
+  async (req, res) => {
+    try {
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+      if (!pitchDeck.analysis) {
+        return res.status(400).json({
+          message: "Run the initial analysis before the sector analysis",
+        });
+      }
+
+      const baseAnalysis = normalizeAnalysisObject(
+        pitchDeck.analysis.toObject
+          ? pitchDeck.analysis.toObject()
+          : pitchDeck.analysis
+      );
+      const sectorAnalysis = await generateSectorAnalysisForPitchDeck(
+        pitchDeck,
+        baseAnalysis
+      );
+      if (!sectorAnalysis) {
+        return res.status(502).json({
+          message: "Sector analysis could not be generated. Try again later.",
+        });
+      }
+
+      await PitchDeck.findByIdAndUpdate(pitchDeck._id, {
+        $set: {
+          "analysis.sectorAnalysis": sectorAnalysis,
+        },
+      });
+
+      res.json({
+        pitchDeckId: pitchDeck._id.toString(),
+        sectorAnalysis,
+      });
+    } catch (error) {
+      console.error("Generate sector analysis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get live sessions for a pitch deck
+router.get(
+  "/:id/live-sessions",
+  authMiddleware,
+  requirePermission(PERMISSIONS.SESSION_READ),
+  async (req, res) => {
+    try {
+      // Without deck:read_all, users see decks they uploaded or that were shared with them
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const LiveConversation = require("../models/LiveConversation");
+      const sessions = await LiveConversation.find({
+        pitchDeck: pitchDeck._id,
+        organization: req.user.organization._id,
+        isActive: true,
+      })
+        .sort({ createdAt: -1 })
+        .select(
+          "_id title status startedAt endedAt totalDuration transcriptCount suggestionCount"
+        )
+        .lean();
+
+      res.json({
+        sessions: sessions.map((s) => ({
+          sessionId: s._id.toString(),
+          title: s.title,
+          status: s.status,
+          createdAt: s.startedAt,
+          endedAt: s.endedAt,
+          duration: s.totalDuration,
+          transcriptCount: s.transcriptCount,
+          suggestionCount: s.suggestionCount,
+        })),
+      });
+    } catch (error) {
+      console.error("Get live sessions error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get specific pitch deck
+router.get(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      // Without deck:read_all, users see decks they uploaded or that were shared with them
+      const pitchDeck = await PitchDeck.findOne(
+        await accessibleDeckQuery(req, "viewer")
+      )
+        .populate("uploadedBy", "firstName lastName email")
+        .populate("company", "name website sector");
+
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      // Generate signed URL for file access (valid for limited time)
+      let signedFileUrl = pitchDeck.originalFileUrl;
+      if (pitchDeck.originalFileKey) {
+        signedFileUrl = await generateSignedUrl(pitchDeck.originalFileKey);
+      }
+
+      const checklist = await DiligenceChecklist.findOne({
+        pitchDeck: pitchDeck._id,
+      }).select("items.status");
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_VIEW,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+      });
+
+      res.json({
+        pitchDeck: {
+          ...pitchDeck.toObject(),
+          originalFileUrl: signedFileUrl,
+          // Diligence checklist progress; details via GET /:id/checklist
+          checklist: checklist ? summarizeChecklist(checklist) : null,
+        },
+      });
+    } catch (error) {
+      console.error("Get pitch deck error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
 
-    // Analysts can only see their own pitch decks
-    if (req.user.role === "ANALYST") {
-      query.uploadedBy = req.user._id;
+// Add comment to pitch deck
+router.post(
+  "/:id/comments",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_COMMENT),
+  [
+    body("content")
+      .trim()
+      .notEmpty()
+      .withMessage("Comment content is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { content } = req.body;
+
+      // Organizations can limit commenting to users who see every deck
+      if (
+        req.user.organization.settings?.allowAnalystComments === false &&
+        !hasPermission(req, PERMISSIONS.DECK_READ_ALL)
+      ) {
+        return res.status(403).json({
+          message: "Comments are disabled for your role in this organization",
+        });
+      }
+
+      // Check if pitch deck exists and user has access
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      // Create comment
+      const comment = new Comment({
+        content,
+        pitchDeck: pitchDeck._id,
+        author: req.user._id,
+        organization: req.user.organization._id,
+      });
+
+      await comment.save();
+      await comment.populate("author", "firstName lastName email");
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_COMMENT,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: { commentId: comment._id },
+      });
+
+      res.status(201).json({
+        message: "Comment added successfully",
+        comment,
+      });
+    } catch (error) {
+      console.error("Add comment error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get comments for pitch deck
+router.get(
+  "/:id/comments",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      // Check if pitch deck exists and user has access
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const comments = await Comment.find({
+        pitchDeck: pitchDeck._id,
+        isActive: true,
+      })
+        .populate("author", "firstName lastName email")
+        .sort({ createdAt: -1 });
+
+      res.json({ comments });
+    } catch (error) {
+      console.error("Get comments error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete pitch deck (deck:read_all with deck:upload can delete any, others only the ones they uploaded)
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_DELETE),
+  async (req, res) => {
+    try {
+      // Without deck:read_all and deck:upload, only the uploader can delete a pitch deck
+      const pitchDeck = await findAccessibleDeck(req, "owner");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      // Soft delete pitch deck
+      pitchDeck.isActive = false;
+      await pitchDeck.save();
+
+      // Soft delete all comments
+      await Comment.updateMany(
+        { pitchDeck: pitchDeck._id },
+        { isActive: false }
+      );
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_DELETE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+      });
+
+      res.json({ message: "Pitch deck deleted successfully" });
+    } catch (error) {
+      console.error("Delete pitch deck error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// ====================================================================================
+// SHARING
+// ====================================================================================
+
+// Get who a pitch deck is shared with
+router.get(
+  "/:id/access",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const pitchDeck = await PitchDeck.findOne(
+        await accessibleDeckQuery(req, "viewer")
+      )
+        .select("uploadedBy access")
+        .populate("uploadedBy", "firstName lastName email")
+        .populate("access.grantedBy", "firstName lastName email");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      // Principals can be users or teams, so resolve each type separately
+      const userIds = pitchDeck.access
+        .filter((grant) => grant.principalType === "user")
+        .map((grant) => grant.principal);
+      const teamIds = pitchDeck.access
+        .filter((grant) => grant.principalType === "team")
+        .map((grant) => grant.principal);
+      const [users, teams] = await Promise.all([
+        User.find({ _id: { $in: userIds } }).select("firstName lastName email"),
+        Team.find({ _id: { $in: teamIds } }).select("name isActive"),
+      ]);
+      const principals = new Map(
+        [...users, ...teams].map((doc) => [doc._id.toString(), doc])
+      );
+
+      res.json({
+        owner: pitchDeck.uploadedBy,
+        access: pitchDeck.access.map((grant) => ({
+          ...grant.toObject(),
+          principal: principals.get(grant.principal.toString()) || null,
+        })),
+      });
+    } catch (error) {
+      console.error("Get pitch deck access error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Share a pitch deck with a user or team (deck:upload; uploader, or deck:read_all)
+router.post(
+  "/:id/access",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  [
+    body("principalType")
+      .isIn(["user", "team"])
+      .withMessage("Principal type must be user or team"),
+    body("principalId").isMongoId().withMessage("Valid principal ID required"),
+    body("permission")
+      .optional()
+      .isIn(["viewer", "editor"])
+      .withMessage("Permission must be viewer or editor"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { principalType, principalId, permission = "viewer" } = req.body;
+
+      const pitchDeck = await findAccessibleDeck(req, "owner");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      // Decks can only be shared within the organization (members included)
+      const principal =
+        principalType === "user"
+          ? await User.exists({
+              _id: principalId,
+              isActive: true,
+              ...(await organizationUsersFilter(req.user.organization._id)),
+            })
+          : await Team.exists({
+              _id: principalId,
+              organization: req.user.organization._id,
+              isActive: true,
+            });
+      if (!principal) {
+        return res.status(404).json({
+          message:
+            principalType === "user" ? "User not found" : "Team not found",
+        });
+      }
+
+      if (
+        principalType === "user" &&
+        pitchDeck.uploadedBy.equals(principalId)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "The uploader already has full access" });
+      }
+
+      // Update an existing grant for the same principal instead of duplicating it
+      let grant = pitchDeck.access.find(
+        (g) =>
+          g.principalType === principalType && g.principal.equals(principalId)
+      );
+      if (grant) {
+        grant.permission = permission;
+        grant.grantedBy = req.user._id;
+        grant.grantedAt = new Date();
+      } else {
+        pitchDeck.access.push({
+          principalType,
+          principal: principalId,
+          permission,
+          grantedBy: req.user._id,
+        });
+        grant = pitchDeck.access[pitchDeck.access.length - 1];
+      }
+
+      await pitchDeck.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_SHARE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: { principalType, principalId, permission },
+      });
+
+      res.status(201).json({
+        message: "Pitch deck shared successfully",
+        grant,
+      });
+    } catch (error) {
+      console.error("Share pitch deck error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Revoke a share (deck:upload; uploader, or deck:read_all)
+router.delete(
+  "/:id/access/:grantId",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  async (req, res) => {
+    try {
+      const pitchDeck = await findAccessibleDeck(req, "owner");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const grant = pitchDeck.access.id(req.params.grantId);
+      if (!grant) {
+        return res.status(404).json({ message: "Share not found" });
+      }
+
+      pitchDeck.access.pull(grant._id);
+      await pitchDeck.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_UNSHARE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: {
+          principalType: grant.principalType,
+          principalId: grant.principal,
+          permission: grant.permission,
+        },
+      });
+
+      res.json({ message: "Access revoked successfully" });
+    } catch (error) {
+      console.error("Revoke pitch deck access error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// ====================================================================================
+// FUNDS & THESIS FIT
+// ====================================================================================
+
+// Assign a deck to a fund, or unassign it with fundId null (deck:chat, editor access)
+// The next (re-)analysis assesses fit against the fund's thesis
+router.patch(
+  "/:id/fund",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  [
+    body("fundId")
+      .custom((value) => value === null || mongoose.isValidObjectId(value))
+      .withMessage("fundId must be a fund ID or null"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      let fund = null;
+      if (req.body.fundId) {
+        fund = await findActiveFund(req.body.fundId, req.user.organization._id);
+        if (!fund) {
+          return res.status(404).json({ message: "Fund not found" });
+        }
+      }
+
+      const previousFund = pitchDeck.fund;
+      pitchDeck.fund = fund?._id;
+      await pitchDeck.save();
+
+      const thesis = await resolveDeckThesis(pitchDeck);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_ASSIGN_FUND,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        changes: diffFields({ fund: previousFund }, { fund: pitchDeck.fund }),
+      });
+
+      res.json({
+        message: fund
+          ? "Pitch deck assigned to fund"
+          : "Fund assignment removed",
+        fund: fund ? { id: fund._id, name: fund.name } : null,
+        thesis: thesis ? { id: thesis._id, title: thesis.title } : null,
+        // The stored fit assessment was made against another thesis until the deck is re-analyzed
+        fitAssessmentOutdated: Boolean(
+          thesis && !thesis._id.equals(pitchDeck.fitThesis)
+        ),
+      });
+    } catch (error) {
+      console.error("Assign pitch deck fund error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Attach a deck (with its supporting documents and live conversations) to a company,
+// or detach it with companyId null (deck:upload, editor access)
+router.patch(
+  "/:id/company",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  [
+    body("companyId")
+      .custom((value) => value === null || mongoose.isValidObjectId(value))
+      .withMessage("companyId must be a company ID or null"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      let company = null;
+      if (req.body.companyId) {
+        company = await findActiveCompany(
+          req.body.companyId,
+          req.user.organization._id
+        );
+        if (!company) {
+          return res.status(404).json({ message: "Company not found" });
+        }
+      }
+
+      const previousCompany = pitchDeck.company;
+      await assignDeckCompany(pitchDeck, company);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_ASSIGN_COMPANY,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        changes: diffFields(
+          { company: previousCompany },
+          { company: pitchDeck.company }
+        ),
+      });
+
+      res.json({
+        message: company
+          ? "Pitch deck attached to company"
+          : "Company removed from pitch deck",
+        company: company ? { id: company._id, name: company.name } : null,
+      });
+    } catch (error) {
+      console.error("Assign pitch deck company error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Correct the deal attributes the rules engine uses and re-run the rules (editor access)
+router.patch(
+  "/:id/deal-attributes",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  [
+    body(["sectors", "keywords", "geography"]).optional().isArray(),
+    body(["sectors.*", "keywords.*", "geography.*"]).isString().trim(),
+    body("stage").optional({ nullable: true }).isString().trim(),
+    body("raiseAmount").optional({ nullable: true }).isObject(),
+    body("raiseAmount.amount").optional({ nullable: true }).isFloat({ min: 0 }),
+    body("raiseAmount.currency")
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .toUpperCase(),
+    body("ownershipOffered")
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+      if (pitchDeck.status !== "COMPLETED") {
+        return res
+          .status(400)
+          .json({ message: "Pitch deck analysis is not complete yet" });
+      }
+
+      const analysis = pitchDeck.toObject().analysis || {};
+      const before = analysis.dealAttributes || {};
+      const dealAttributes = { ...before };
+      for (const field of DEAL_ATTRIBUTE_FIELDS) {
+        if (req.body[field] !== undefined)
+          dealAttributes[field] = req.body[field];
+      }
+      if (dealAttributes.raiseAmount?.amount != null) {
+        dealAttributes.raiseAmount.amount = Number(
+          dealAttributes.raiseAmount.amount
+        );
+      }
+      if (dealAttributes.ownershipOffered != null) {
+        dealAttributes.ownershipOffered = Number(
+          dealAttributes.ownershipOffered
+        );
+      }
+      const updatedAnalysis = { ...analysis, dealAttributes };
+
+      // Re-run the rules against the thesis of the current fit assessment and the side-by-side theses
+      const thesisIds = [
+        pitchDeck.fitThesis,
+        ...pitchDeck.thesisAssessments.map((assessment) => assessment.thesis),
+      ].filter(Boolean);
+      const theses = await Thesis.find({
+        _id: { $in: thesisIds },
+        organization: req.user.organization._id,
+        isActive: true,
+      }).lean();
+      const thesisById = new Map(
+        theses.map((thesis) => [thesis._id.toString(), thesis])
+      );
+
+      const fitThesis =
+        thesisById.get(pitchDeck.fitThesis?.toString()) ||
+        (await resolveDeckThesis(pitchDeck));
+      const ruleAssessment = evaluateThesisRules(updatedAnalysis, fitThesis);
+
+      pitchDeck.set("analysis.dealAttributes", dealAttributes);
+      pitchDeck.set("analysis.ruleAssessment", ruleAssessment);
+      for (const assessment of pitchDeck.thesisAssessments) {
+        const thesis = thesisById.get(assessment.thesis?.toString());
+        if (thesis) {
+          assessment.set(
+            "ruleAssessment",
+            evaluateThesisRules(updatedAnalysis, thesis)
+          );
+        }
+      }
+      await pitchDeck.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_UPDATE_ATTRIBUTES,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        changes: diffFields(before, dealAttributes, DEAL_ATTRIBUTE_FIELDS),
+      });
+
+      res.json({
+        message: "Deal attributes updated",
+        dealAttributes,
+        ruleAssessment,
+      });
+    } catch (error) {
+      console.error("Update deal attributes error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get side-by-side fit assessments of a deck against several theses
+router.get(
+  "/:id/thesis-fit",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ, PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const pitchDeck = await PitchDeck.findOne(
+        await accessibleDeckQuery(req, "viewer")
+      )
+        .select(
+          "title fund fitThesis analysis.fitAssessment analysis.ruleAssessment thesisAssessments"
+        )
+        .populate("fund", "name thesis")
+        .populate("fitThesis", "title version")
+        .populate("thesisAssessments.thesis", "title version isActive")
+        .populate("thesisAssessments.assessedBy", "firstName lastName email");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      res.json({
+        fund: pitchDeck.fund,
+        primary: {
+          thesis: pitchDeck.fitThesis,
+          fitAssessment: pitchDeck.analysis?.fitAssessment || null,
+          ruleAssessment: pitchDeck.analysis?.ruleAssessment || null,
+        },
+        assessments: pitchDeck.thesisAssessments.filter(
+          (assessment) => assessment.thesis?.isActive
+        ),
+      });
+    } catch (error) {
+      console.error("Get thesis fit error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Assess a deck against several theses side by side (editor access)
+router.post(
+  "/:id/thesis-fit",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT, PERMISSIONS.THESIS_READ),
+  aiLimiter,
+  [
+    body("thesisIds")
+      .isArray({ min: 1, max: MAX_FIT_THESES })
+      .withMessage(`Provide 1-${MAX_FIT_THESES} thesis IDs`),
+    body("thesisIds.*").isMongoId(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+      if (pitchDeck.status !== "COMPLETED") {
+        return res
+          .status(400)
+          .json({ message: "Pitch deck analysis is not complete yet" });
+      }
+
+      const thesisIds = [...new Set(req.body.thesisIds)];
+      const theses = await Thesis.find({
+        _id: { $in: thesisIds },
+        organization: req.user.organization._id,
+        isActive: true,
+      }).lean();
+      if (theses.length !== thesisIds.length) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      const results = await Promise.all(
+        theses.map(async (thesis) => ({
+          thesis,
+          fitAssessment: await assessThesisFit(pitchDeck, thesis),
+          ruleAssessment: evaluateThesisRules(
+            pitchDeck.toObject().analysis,
+            thesis
+          ),
+        }))
+      );
+
+      // Keep the latest assessment per thesis; one that failed to parse is
+      // returned to the caller but doesn't replace the stored assessment
+      const assessed = results.filter(
+        ({ fitAssessment }) => !fitAssessment.parseError
+      );
+      const assessedIds = new Set(
+        assessed.map(({ thesis }) => thesis._id.toString())
+      );
+      pitchDeck.thesisAssessments = [
+        ...pitchDeck.thesisAssessments.filter(
+          (assessment) => !assessedIds.has(assessment.thesis?.toString())
+        ),
+        ...assessed.map(({ thesis, fitAssessment, ruleAssessment }) => ({
+          thesis: thesis._id,
+          thesisVersion: thesis.version,
+          fitAssessment,
+          ruleAssessment,
+          assessedBy: req.user._id,
+          assessedAt: new Date(),
+        })),
+      ];
+      await pitchDeck.save();
+
+      res.json({
+        assessments: results.map(
+          ({ thesis, fitAssessment, ruleAssessment }) => ({
+            thesis: {
+              id: thesis._id,
+              title: thesis.title,
+              version: thesis.version,
+            },
+            fitAssessment,
+            ruleAssessment,
+          })
+        ),
+      });
+    } catch (error) {
+      console.error("Assess thesis fit error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// ====================================================================================
+// DILIGENCE CHECKLIST
+// ====================================================================================
+
+// Get the diligence checklist of a deck with completion
+router.get(
+  "/:id/checklist",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const checklist = await getDiligenceChecklist(pitchDeck);
+      await checklist.populate([
+        { path: "thesis", select: "title version" },
+        { path: "items.updatedBy", select: "firstName lastName email" },
+        { path: "items.evidence.addedBy", select: "firstName lastName email" },
+      ]);
+
+      res.json({
+        checklist,
+        summary: summarizeChecklist(checklist),
+      });
+    } catch (error) {
+      console.error("Get diligence checklist error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Mark a checklist item satisfied, failed, not applicable or open again (editor access)
+router.patch(
+  "/:id/checklist/items/:itemId",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  [
+    body("status")
+      .optional()
+      .isIn(["open", "satisfied", "failed", "not_applicable"])
+      .withMessage("Invalid status"),
+    body("note").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const checklist = await getDiligenceChecklist(pitchDeck);
+      const item = checklist.items.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: "Checklist item not found" });
+      }
+
+      const before = { status: item.status, note: item.note };
+      if (req.body.status !== undefined) item.status = req.body.status;
+      if (req.body.note !== undefined) item.note = req.body.note;
+      item.updatedBy = req.user._id;
+      item.updatedAt = new Date();
+      await checklist.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_CHECKLIST_UPDATE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        changes: diffFields(before, { status: item.status, note: item.note }),
+        metadata: { item: item._id, text: item.text },
+      });
+
+      res.json({
+        item,
+        summary: summarizeChecklist(checklist),
+      });
+    } catch (error) {
+      console.error("Update checklist item error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Link evidence (chat message, supporting document or transcript segment) to a checklist item (editor access)
+router.post(
+  "/:id/checklist/items/:itemId/evidence",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  [
+    body("source")
+      .isIn(Object.keys(EVIDENCE_SOURCES))
+      .withMessage(
+        `Source must be one of: ${Object.keys(EVIDENCE_SOURCES).join(", ")}`
+      ),
+    body("sourceId").isMongoId().withMessage("Invalid source ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const checklist = await getDiligenceChecklist(pitchDeck);
+      const item = checklist.items.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: "Checklist item not found" });
+      }
+
+      const evidence = await resolveEvidence(
+        req.body.source,
+        req.body.sourceId,
+        pitchDeck._id
+      );
+      if (!evidence) {
+        return res.status(404).json({ message: "Evidence not found" });
+      }
+
+      const alreadyLinked = item.evidence.some(
+        (entry) =>
+          entry.source === evidence.source &&
+          entry.sourceId.equals(evidence.sourceId)
+      );
+      if (alreadyLinked) {
+        return res
+          .status(400)
+          .json({ message: "Evidence is already linked to this item" });
+      }
+
+      item.evidence.push({ ...evidence, addedBy: req.user._id });
+      item.updatedBy = req.user._id;
+      item.updatedAt = new Date();
+      await checklist.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_CHECKLIST_UPDATE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: {
+          item: item._id,
+          evidenceAdded: { source: evidence.source, id: evidence.sourceId },
+        },
+      });
+
+      res.status(201).json({
+        item,
+        summary: summarizeChecklist(checklist),
+      });
+    } catch (error) {
+      console.error("Add checklist evidence error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Unlink evidence from a checklist item (editor access)
+router.delete(
+  "/:id/checklist/items/:itemId/evidence/:evidenceId",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  async (req, res) => {
+    try {
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+
+      const checklist = await getDiligenceChecklist(pitchDeck);
+      const item = checklist.items.id(req.params.itemId);
+      const evidence = item?.evidence.id(req.params.evidenceId);
+      if (!evidence) {
+        return res.status(404).json({ message: "Evidence not found" });
+      }
+
+      item.evidence.pull(evidence._id);
+      item.updatedBy = req.user._id;
+      item.updatedAt = new Date();
+      await checklist.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_CHECKLIST_UPDATE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: {
+          item: item._id,
+          evidenceRemoved: { source: evidence.source, id: evidence.sourceId },
+        },
+      });
+
+      res.json({
+        item,
+        summary: summarizeChecklist(checklist),
+      });
+    } catch (error) {
+      console.error("Remove checklist evidence error:", error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    const pitchDecks = await PitchDeck.find(query)
-      .populate("uploadedBy", "firstName lastName email")
-      .sort({ createdAt: -1 });
+// ====================================================================================
+// FILE VERSIONS
+// ====================================================================================
 
-    res.json({ pitchDecks });
-  } catch (error) {
-    console.error("Get pitch decks error:", error);
-    res.status(500).json({ message: "Server error" });
+// Helper: file versions of a deck; decks uploaded before versioning list their file as version 1
+function deckFileVersions(pitchDeck) {
+  if (pitchDeck.fileVersions.length > 0 || !pitchDeck.originalFileKey) {
+    return pitchDeck.fileVersions;
   }
-});
+  return [
+    {
+      version: 1,
+      fileKey: pitchDeck.originalFileKey,
+      fileUrl: pitchDeck.originalFileUrl,
+      fileName: pitchDeck.originalFileKey.split("/").pop(),
+      fileSize: pitchDeck.metadata?.fileSize,
+      fileType: pitchDeck.metadata?.fileType,
+      uploadedBy: pitchDeck.uploadedBy,
+      uploadedAt: pitchDeck.metadata?.uploadDate || pitchDeck.createdAt,
+    },
+  ];
+}
 
-// Get sector analysis for a specific pitch deck (optionally recompute with ?refresh=true)
-router.get(
-  "/:id/sector-analysis",
+// Upload a revised deck as a new file version and re-analyze it with the previous analysis as context (editor access)
+router.post(
+  "/:id/versions",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_UPLOAD),
+  aiLimiter,
+  requireAccessibleDeck("editor"),
+  upload.single("pitchDeck"),
   async (req, res) => {
-    try {
-      const query = {
-        _id: req.params.id,
-        organization: req.user.organization._id,
-        isActive: true,
-      };
+    // Set while this request holds the deck's ANALYZING status
+    let claim = null;
+    const releaseClaim = () =>
+      PitchDeck.updateOne(
+        { _id: claim.pitchDeckId, status: "ANALYZING" },
+        { $set: { status: claim.previousStatus } }
+      );
 
-      // Analysts can only see their own pitch decks
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "No file uploaded" });
       }
 
-      const pitchDeck = await PitchDeck.findOne(query);
+      // Claim the deck atomically: of two concurrent uploads only one gets to add a
+      // version and start an analysis. The returned document has the previous status.
+      const pitchDeck = await PitchDeck.findOneAndUpdate(
+        {
+          ...(await accessibleDeckQuery(req, "editor")),
+          status: { $ne: "ANALYZING" },
+        },
+        { $set: { status: "ANALYZING" } }
+      );
       if (!pitchDeck) {
-        return res.status(404).json({ message: "Pitch deck not found" });
+        return res
+          .status(409)
+          .json({ message: "Pitch deck analysis is still running" });
+      }
+      claim = { pitchDeckId: pitchDeck._id, previousStatus: pitchDeck.status };
+      if (!pitchDeck.originalFileKey) {
+        await releaseClaim();
+        claim = null;
+        return res.status(400).json({
+          message: "The first upload of this deck has not been stored yet",
+        });
+      }
+
+      const fileVersions = deckFileVersions(pitchDeck);
+      if (pitchDeck.fileVersions.length === 0) {
+        pitchDeck.fileVersions = fileVersions;
       }
+      const fileVersion = fileVersions[fileVersions.length - 1].version + 1;
 
-      let sectorAnalysis =
-        pitchDeck.analysis && pitchDeck.analysis.sectorAnalysis
-          ? pitchDeck.analysis.sectorAnalysis
-          : null;
+      // New versions are stored before the analysis so a failed analysis keeps the file
+      const fileKey = generateFileKey(
+        req.file.originalname,
+        req.user.organization._id,
+        "pitch-decks"
+      );
+      const fileUrl = await uploadToS3(req.file, fileKey);
+
+      const previousAnalysis = pitchDeck.toObject().analysis || {};
+      pitchDeck.fileVersions.push({
+        version: fileVersion,
+        fileKey,
+        fileUrl,
+        fileName: req.file.originalname,
+        fileSize: req.file.size,
+        fileType: req.file.mimetype,
+        note: req.body.note ? String(req.body.note).trim() : undefined,
+        uploadedBy: req.user._id,
+        uploadedAt: new Date(),
+      });
+      pitchDeck.originalFileKey = fileKey;
+      pitchDeck.originalFileUrl = fileUrl;
+      pitchDeck.metadata.fileSize = req.file.size;
+      pitchDeck.metadata.fileType = req.file.mimetype;
+      pitchDeck.metadata.uploadDate = new Date();
+      const previousStatus = pitchDeck.status;
+      pitchDeck.status = "ANALYZING";
+      await pitchDeck.save();
+      // From here the background analysis sets the final status
+      claim = null;
 
-      const shouldRefresh =
-        req.query.refresh && String(req.query.refresh).toLowerCase() === "true";
+      // Fire-and-forget background AI analysis of the new file
+      const pitchDeckId = pitchDeck._id;
+      const encodedFile = req.file.buffer.toString("base64");
+      const fileName = req.file.originalname;
+      const analysisVersion = pitchDeck.analysisVersion + 1;
 
-      // If missing or refresh requested and we have a base analysis, recompute
-      if ((!sectorAnalysis || shouldRefresh) && pitchDeck.analysis) {
-        const baseAnalysis = normalizeAnalysisObject(
-          pitchDeck.analysis.toObject
-            ? pitchDeck.analysis.toObject()
-            : pitchDeck.analysis
-        );
-        const newSector = await generateSectorAnalysisForPitchDeck(
-          pitchDeck,
-          baseAnalysis
+      setImmediate(() => {
+        analyzePitchDeckWithBase64(pitchDeckId, encodedFile, fileName, null, {
+          previousAnalysis,
+          previousStatus,
+          version: analysisVersion,
+          fileVersion,
+          authorId: req.user._id,
+        }).catch((err) => {
+          console.error(
+            `Background analysis of new version failed for ${pitchDeckId}:`,
+            err
+          );
+        });
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_VERSION_UPLOAD,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: { fileVersion, fileName, fileSize: req.file.size },
+      });
+
+      res.status(201).json({
+        message:
+          "New deck version uploaded; analysis is running in the background",
+        fileVersion,
+        status: pitchDeck.status,
+        analysisPending: true,
+      });
+    } catch (error) {
+      console.error("Upload pitch deck version error:", error);
+      if (claim) {
+        await releaseClaim().catch((err) =>
+          console.error("Release pitch deck claim error:", err)
         );
-        if (newSector) {
-          sectorAnalysis = newSector;
-          await PitchDeck.findByIdAndUpdate(pitchDeck._id, {
-            $set: {
-              "analysis.sectorAnalysis": sectorAnalysis,
-            },
-          });
-        }
       }
+      res.status(500).json({ message: "Server error during upload" });
+    }
+  }
+);
 
-      if (!sectorAnalysis) {
-        return res.status(404).json({
-          message:
-            "Sector analysis not available yet. Run initial analysis first or try again later.",
-        });
+// List file versions of a deck, newest first
+router.get(
+  "/:id/versions",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
       }
 
+      await pitchDeck.populate(
+        "fileVersions.uploadedBy",
+        "firstName lastName email"
+      );
+      const fileVersions = deckFileVersions(pitchDeck);
+      const currentVersion = fileVersions[fileVersions.length - 1]?.version;
+
       res.json({
-        pitchDeckId: pitchDeck._id.toString(),
-        sectorAnalysis,
+        versions: fileVersions
+          .map((fileVersion) => ({
+            version: fileVersion.version,
+            fileName: fileVersion.fileName,
+            fileSize: fileVersion.fileSize,
+            fileType: fileVersion.fileType,
+            note: fileVersion.note,
+            analysisError: fileVersion.analysisError,
+            uploadedBy: fileVersion.uploadedBy,
+            uploadedAt: fileVersion.uploadedAt,
+            current: fileVersion.version === currentVersion,
+          }))
+          .reverse(),
       });
     } catch (error) {
-      console.error("Get sector analysis error:", error);
+      console.error("Get pitch deck versions error:", error);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// Get live sessions for a pitch deck
+// Get a time-limited download URL for a file version
 router.get(
-  "/:id/live-sessions",
+  "/:id/versions/:version/download",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_READ),
   async (req, res) => {
     try {
-      const query = {
-        _id: req.params.id,
-        organization: req.user.organization._id,
-        isActive: true,
-      };
-
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
-      }
-
-      const pitchDeck = await PitchDeck.findOne(query);
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
       if (!pitchDeck) {
         return res.status(404).json({ message: "Pitch deck not found" });
       }
 
-      const LiveConversation = require("../models/LiveConversation");
-      const sessions = await LiveConversation.find({
-        pitchDeck: pitchDeck._id,
-        organization: req.user.organization._id,
-        isActive: true,
-      })
-        .sort({ createdAt: -1 })
-        .select(
-          "_id title status startedAt endedAt totalDuration transcriptCount suggestionCount"
-        )
-        .lean();
+      const version = parseInt(req.params.version, 10);
+      const fileVersion = deckFileVersions(pitchDeck).find(
+        (entry) => entry.version === version
+      );
+      if (!fileVersion) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+
+      const url = await generateSignedUrl(fileVersion.fileKey);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_VIEW,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: { fileVersion: version },
+      });
 
       res.json({
-        sessions: sessions.map((s) => ({
-          sessionId: s._id.toString(),
-          title: s.title,
-          status: s.status,
-          createdAt: s.startedAt,
-          endedAt: s.endedAt,
-          duration: s.totalDuration,
-          transcriptCount: s.transcriptCount,
-          suggestionCount: s.suggestionCount,
-        })),
+        version,
+        fileName: fileVersion.fileName,
+        url,
       });
     } catch (error) {
-      console.error("Get live sessions error:", error);
+      console.error("Download pitch deck version error:", error);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// Get specific pitch deck
-router.get("/:id", authMiddleware, requireSAOrAnalyst, async (req, res) => {
-  try {
-    const query = {
-      _id: req.params.id,
-      organization: req.user.organization._id,
-      isActive: true,
-    };
-
-    // Analysts can only see their own pitch decks
-    if (req.user.role === "ANALYST") {
-      query.uploadedBy = req.user._id;
-    }
+// ====================================================================================
+// ANALYSIS VERSIONS
+// ====================================================================================
 
-    const pitchDeck = await PitchDeck.findOne(query).populate(
-      "uploadedBy",
-      "firstName lastName email"
-    );
+// List analysis versions of a deck, newest first; minor edits are counted as revisions of their version
+router.get(
+  "/:id/analysis/versions",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const pitchDeck = await PitchDeck.findOne(
+        await accessibleDeckQuery(req, "viewer")
+      )
+        .select("title status analysisVersion analysisHistory")
+        .lean();
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
 
-    if (!pitchDeck) {
-      return res.status(404).json({ message: "Pitch deck not found" });
-    }
+      const versions = [
+        ...latestEntriesByVersion(pitchDeck.analysisHistory).values(),
+      ].map(({ entry, revisions }) => ({
+        version: entry.version,
+        trigger: entry.trigger,
+        restoredFrom: entry.restoredFrom,
+        analysisDate: entry.analysisDate,
+        revisions,
+        recommendation: entry.analysis?.recommendation,
+        confidenceScore: entry.analysis?.confidenceScore,
+        overallFit: entry.analysis?.fitAssessment?.overallFit,
+        current: entry.version === pitchDeck.analysisVersion,
+      }));
 
-    // Generate signed URL for file access (valid for limited time)
-    let signedFileUrl = pitchDeck.originalFileUrl;
-    if (pitchDeck.originalFileKey) {
-      signedFileUrl = await generateSignedUrl(pitchDeck.originalFileKey);
+      res.json({
+        currentVersion: pitchDeck.analysisVersion,
+        status: pitchDeck.status,
+        versions: versions.sort((a, b) => b.version - a.version),
+      });
+    } catch (error) {
+      console.error("Get analysis versions error:", error);
+      res.status(500).json({ message: "Server error" });
     }
-
-    res.json({
-      pitchDeck: {
-        ...pitchDeck.toObject(),
-        originalFileUrl: signedFileUrl,
-      },
-    });
-  } catch (error) {
-    console.error("Get pitch deck error:", error);
-    res.status(500).json({ message: "Server error" });
   }
-});
+);
 
-// Add comment to pitch deck
-router.post(
-  "/:id/comments",
+// Structured diff between two analysis versions
+// Defaults to the current version against the one before it
+router.get(
+  "/:id/analysis/diff",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_READ),
   [
-    body("content")
-      .trim()
-      .notEmpty()
-      .withMessage("Comment content is required"),
+    query("from").optional().isInt({ min: 1 }).toInt(),
+    query("to").optional().isInt({ min: 1 }).toInt(),
   ],
   async (req, res) => {
     try {
@@ -737,117 +2322,124 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { content } = req.body;
-
-      // Check if pitch deck exists and user has access
-      const query = {
-        _id: req.params.id,
-        organization: req.user.organization._id,
-        isActive: true,
-      };
-
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
-      }
-
-      const pitchDeck = await PitchDeck.findOne(query);
+      const pitchDeck = await PitchDeck.findOne(
+        await accessibleDeckQuery(req, "viewer")
+      )
+        .select("analysis analysisRaw analysisVersion analysisHistory")
+        .lean();
       if (!pitchDeck) {
         return res.status(404).json({ message: "Pitch deck not found" });
       }
 
-      // Create comment
-      const comment = new Comment({
-        content,
-        pitchDeck: pitchDeck._id,
-        author: req.user._id,
-        organization: req.user.organization._id,
-      });
-
-      await comment.save();
-      await comment.populate("author", "firstName lastName email");
+      const toVersion = req.query.to || pitchDeck.analysisVersion;
+      const fromVersion = req.query.from || toVersion - 1;
+      const from = getAnalysisVersion(pitchDeck, fromVersion);
+      const to = getAnalysisVersion(pitchDeck, toVersion);
+      if (!from || !to) {
+        return res.status(404).json({ message: "Version not found" });
+      }
 
-      res.status(201).json({
-        message: "Comment added successfully",
-        comment,
+      res.json({
+        from: from.version,
+        to: to.version,
+        ...diffAnalyses(from.analysis, to.analysis),
       });
     } catch (error) {
-      console.error("Add comment error:", error);
+      console.error("Diff analysis versions error:", error);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// Get comments for pitch deck
-router.get(
-  "/:id/comments",
+// Make a historical analysis current again as a new version; history is kept (editor access)
+router.post(
+  "/:id/analysis/restore/:version",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_CHAT),
   async (req, res) => {
     try {
-      // Check if pitch deck exists and user has access
-      const query = {
-        _id: req.params.id,
-        organization: req.user.organization._id,
-        isActive: true,
-      };
+      const pitchDeck = await findAccessibleDeck(req, "editor");
+      if (!pitchDeck) {
+        return res.status(404).json({ message: "Pitch deck not found" });
+      }
+      if (pitchDeck.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Pitch deck analysis is still running" });
+      }
 
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
+      const restoredVersion = parseInt(req.params.version, 10);
+      if (restoredVersion === pitchDeck.analysisVersion) {
+        return res
+          .status(400)
+          .json({ message: "This version is already the current one" });
       }
 
-      const pitchDeck = await PitchDeck.findOne(query);
-      if (!pitchDeck) {
-        return res.status(404).json({ message: "Pitch deck not found" });
+      const snapshot = getAnalysisVersion(
+        pitchDeck.toObject(),
+        restoredVersion
+      );
+      if (!snapshot) {
+        return res.status(404).json({ message: "Version not found" });
       }
 
-      const comments = await Comment.find({
-        pitchDeck: pitchDeck._id,
-        isActive: true,
-      })
-        .populate("author", "firstName lastName email")
-        .sort({ createdAt: -1 });
+      const previousVersion = pitchDeck.analysisVersion;
+      const newVersion = previousVersion + 1;
+      const analysisDate = new Date();
 
-      res.json({ comments });
+      // Conditional on the version so a concurrent re-analysis is not overwritten
+      const updatedPitchDeck = await PitchDeck.findOneAndUpdate(
+        { _id: pitchDeck._id, analysisVersion: previousVersion },
+        {
+          $set: {
+            analysis: snapshot.analysis,
+            analysisRaw: snapshot.analysisRaw,
+            analysisVersion: newVersion,
+          },
+          $push: {
+            analysisHistory: {
+              version: newVersion,
+              analysis: snapshot.analysis,
+              analysisRaw: snapshot.analysisRaw,
+              analysisDate,
+              trigger: "restore",
+              restoredFrom: restoredVersion,
+            },
+          },
+        },
+        { new: true }
+      ).select("-analysisHistory");
+      if (!updatedPitchDeck) {
+        return res
+          .status(409)
+          .json({ message: "The analysis changed, please try again" });
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DECK_ANALYSIS_RESTORE,
+        target: {
+          type: "pitch_deck",
+          id: pitchDeck._id,
+          label: pitchDeck.title,
+        },
+        metadata: {
+          restoredVersion,
+          fromVersion: previousVersion,
+          newVersion,
+        },
+      });
+
+      res.json({
+        message: `Version ${restoredVersion} restored as version ${newVersion}`,
+        pitchDeck: updatedPitchDeck,
+      });
     } catch (error) {
-      console.error("Get comments error:", error);
+      console.error("Restore analysis version error:", error);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// Delete pitch deck (SA can delete any, Analysts can only delete their own)
-router.delete("/:id", authMiddleware, requireSAOrAnalyst, async (req, res) => {
-  try {
-    const query = {
-      _id: req.params.id,
-      organization: req.user.organization._id,
-      isActive: true,
-    };
-
-    // Analysts can only delete their own pitch decks
-    if (req.user.role === "ANALYST") {
-      query.uploadedBy = req.user._id;
-    }
-
-    const pitchDeck = await PitchDeck.findOne(query);
-    if (!pitchDeck) {
-      return res.status(404).json({ message: "Pitch deck not found" });
-    }
-
-    // Soft delete pitch deck
-    pitchDeck.isActive = false;
-    await pitchDeck.save();
-
-    // Soft delete all comments
-    await Comment.updateMany({ pitchDeck: pitchDeck._id }, { isActive: false });
-
-    res.json({ message: "Pitch deck deleted successfully" });
-  } catch (error) {
-    console.error("Delete pitch deck error:", error);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
 // ====================================================================================
 // CONVERSATIONAL ANALYSIS ENDPOINTS
 // ====================================================================================
@@ -856,20 +2448,11 @@ router.delete("/:id", authMiddleware, requireSAOrAnalyst, async (req, res) => {
 router.get(
   "/:id/chat",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_READ),
   async (req, res) => {
     try {
-      const query = {
-        _id: req.params.id,
-        organization: req.user.organization._id,
-        isActive: true,
-      };
-
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
-      }
-
-      const pitchDeck = await PitchDeck.findOne(query);
+      // Without deck:read_all, users see decks they uploaded or that were shared with them
+      const pitchDeck = await findAccessibleDeck(req, "viewer");
       if (!pitchDeck) {
         return res.status(404).json({ message: "Pitch deck not found" });
       }
@@ -953,7 +2536,8 @@ router.get(
 router.post(
   "/:id/chat",
   authMiddleware,
-  requireSAOrAnalyst,
+  requirePermission(PERMISSIONS.DECK_CHAT),
+  aiLimiter,
   upload.array("attachments", 5), // Support up to 5 attachments
   async (req, res) => {
     try {
@@ -967,17 +2551,8 @@ router.post(
         });
       }
 
-      const query = {
-        _id: req.params.id,
-        organization: req.user.organization._id,
-        isActive: true,
-      };
-
-      if (req.user.role === "ANALYST") {
-        query.uploadedBy = req.user._id;
-      }
-
-      const pitchDeck = await PitchDeck.findOne(query);
+      // Chatting can re-analyze the deck, so it needs editor access
+      const pitchDeck = await findAccessibleDeck(req, "editor");
       if (!pitchDeck) {
         return res.status(404).json({ message: "Pitch deck not found" });
       }
@@ -1002,6 +2577,7 @@ router.post(
 
         const supportingDoc = await SupportingDocument.create({
           pitchDeck: pitchDeck._id,
+          company: pitchDeck.company,
           title: file.originalname,
           description: `Attached by ${req.user.firstName} ${req.user.lastName}`,
           fileUrl: fileUrl,
@@ -1071,6 +2647,22 @@ router.post(
 
       await conversationTurn.populate("author", "firstName lastName email");
 
+      if (result.requiresAnalysisUpdate) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.DECK_REANALYZE,
+          target: {
+            type: "pitch_deck",
+            id: pitchDeck._id,
+            label: pitchDeck.title,
+          },
+          metadata: {
+            responseType: result.responseType,
+            analysisVersion: result.analysisVersion,
+            attachments: attachmentRefs.map((att) => att.fileName),
+          },
+        });
+      }
+
       // 5. Build response
       const response = {
         conversationTurn,
@@ -1210,12 +2802,7 @@ async function reanalyzeWithContext(
 ) {
   try {
     const pitchDeck = await PitchDeck.findById(pitchDeckId).lean();
-    const latestThesis = await Thesis.findOne({
-      organization: pitchDeck.organization,
-      isActive: true,
-    })
-      .sort({ updatedAt: -1 })
-      .lean();
+    const fitThesis = await resolveDeckThesis(pitchDeck);
 
     const startTime = Date.now();
     const newVersion = pitchDeck.analysisVersion + 1;
@@ -1323,32 +2910,25 @@ Return this JSON structure:
   "opportunities": ["List 3-5 growth opportunities or strengths."],
   "recommendation": "One of: 'Pass', 'Request More Info', 'Schedule Meeting', or 'Proceed to Diligence'. Include 1-line rationale.",
   "confidenceScore": 1-10,
-  "fitAssessment": {
-    "overallFit": "STRONG | PARTIAL | WEAK",
-    "rationale": "Explain main reasons for this fit rating.",
-    "alignment": {
-      "sectors": [{ "match": true/false, "details": "text or 'unknown'" }],
-      "stage": [{ "match": true/false, "details": "text or 'unknown'" }],
-      "geography": [{ "match": true/false, "details": "text or 'unknown'" }],
-      "checkSize": { "match": true/false, "details": "text or 'unknown'" },
-      "ownershipTargets": { "match": true/false, "details": "text or 'unknown'" },
-      "timeHorizon": { "match": true/false, "details": "text or 'unknown'" },
-      "returnTargets": { "match": true/false, "details": "text or 'unknown'" },
-      "riskTolerance": { "match": true/false, "details": "text or 'unknown'" },
-      "constraintsAndExclusions": [{ "violated": true/false, "details": "text or 'unknown'" }]
-    },
-    "openQuestions": ["Top 5 questions the analyst should ask to validate assumptions."]
-  }
+  "dealAttributes": {
+    "sectors": ["Sector(s) the company operates in, e.g. 'Fintech'."],
+    "keywords": ["3-8 short descriptors of the product and business model, e.g. 'payments', 'B2B SaaS'."],
+    "stage": "Funding stage of the current round, e.g. 'Seed' or 'Series A' — or 'unknown'.",
+    "geography": ["Headquarters country and its region, e.g. 'Germany', 'Europe'."],
+    "raiseAmount": { "amount": "Amount raised in this round as a plain number, or null", "currency": "Currency code (USD, EUR, etc.) or null" },
+    "ownershipOffered": "Percentage of equity offered in this round as a plain number, or null"
+  },
+  "fitAssessment": ${FIT_ASSESSMENT_SCHEMA}
 }
 
 Keep tone professional, clear, and investor-grade. Output valid JSON only.
 
 Firm thesis (JSON below). Use it strictly to assess fit; do not alter it.
 ${
-  latestThesis && latestThesis.profile
-    ? JSON.stringify(latestThesis.profile)
-    : latestThesis && latestThesis.content
-    ? String(latestThesis.content)
+  fitThesis && fitThesis.profile
+    ? JSON.stringify(fitThesis.profile)
+    : fitThesis && fitThesis.content
+    ? String(fitThesis.content)
     : "No firm thesis available."
 }`;
 
@@ -1556,8 +3136,8 @@ Current analyst message: "${userMessageContent}"`;
           recommendation: "See detailed analysis",
           confidenceScore: 7,
           fitAssessment: {
-            overallFit: latestThesis ? "PARTIAL" : "UNKNOWN",
-            rationale: latestThesis
+            overallFit: fitThesis ? "PARTIAL" : "UNKNOWN",
+            rationale: fitThesis
               ? "Heuristic fallback fit due to non-JSON AI response. Review manually."
               : "No thesis available to assess fit.",
             alignment: {
@@ -1626,6 +3206,10 @@ Current analyst message: "${userMessageContent}"`;
       if (currentAnalysis.sectorAnalysis) {
         fullAnalysis.sectorAnalysis = currentAnalysis.sectorAnalysis;
       }
+      fullAnalysis.ruleAssessment = evaluateThesisRules(
+        fullAnalysis,
+        fitThesis
+      );
 
       // Save to history
       const analysisRecord = {
@@ -1652,6 +3236,7 @@ Current analyst message: "${userMessageContent}"`;
             },
             analysisRaw: analysisText,
             analysisVersion: actualVersion,
+            fitThesis: fitThesis?._id,
             status: "COMPLETED",
           },
           $push: {
@@ -1661,6 +3246,16 @@ Current analyst message: "${userMessageContent}"`;
         { new: true }
       );
 
+      await addOpenQuestions(
+        updatedPitchDeck,
+        fullAnalysis.fitAssessment?.openQuestions
+      ).catch((err) => {
+        console.error(
+          `Failed to add open questions to checklist of ${pitchDeckId}:`,
+          err
+        );
+      });
+
       console.log(
         `Pitch deck ${pitchDeckId} FULL RE-ANALYSIS (v${actualVersion}) in ${analysisDuration}ms`
       );
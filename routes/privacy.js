@@ -0,0 +1,261 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const DataSubjectRequest = require("../models/DataSubjectRequest");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { findOrganizationUser } = require("../utils/memberships");
+const {
+  collectSubjectData,
+  buildExportArchive,
+  runErasure,
+} = require("../utils/dataSubject");
+const { AUDIT_ACTIONS, recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+// A request is about a user (userId) or a founder known by name (founderName)
+const subjectValidators = [
+  body("userId").optional().isMongoId().withMessage("Invalid user ID"),
+  body("founderName")
+    .optional()
+    .trim()
+    .isLength({ min: 3 })
+    .withMessage("Founder name must be at least 3 characters"),
+  body("pitchDeckIds").optional().isArray(),
+  body("pitchDeckIds.*").isMongoId(),
+  body().custom((value) => {
+    if (Boolean(value.userId) === Boolean(value.founderName)) {
+      throw new Error("Provide either userId or founderName");
+    }
+    return true;
+  }),
+];
+
+// Helper: resolve the request subject; returns { subject, user } or null if the user is unknown
+async function resolveSubject(req) {
+  const { userId, founderName, pitchDeckIds = [] } = req.body;
+
+  if (founderName) {
+    return {
+      subject: { type: "founder", name: founderName, pitchDecks: pitchDeckIds },
+      user: null,
+    };
+  }
+
+  const found = await findOrganizationUser(userId, req.user.organization._id);
+  if (!found) return null;
+  return {
+    subject: {
+      type: "user",
+      user: found.user._id,
+      name: `${found.user.firstName} ${found.user.lastName}`,
+    },
+    user: found.user,
+  };
+}
+
+function subjectLabel(subject) {
+  return subject.type === "user"
+    ? `user:${subject.name}`
+    : `founder:${subject.name}`;
+}
+
+// Export a user's or founder's personal data as a ZIP of JSON files (privacy:manage)
+router.post(
+  "/exports",
+  authMiddleware,
+  requirePermission(PERMISSIONS.PRIVACY_MANAGE),
+  subjectValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const resolved = await resolveSubject(req);
+      if (!resolved) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const request = await DataSubjectRequest.create({
+        organization: req.user.organization._id,
+        type: "EXPORT",
+        subject: resolved.subject,
+        requestedBy: req.user._id,
+        status: "PROCESSING",
+      });
+
+      let archive;
+      try {
+        const data = await collectSubjectData(req.user.organization._id, {
+          ...resolved.subject,
+          user: resolved.user,
+        });
+        archive = buildExportArchive(request, data);
+
+        request.status = "COMPLETED";
+        request.counts = Object.fromEntries(
+          Object.entries(data).map(([key, value]) => [
+            key,
+            Array.isArray(value) ? value.length : 1,
+          ])
+        );
+        request.completedAt = new Date();
+        await request.save();
+      } catch (exportError) {
+        request.status = "FAILED";
+        request.error = exportError.message;
+        await request.save();
+        throw exportError;
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PRIVACY_EXPORT,
+        target: {
+          type: "data_subject_request",
+          id: request._id,
+          label: subjectLabel(request.subject),
+        },
+        metadata: request.counts,
+      });
+
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="personal-data-${request._id}.zip"`,
+      });
+      res.send(archive);
+    } catch (error) {
+      console.error("Personal data export error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Erase a user's or founder's personal data (privacy:manage); runs as a background job.
+// Authored content is redacted, speakers anonymized and associated S3 objects deleted.
+// Audit events are kept: the audit log is append-only.
+router.post(
+  "/erasures",
+  authMiddleware,
+  requirePermission(PERMISSIONS.PRIVACY_MANAGE),
+  [
+    ...subjectValidators,
+    body("confirm")
+      .equals("ERASE")
+      .withMessage('Set confirm to "ERASE" to erase personal data'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.body.userId === req.user._id.toString()) {
+        return res
+          .status(400)
+          .json({ message: "You cannot erase your own account" });
+      }
+
+      const resolved = await resolveSubject(req);
+      if (!resolved) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const request = await DataSubjectRequest.create({
+        organization: req.user.organization._id,
+        type: "ERASURE",
+        subject: resolved.subject,
+        requestedBy: req.user._id,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PRIVACY_ERASURE_REQUEST,
+        target: {
+          type: "data_subject_request",
+          id: request._id,
+          label: subjectLabel(request.subject),
+        },
+      });
+
+      // Fire-and-forget; progress is visible via GET /requests/:id
+      setImmediate(() => {
+        runErasure(request)
+          .then((counts) =>
+            recordAudit(req, {
+              action: AUDIT_ACTIONS.PRIVACY_ERASURE_COMPLETE,
+              target: {
+                type: "data_subject_request",
+                id: request._id,
+                label: subjectLabel(request.subject),
+              },
+              metadata: counts,
+            })
+          )
+          .catch((err) => {
+            console.error(
+              `Erasure job failed for request ${request._id}:`,
+              err
+            );
+          });
+      });
+
+      res.status(202).json({
+        message: "Erasure started",
+        request,
+      });
+    } catch (error) {
+      console.error("Personal data erasure error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// List data-subject requests (privacy:manage), newest first
+router.get(
+  "/requests",
+  authMiddleware,
+  requirePermission(PERMISSIONS.PRIVACY_MANAGE),
+  async (req, res) => {
+    try {
+      const requests = await DataSubjectRequest.find({
+        organization: req.user.organization._id,
+      })
+        .populate("requestedBy", "firstName lastName email")
+        .sort({ createdAt: -1 })
+        .limit(200);
+
+      res.json({ requests });
+    } catch (error) {
+      console.error("Get data subject requests error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get a data-subject request, e.g. to poll an erasure job (privacy:manage)
+router.get(
+  "/requests/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.PRIVACY_MANAGE),
+  async (req, res) => {
+    try {
+      const request = await DataSubjectRequest.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+      }).populate("requestedBy", "firstName lastName email");
+
+      if (!request) {
+        return res.status(404).json({ message: "Request not found" });
+      }
+
+      res.json({ request });
+    } catch (error) {
+      console.error("Get data subject request error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
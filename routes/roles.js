@@ -0,0 +1,213 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const Membership = require("../models/Membership");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ungrantablePermissions,
+} = require("../utils/permissions");
+
+const router = express.Router();
+
+const roleValidators = [
+  body("name").optional().trim().notEmpty(),
+  body("description").optional().trim(),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an array"),
+  body("permissions.*").isIn(ALL_PERMISSIONS).withMessage("Unknown permission"),
+];
+
+// List built-in and custom roles plus the permission catalog (role:manage)
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  async (req, res) => {
+    try {
+      const customRoles = await Role.find({
+        organization: req.user.organization._id,
+        isActive: true,
+      }).sort({ name: 1 });
+
+      res.json({
+        permissions: ALL_PERMISSIONS,
+        builtInRoles: Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({
+          key,
+          ...role,
+          builtIn: true,
+        })),
+        customRoles,
+      });
+    } catch (error) {
+      console.error("Get roles error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create custom role (role:manage)
+router.post(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  [
+    body("key")
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z][A-Z0-9_]{1,31}$/)
+      .withMessage(
+        "Key must be 2-32 characters of letters, digits and underscores"
+      ),
+    body("name").trim().notEmpty(),
+    ...roleValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { key, name, description, permissions } = req.body;
+
+      const ungrantable = ungrantablePermissions(req, permissions);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          message: "A role cannot have permissions you do not hold",
+          permissions: ungrantable,
+        });
+      }
+
+      if (BUILT_IN_ROLES[key]) {
+        return res
+          .status(400)
+          .json({ message: "Key is reserved for a built-in role" });
+      }
+
+      const existingRole = await Role.findOne({
+        organization: req.user.organization._id,
+        key,
+      });
+      if (existingRole) {
+        return res.status(400).json({ message: "Role already exists" });
+      }
+
+      const role = new Role({
+        key,
+        name,
+        description,
+        permissions: permissions || [],
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+      });
+      await role.save();
+
+      res.status(201).json({ message: "Role created successfully", role });
+    } catch (error) {
+      console.error("Create role error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update custom role (role:manage)
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  roleValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const role = await Role.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+        isActive: true,
+      });
+
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      const ungrantable = ungrantablePermissions(req, permissions);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          message: "A role cannot have permissions you do not hold",
+          permissions: ungrantable,
+        });
+      }
+
+      if (name !== undefined) role.name = name;
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = permissions;
+      await role.save();
+
+      res.json({ message: "Role updated successfully", role });
+    } catch (error) {
+      console.error("Update role error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete custom role (role:manage); only when no active user holds it
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+        isActive: true,
+      });
+
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+
+      const [primaryUsers, members] = await Promise.all([
+        User.countDocuments({
+          organization: req.user.organization._id,
+          role: role.key,
+          isActive: true,
+        }),
+        Membership.countDocuments({
+          organization: req.user.organization._id,
+          role: role.key,
+          isActive: true,
+        }),
+      ]);
+      const assignedUsers = primaryUsers + members;
+      if (assignedUsers > 0) {
+        return res.status(400).json({
+          message: "Reassign users holding this role before deleting it",
+          assignedUsers,
+        });
+      }
+
+      // Hard delete frees the key for reuse
+      await role.deleteOne();
+
+      res.json({ message: "Role deleted successfully" });
+    } catch (error) {
+      console.error("Delete role error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const PitchDeck = require("../models/PitchDeck");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { organizationUsersFilter } = require("../utils/memberships");
+
+const router = express.Router();
+
+const MEMBER_FIELDS = "firstName lastName email role";
+
+// Helper: check that every user ID belongs to an active user (or member) of the organization
+async function findInvalidMemberIds(userIds, organizationId) {
+  const users = await User.find({
+    _id: { $in: userIds },
+    isActive: true,
+    ...(await organizationUsersFilter(organizationId)),
+  }).select("_id");
+  const validIds = new Set(users.map((u) => u._id.toString()));
+  return userIds.filter((id) => !validIds.has(id.toString()));
+}
+
+// Helper: load an active team of the caller's organization
+function findTeam(req) {
+  return Team.findOne({
+    _id: req.params.id,
+    organization: req.user.organization._id,
+    isActive: true,
+  });
+}
+
+// List teams in the organization (anyone who can see decks, so they can share)
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.DECK_READ),
+  async (req, res) => {
+    try {
+      const teams = await Team.find({
+        organization: req.user.organization._id,
+        isActive: true,
+      })
+        .populate("members", MEMBER_FIELDS)
+        .sort({ name: 1 });
+
+      res.json({ teams });
+    } catch (error) {
+      console.error("Get teams error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create team (user:manage)
+router.post(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  [
+    body("name").trim().notEmpty().withMessage("Team name is required"),
+    body("description").optional().trim(),
+    body("memberIds")
+      .optional()
+      .isArray()
+      .withMessage("Member IDs must be an array"),
+    body("memberIds.*").isMongoId().withMessage("Valid member ID required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description } = req.body;
+      const memberIds = [...new Set(req.body.memberIds || [])];
+
+      const invalidIds = await findInvalidMemberIds(
+        memberIds,
+        req.user.organization._id
+      );
+      if (invalidIds.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Some users were not found", invalidIds });
+      }
+
+      const team = new Team({
+        name,
+        description,
+        members: memberIds,
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+      });
+      await team.save();
+      await team.populate("members", MEMBER_FIELDS);
+
+      res.status(201).json({ message: "Team created successfully", team });
+    } catch (error) {
+      console.error("Create team error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update team name/description (user:manage)
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  [
+    body("name").optional().trim().notEmpty(),
+    body("description").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const team = await findTeam(req);
+      if (!team) {
+        return res.status(404).json({ message: "Team not found" });
+      }
+
+      const { name, description } = req.body;
+      if (name !== undefined) team.name = name;
+      if (description !== undefined) team.description = description;
+      await team.save();
+      await team.populate("members", MEMBER_FIELDS);
+
+      res.json({ message: "Team updated successfully", team });
+    } catch (error) {
+      console.error("Update team error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Add members to team (user:manage)
+router.post(
+  "/:id/members",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  [
+    body("userIds")
+      .isArray({ min: 1 })
+      .withMessage("At least one user ID is required"),
+    body("userIds.*").isMongoId().withMessage("Valid user ID required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const team = await findTeam(req);
+      if (!team) {
+        return res.status(404).json({ message: "Team not found" });
+      }
+
+      const userIds = [...new Set(req.body.userIds)];
+      const invalidIds = await findInvalidMemberIds(
+        userIds,
+        req.user.organization._id
+      );
+      if (invalidIds.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Some users were not found", invalidIds });
+      }
+
+      team.members.addToSet(...userIds);
+      await team.save();
+      await team.populate("members", MEMBER_FIELDS);
+
+      res.json({ message: "Members added successfully", team });
+    } catch (error) {
+      console.error("Add team members error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove member from team (user:manage)
+router.delete(
+  "/:id/members/:userId",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const team = await findTeam(req);
+      if (!team) {
+        return res.status(404).json({ message: "Team not found" });
+      }
+
+      if (!team.members.some((id) => id.toString() === req.params.userId)) {
+        return res.status(404).json({ message: "User is not a team member" });
+      }
+
+      team.members.pull(req.params.userId);
+      await team.save();
+      await team.populate("members", MEMBER_FIELDS);
+
+      res.json({ message: "Member removed successfully", team });
+    } catch (error) {
+      console.error("Remove team member error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete team (user:manage); decks shared with it lose that share
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const team = await findTeam(req);
+      if (!team) {
+        return res.status(404).json({ message: "Team not found" });
+      }
+
+      team.isActive = false;
+      await team.save();
+
+      await PitchDeck.updateMany(
+        {
+          organization: req.user.organization._id,
+          "access.principal": team._id,
+        },
+        { $pull: { access: { principalType: "team", principal: team._id } } }
+      );
+
+      res.json({ message: "Team deleted successfully" });
+    } catch (error) {
+      console.error("Delete team error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,27 +1,95 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const path = require("path");
+const { body, param, query, validationResult } = require("express-validator");
 const Thesis = require("../models/Thesis");
-const {
-  authMiddleware,
-  requireSA,
-  requireSAOrAnalyst,
-} = require("../middleware/auth");
+const ThesisVersion = require("../models/ThesisVersion");
+const Fund = require("../models/Fund");
+const PitchDeck = require("../models/PitchDeck");
+const Organization = require("../models/Organization");
+const RescoreJob = require("../models/RescoreJob");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   upload,
   uploadToS3,
   deleteFromS3,
+  downloadFromS3,
   generateFileKey,
   generateSignedUrl,
 } = require("../utils/s3Upload");
 const Perplexity = require("@perplexity-ai/perplexity_ai");
 const { tryParseJson, toThesisProfile } = require("../utils/helpers");
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require("../utils/audit");
+const { aiLimiter } = require("../utils/rateLimits");
+const { resolveDefaultThesis } = require("../utils/thesisResolver");
+const { startRescoreJob } = require("../utils/rescore");
+const { deckAccessFilter } = require("../utils/deckAccess");
+const {
+  diffThesisProfiles,
+  snapshotThesis,
+  getThesisVersion,
+} = require("../utils/thesisVersions");
+const { emitToOrganization } = require("../utils/realtime");
+const {
+  THESIS_QUESTIONNAIRE,
+  validateQuestionnaireAnswers,
+  questionnaireToProfile,
+} = require("../utils/thesisQuestionnaire");
 
 const router = express.Router();
 const perplexity = new Perplexity();
 
+// Thesis documents: PDF and Word are sent to the AI as files, Markdown and text inline
+const THESIS_FILE_TYPES = ["pdf", "docx", "md", "txt"];
+const TEXT_SOURCES = { md: "MARKDOWN", txt: "TEXT" };
+
+// Helper: turn an uploaded thesis file into analysis input ({ source, encodedFile } or { source, text })
+function thesisFileInput(file) {
+  const extension = path.extname(file.originalname).slice(1).toLowerCase();
+  if (TEXT_SOURCES[extension]) {
+    return {
+      source: TEXT_SOURCES[extension],
+      text: file.buffer.toString("utf8"),
+    };
+  }
+  return {
+    source: extension === "docx" ? "DOCX" : "PDF",
+    encodedFile: file.buffer.toString("base64"),
+  };
+}
+
+// Helper: tell the organization's clients that an analysis finished (status COMPLETED or FAILED)
+function notifyThesisAnalysis(thesis) {
+  emitToOrganization(thesis.organization, "thesis-analysis-complete", {
+    thesisId: thesis._id.toString(),
+    title: thesis.title,
+    version: thesis.version,
+    status: thesis.status,
+    error: thesis.status === "FAILED" ? thesis.analysisError : null,
+  });
+}
+
+// Helper: record a failed analysis; the thesis keeps its previous content and profile
+async function markThesisAnalysisFailed(thesisId, code, message, fields = {}) {
+  const thesis = await Thesis.findByIdAndUpdate(
+    thesisId,
+    {
+      $set: {
+        ...fields,
+        status: "FAILED",
+        analysisError: { code, message, failedAt: new Date() },
+      },
+    },
+    { new: true }
+  );
+  if (thesis) notifyThesisAnalysis(thesis);
+}
+
 /**
  * Background thesis analysis helper.
- * Takes a base64-encoded PDF, calls Perplexity, and updates the Thesis record.
+ * Takes a base64-encoded document or plain text, calls Perplexity, and updates the Thesis record.
+ * Moves the thesis through ANALYZING to COMPLETED or FAILED (with analysisError).
+ * Pass `file` (multer file) to store the document in S3 for later re-analysis.
  */
 async function analyzeThesisInBackground({
   thesisId,
@@ -29,12 +97,36 @@ async function analyzeThesisInBackground({
   userId,
   title,
   encodedFile,
+  text,
   originalFileName,
   fileSize,
+  file,
 }) {
   try {
     console.log(`[THESIS-BG] Starting background analysis for thesis ${thesisId}`);
 
+    await Thesis.findByIdAndUpdate(thesisId, {
+      $set: { status: "ANALYZING" },
+      $unset: { analysisError: 1 },
+    });
+
+    // Keep the original document so the thesis can be re-analyzed later
+    const fileFields = {};
+    if (file) {
+      try {
+        const fileKey = generateFileKey(
+          originalFileName,
+          organizationId,
+          "theses"
+        );
+        fileFields.originalPdfUrl = await uploadToS3(file, fileKey);
+        fileFields.originalPdfKey = fileKey;
+      } catch (s3Error) {
+        // Not fatal: the analysis works on the in-memory copy
+        console.error("[THESIS-BG] Failed to store thesis document:", s3Error);
+      }
+    }
+
     let aiContent = "";
     try {
       const completion = await perplexity.chat.completions.create({
@@ -49,7 +141,7 @@ async function analyzeThesisInBackground({
 
 Your job: Analyze this investment thesis document ABOUT OUR FIRM (goals, preferences, and constraints) and produce a structured, investment-grade firm profile.
 
-Input: A firm thesis document (PDF).
+Input: A firm thesis document (PDF, Word document or text).
 Output: A single JSON object — concise, factual, and well-structured.
 
 Rules:
@@ -94,13 +186,15 @@ Return this JSON structure:
 
 Keep tone professional, clear, and investor-grade. Output valid JSON only.`,
               },
-              {
-                type: "file_url",
-                file_url: {
-                  url: encodedFile, // base64 without prefix
-                },
-                file_name: originalFileName,
-              },
+              encodedFile
+                ? {
+                    type: "file_url",
+                    file_url: {
+                      url: encodedFile, // base64 without prefix
+                    },
+                    file_name: originalFileName,
+                  }
+                : { type: "text", text: `Thesis document:\n\n${text}` },
             ],
           },
         ],
@@ -109,35 +203,57 @@ Keep tone professional, clear, and investor-grade. Output valid JSON only.`,
       aiContent = completion.choices[0].message.content;
     } catch (aiError) {
       console.error("[THESIS-BG] Perplexity AI error:", aiError);
-      aiContent = "AI analysis failed. Please try again later.";
+      return markThesisAnalysisFailed(
+        thesisId,
+        "AI_ERROR",
+        "AI analysis failed. Please try again later.",
+        fileFields
+      );
     }
 
     const parsed = tryParseJson(aiContent);
     const profile = toThesisProfile(parsed);
+    if (!profile) {
+      return markThesisAnalysisFailed(
+        thesisId,
+        "PARSE_ERROR",
+        "The AI response could not be read as a thesis profile. Try re-analyzing.",
+        { ...fileFields, rawContent: aiContent }
+      );
+    }
 
-    await Thesis.findByIdAndUpdate(
+    const thesis = await Thesis.findByIdAndUpdate(
       thesisId,
       {
         $set: {
           title,
-          content: profile ? JSON.stringify(profile) : aiContent,
+          content: JSON.stringify(profile),
           rawContent: aiContent,
-          profile: profile || undefined,
-          originalPdfUrl: "",
-          originalPdfKey: "",
-          organization: organizationId,
-          createdBy: userId,
+          profile,
+          ...fileFields,
           lastModifiedBy: userId,
-          metadata: {
-            fileSize,
-            uploadDate: new Date(),
-            analysisDate: new Date(),
-            aiModel: "sonar-pro",
-          },
+          status: "COMPLETED",
+          "metadata.fileSize": fileSize,
+          "metadata.fileName": originalFileName,
+          "metadata.analysisDate": new Date(),
+          "metadata.aiModel": "sonar-pro",
         },
       },
       { new: true }
     );
+    if (thesis) {
+      notifyThesisAnalysis(thesis);
+      // Edited theses re-score their decks; version 1 is a new upload
+      if (thesis.version > 1) {
+        startRescoreJob({
+          thesis,
+          userId,
+          reason: thesis.changeReason,
+        }).catch((err) => {
+          console.error(`[THESIS-BG] Failed to start re-scoring:`, err);
+        });
+      }
+    }
 
     console.log(`[THESIS-BG] Analysis completed for thesis ${thesisId}`);
   } catch (error) {
@@ -145,16 +261,201 @@ Keep tone professional, clear, and investor-grade. Output valid JSON only.`,
       `[THESIS-BG] Thesis analysis error for ${thesisId}:`,
       error
     );
-    // In case of failure, leave thesis record as-is; frontend can show generic error message
+    await markThesisAnalysisFailed(
+      thesisId,
+      "INTERNAL_ERROR",
+      "Thesis analysis failed unexpectedly. Please try again later."
+    );
+  }
+}
+
+/**
+ * Re-run the analysis on the stored original document (or source text) of a thesis
+ * @param {Object} thesis - Thesis document with originalPdfKey or sourceText
+ * @param {string} userId - User who requested the re-analysis
+ */
+async function reanalyzeStoredThesis(thesis, userId) {
+  if (!thesis.originalPdfKey) {
+    return analyzeThesisInBackground({
+      thesisId: thesis._id,
+      organizationId: thesis.organization,
+      userId,
+      title: thesis.title,
+      text: thesis.sourceText,
+      originalFileName: thesis.metadata?.fileName,
+      fileSize: Buffer.byteLength(thesis.sourceText),
+    });
+  }
+
+  let fileBuffer;
+  try {
+    fileBuffer = await downloadFromS3(thesis.originalPdfKey);
+  } catch (s3Error) {
+    console.error(
+      `[THESIS-BG] Failed to load document of ${thesis._id}:`,
+      s3Error
+    );
+    return markThesisAnalysisFailed(
+      thesis._id,
+      "FILE_ERROR",
+      "The stored thesis document could not be loaded. Upload it again."
+    );
   }
+
+  await analyzeThesisInBackground({
+    thesisId: thesis._id,
+    organizationId: thesis.organization,
+    userId,
+    title: thesis.title,
+    encodedFile: fileBuffer.toString("base64"),
+    originalFileName:
+      thesis.metadata?.fileName || thesis.originalPdfKey.split("/").pop(),
+    fileSize: fileBuffer.length,
+  });
+}
+
+// Profile fields the team can fill by answering questions (same as the questionnaire)
+const FILLABLE_FIELDS = new Map(
+  THESIS_QUESTIONNAIRE.map((question) => [question.field, question.type])
+);
+
+// Open questions are matched case- and whitespace-insensitively
+function normalizeQuestion(question) {
+  return String(question).trim().toLowerCase();
+}
+
+/**
+ * Turn a thesis profile's openQuestions into targeted prompts for the team
+ * @param {Object} profile - Thesis profile with openQuestions
+ * @returns {Promise<Object[]>} [{ question, field, prompt, answerFormat, example }]
+ */
+async function buildGapPrompts(profile) {
+  const { extras, ...profileForPrompt } = profile;
+  const openQuestions = profile.openQuestions || [];
+
+  const gapPrompt = `You are DealFlow AI — an AI assistant for Venture Capital firms.
+
+Below is the structured profile of our firm's investment thesis and the questions left open after analyzing it.
+Turn each open question into one targeted prompt the investment team can answer quickly:
+• Specific and answerable in a sentence or a short list.
+• Tied to the single profile field the answer would fill: ${[
+    ...FILLABLE_FIELDS.keys(),
+  ].join(", ")}.
+
+Thesis profile:
+${JSON.stringify(profileForPrompt, null, 2)}
+
+Open questions:
+${JSON.stringify(openQuestions, null, 2)}
+
+Return this JSON structure:
+
+{
+  "prompts": [
+    {
+      "question": "The open question, verbatim",
+      "field": "Profile field the answer fills",
+      "prompt": "Targeted question for the investment team",
+      "example": "Short example answer"
+    }
+  ]
+}
+
+Output valid JSON only.`;
+
+  const completion = await perplexity.chat.completions.create({
+    model: "sonar-pro",
+    messages: [
+      {
+        role: "user",
+        content: [{ type: "text", text: gapPrompt }],
+      },
+    ],
+  });
+
+  const parsed = tryParseJson(completion.choices[0].message.content);
+  const suggestions = new Map(
+    (Array.isArray(parsed?.prompts) ? parsed.prompts : [])
+      .filter((item) => item && item.question)
+      .map((item) => [normalizeQuestion(item.question), item])
+  );
+
+  // Every open question gets a prompt; unparsed ones fall back to the question itself
+  return openQuestions.map((question) => {
+    const suggestion = suggestions.get(normalizeQuestion(question)) || {};
+    const field = FILLABLE_FIELDS.has(suggestion.field)
+      ? suggestion.field
+      : null;
+    return {
+      question,
+      field,
+      prompt: suggestion.prompt || question,
+      answerFormat: FILLABLE_FIELDS.get(field) || "text",
+      example: suggestion.example || null,
+    };
+  });
+}
+
+/**
+ * Merge the team's answers to open questions into a thesis profile
+ * @param {Object} profile - Current thesis profile
+ * @param {Object[]} answers - [{ question, field, answer }]
+ * @returns {Promise<Object|null>} { profile, rawContent } or null if the AI response can't be parsed
+ */
+async function mergeGapAnswers(profile, answers) {
+  const { extras, ...profileForPrompt } = profile;
+
+  const mergePrompt = `You are DealFlow AI — an AI assistant for Venture Capital firms.
+
+Update our firm's investment thesis profile with the investment team's answers to its open questions.
+
+Rules:
+• Merge each answer into the field(s) it informs; leave every other field unchanged.
+• Add to lists rather than replacing them, unless an answer contradicts an entry.
+• Remove the answered questions from openQuestions.
+• Use only the answers — no external data or assumptions.
+
+Current thesis profile:
+${JSON.stringify(profileForPrompt, null, 2)}
+
+Answers:
+${JSON.stringify(answers, null, 2)}
+
+Return the complete updated profile as a single JSON object with the same structure. Output valid JSON only.`;
+
+  const completion = await perplexity.chat.completions.create({
+    model: "sonar-pro",
+    messages: [
+      {
+        role: "user",
+        content: [{ type: "text", text: mergePrompt }],
+      },
+    ],
+  });
+
+  const rawContent = completion.choices[0].message.content;
+  const merged = toThesisProfile(tryParseJson(rawContent));
+  if (!merged) return null;
+
+  // Answered questions are closed even if the AI kept them
+  const answered = new Set(
+    answers.map((item) => normalizeQuestion(item.question))
+  );
+  merged.openQuestions = merged.openQuestions.filter(
+    (question) => !answered.has(normalizeQuestion(question))
+  );
+  merged.extras = extras || {};
+
+  return { profile: merged, rawContent };
 }
 
-// Upload and create thesis (SA only)
+// Upload and create thesis from a PDF, DOCX, Markdown or text file (thesis:edit)
 router.post(
   "/upload",
   authMiddleware,
-  requireSA,
-  upload.single("thesis"),
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  upload.single("thesis", THESIS_FILE_TYPES),
   async (req, res) => {
     try {
       console.log("Uploading thesis...");
@@ -167,8 +468,8 @@ router.post(
         return res.status(400).json({ message: "Title is required" });
       }
 
-      // Convert to base64 for in-memory analysis (no storage)
-      const encodedFile = req.file.buffer.toString("base64");
+      // Documents are stored in the background; text is kept on the thesis
+      const input = thesisFileInput(req.file);
 
       // Create placeholder thesis record first; analysis will populate content in background
       const thesis = new Thesis({
@@ -178,11 +479,15 @@ router.post(
         profile: undefined,
         originalPdfUrl: "",
         originalPdfKey: "",
+        source: input.source,
+        sourceText: input.text,
         organization: req.user.organization._id,
         createdBy: req.user._id,
         lastModifiedBy: req.user._id,
+        status: "ANALYZING",
         metadata: {
           fileSize: req.file.size,
+          fileName: req.file.originalname,
           uploadDate: new Date(),
           analysisDate: null,
           aiModel: "sonar-pro",
@@ -198,9 +503,11 @@ router.post(
           organizationId: req.user.organization._id,
           userId: req.user._id,
           title,
-          encodedFile,
+          encodedFile: input.encodedFile,
+          text: input.text,
           originalFileName: req.file.originalname,
           fileSize: req.file.size,
+          file: input.encodedFile ? req.file : undefined,
         }).catch((err) => {
           console.error(
             `[THESIS] Background analysis failed for thesis ${thesis._id}:`,
@@ -209,6 +516,16 @@ router.post(
         });
       });
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_UPLOAD,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: {
+          source: input.source,
+          fileName: req.file.originalname,
+          fileSize: req.file.size,
+        },
+      });
+
       res.status(201).json({
         message: "Thesis uploaded; analysis is running in the background",
         thesis: {
@@ -216,6 +533,7 @@ router.post(
           title: thesis.title,
           content: thesis.content,
           version: thesis.version,
+          status: thesis.status,
           createdAt: thesis.createdAt,
           analysisPending: true,
         },
@@ -227,57 +545,312 @@ router.post(
   }
 );
 
-// Get all theses (SA and Analysts can view)
-router.get("/", authMiddleware, requireSAOrAnalyst, async (req, res) => {
-  try {
-    const theses = await Thesis.find({
-      organization: req.user.organization._id,
-      isActive: true,
-    })
-      .populate("createdBy", "firstName lastName email")
-      .populate("lastModifiedBy", "firstName lastName email")
-      .sort({ createdAt: -1 });
-
-    res.json({ theses });
-  } catch (error) {
-    console.error("Get theses error:", error);
-    res.status(500).json({ message: "Server error" });
+// Create thesis from pasted text or Markdown (thesis:edit)
+router.post(
+  "/text",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  [
+    body("title").trim().notEmpty().withMessage("Title is required"),
+    body("text")
+      .isString()
+      .trim()
+      .isLength({ min: 50, max: 500000 })
+      .withMessage("Text must be between 50 and 500000 characters"),
+    body("format").optional().isIn(["text", "markdown"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, text, format } = req.body;
+      const source = format === "markdown" ? "MARKDOWN" : "TEXT";
+
+      const thesis = new Thesis({
+        title,
+        content: "",
+        rawContent: "",
+        source,
+        sourceText: text,
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+        lastModifiedBy: req.user._id,
+        status: "ANALYZING",
+        metadata: {
+          fileSize: Buffer.byteLength(text),
+          uploadDate: new Date(),
+          analysisDate: null,
+          aiModel: "sonar-pro",
+        },
+      });
+
+      await thesis.save();
+
+      // Run AI analysis in the background
+      setImmediate(() => {
+        analyzeThesisInBackground({
+          thesisId: thesis._id,
+          organizationId: req.user.organization._id,
+          userId: req.user._id,
+          title,
+          text,
+          fileSize: Buffer.byteLength(text),
+        }).catch((err) => {
+          console.error(
+            `[THESIS] Background analysis failed for thesis ${thesis._id}:`,
+            err
+          );
+        });
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_CREATE,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: { source, length: text.length },
+      });
+
+      res.status(201).json({
+        message: "Thesis created; analysis is running in the background",
+        thesis: {
+          id: thesis._id,
+          title: thesis.title,
+          content: thesis.content,
+          version: thesis.version,
+          status: thesis.status,
+          createdAt: thesis.createdAt,
+          analysisPending: true,
+        },
+      });
+    } catch (error) {
+      console.error("Create thesis from text error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get the guided thesis questionnaire (thesis:read)
+router.get(
+  "/questionnaire",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  (req, res) => {
+    res.json({ questions: THESIS_QUESTIONNAIRE });
   }
-});
+);
 
-// Get specific thesis
-router.get("/:id", authMiddleware, requireSAOrAnalyst, async (req, res) => {
-  try {
-    const thesis = await Thesis.findOne({
-      _id: req.params.id,
-      organization: req.user.organization._id,
-      isActive: true,
-    })
-      .populate("createdBy", "firstName lastName email")
-      .populate("lastModifiedBy", "firstName lastName email");
-
-    if (!thesis) {
-      return res.status(404).json({ message: "Thesis not found" });
+// Create thesis from questionnaire answers keyed by profile field (thesis:edit); no AI involved
+router.post(
+  "/questionnaire",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  [
+    body("title").trim().notEmpty().withMessage("Title is required"),
+    body("answers").custom((answers) => {
+      const answerErrors = validateQuestionnaireAnswers(answers);
+      if (answerErrors.length > 0) {
+        throw new Error(answerErrors.join("; "));
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, answers } = req.body;
+      const profile = questionnaireToProfile(answers);
+
+      const thesis = await Thesis.create({
+        title,
+        content: JSON.stringify(profile),
+        rawContent: "",
+        profile,
+        source: "QUESTIONNAIRE",
+        organization: req.user.organization._id,
+        createdBy: req.user._id,
+        lastModifiedBy: req.user._id,
+        status: "COMPLETED",
+        metadata: {
+          uploadDate: new Date(),
+          analysisDate: null,
+        },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_CREATE,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: {
+          source: "QUESTIONNAIRE",
+          openQuestions: profile.openQuestions.length,
+        },
+      });
+
+      res.status(201).json({
+        message: "Thesis created successfully",
+        thesis,
+      });
+    } catch (error) {
+      console.error("Create thesis from questionnaire error:", error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    res.json({
-      thesis: {
-        ...thesis.toObject(),
-        originalPdfUrl: "",
-      },
-    });
-  } catch (error) {
-    console.error("Get thesis error:", error);
-    res.status(500).json({ message: "Server error" });
+// Get all theses (thesis:read)
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const theses = await Thesis.find({
+        organization: req.user.organization._id,
+        isActive: true,
+      })
+        .populate("createdBy", "firstName lastName email")
+        .populate("lastModifiedBy", "firstName lastName email")
+        .sort({ createdAt: -1 });
+
+      // Decks without a fund are assessed against the default thesis; without a
+      // chosen default that is the oldest thesis, which clients should point out
+      const defaultThesis = await resolveDefaultThesis(
+        req.user.organization._id
+      );
+
+      res.json({
+        theses,
+        defaultThesisId: defaultThesis?._id || null,
+        defaultThesisChosen: Boolean(
+          defaultThesis &&
+            defaultThesis._id.equals(req.user.organization.defaultThesis)
+        ),
+      });
+    } catch (error) {
+      console.error("Get theses error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Set the organization's default thesis (thesis:edit); null falls back to the oldest thesis
+router.put(
+  "/default",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  [body("thesisId").optional({ nullable: true }).isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { thesisId } = req.body;
+      let thesis = null;
+      if (thesisId) {
+        thesis = await Thesis.findOne({
+          _id: thesisId,
+          organization: req.user.organization._id,
+          isActive: true,
+        });
+        if (!thesis) {
+          return res.status(404).json({ message: "Thesis not found" });
+        }
+      }
+
+      const organization = await Organization.findById(
+        req.user.organization._id
+      );
+      const previousDefault = organization.defaultThesis;
+      organization.defaultThesis = thesis?._id;
+      await organization.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_SET_DEFAULT,
+        target: thesis
+          ? { type: "thesis", id: thesis._id, label: thesis.title }
+          : {
+              type: "organization",
+              id: organization._id,
+              label: organization.name,
+            },
+        changes: diffFields(
+          { defaultThesis: previousDefault },
+          { defaultThesis: organization.defaultThesis }
+        ),
+      });
+
+      res.json({
+        message: thesis ? "Default thesis updated" : "Default thesis cleared",
+        defaultThesisId: organization.defaultThesis || null,
+      });
+    } catch (error) {
+      console.error("Set default thesis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get specific thesis
+router.get(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const thesis = await Thesis.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+        isActive: true,
+      })
+        .populate("createdBy", "firstName lastName email")
+        .populate("lastModifiedBy", "firstName lastName email");
+
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_VIEW,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+      });
+
+      res.json({
+        thesis: {
+          ...thesis.toObject(),
+          originalPdfUrl: "",
+        },
+      });
+    } catch (error) {
+      console.error("Get thesis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
+
+// Helper: load an active thesis of the caller's organization
+function findThesis(req) {
+  return Thesis.findOne({
+    _id: req.params.id,
+    organization: req.user.organization._id,
+    isActive: true,
+  });
+}
 
-// Update thesis (SA only)
+// Update thesis (thesis:edit); the previous version is kept with its author and reason
 router.put(
   "/:id",
   authMiddleware,
-  requireSA,
-  upload.single("thesis"),
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  upload.single("thesis", THESIS_FILE_TYPES),
   async (req, res) => {
     try {
       const thesis = await Thesis.findOne({
@@ -290,31 +863,51 @@ router.put(
         return res.status(404).json({ message: "Thesis not found" });
       }
 
+      if (req.file && thesis.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Thesis analysis is already running" });
+      }
+
+      await snapshotThesis(thesis);
+
       const updateData = {
         lastModifiedBy: req.user._id,
         version: thesis.version + 1,
+        versionCreatedAt: new Date(),
+        changeReason:
+          req.body.reason ||
+          (req.file ? "Uploaded a new thesis document" : "Updated title"),
       };
 
-      // If new file is uploaded (analyze in-memory, no storage) - run in background
+      // If new file is uploaded (stored for re-analysis) - run analysis in background
       if (req.file) {
+        const input = thesisFileInput(req.file);
+        updateData.status = "ANALYZING";
+        updateData.source = input.source;
+        updateData.sourceText = input.text || "";
+        // The new document replaces the stored one once it is uploaded
+        updateData.originalPdfUrl = "";
+        updateData.originalPdfKey = "";
         updateData.metadata = {
-          ...thesis.metadata,
+          ...thesis.toObject().metadata,
           fileSize: req.file.size,
+          fileName: req.file.originalname,
           uploadDate: new Date(),
           analysisDate: null,
         };
 
-        const encodedFile = req.file.buffer.toString("base64");
-
         setImmediate(() => {
           analyzeThesisInBackground({
             thesisId: thesis._id,
             organizationId: req.user.organization._id,
             userId: req.user._id,
             title: req.body.title || thesis.title,
-            encodedFile,
+            encodedFile: input.encodedFile,
+            text: input.text,
             originalFileName: req.file.originalname,
             fileSize: req.file.size,
+            file: input.encodedFile ? req.file : undefined,
           }).catch((err) => {
             console.error(
               `[THESIS] Background re-analysis failed for thesis ${thesis._id}:`,
@@ -337,6 +930,18 @@ router.put(
         .populate("createdBy", "firstName lastName email")
         .populate("lastModifiedBy", "firstName lastName email");
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_UPDATE,
+        target: { type: "thesis", id: thesis._id, label: updatedThesis.title },
+        changes: diffFields(
+          { title: thesis.title, version: thesis.version },
+          { title: updatedThesis.title, version: updatedThesis.version }
+        ),
+        metadata: req.file
+          ? { fileName: req.file.originalname, fileSize: req.file.size }
+          : undefined,
+      });
+
       res.json({
         message: "Thesis updated successfully",
         thesis: updatedThesis,
@@ -348,28 +953,582 @@ router.put(
   }
 );
 
-// Delete thesis (SA only)
-router.delete("/:id", authMiddleware, requireSA, async (req, res) => {
-  try {
-    const thesis = await Thesis.findOne({
-      _id: req.params.id,
-      organization: req.user.organization._id,
-      isActive: true,
-    });
+// List versions of a thesis, newest first (thesis:read)
+router.get(
+  "/:id/versions",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const thesis = await findThesis(req).populate(
+        "lastModifiedBy createdBy",
+        "firstName lastName email"
+      );
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
 
-    if (!thesis) {
-      return res.status(404).json({ message: "Thesis not found" });
+      const snapshots = await ThesisVersion.find({ thesis: thesis._id })
+        .select("version title author reason versionCreatedAt createdAt")
+        .populate("author", "firstName lastName email")
+        .sort({ version: -1 });
+
+      res.json({
+        versions: [
+          {
+            version: thesis.version,
+            title: thesis.title,
+            author: thesis.lastModifiedBy || thesis.createdBy,
+            reason: thesis.changeReason,
+            versionCreatedAt: thesis.versionCreatedAt || thesis.createdAt,
+            current: true,
+          },
+          ...snapshots.map((snapshot) => ({
+            version: snapshot.version,
+            title: snapshot.title,
+            author: snapshot.author,
+            reason: snapshot.reason,
+            versionCreatedAt: snapshot.versionCreatedAt,
+            // When it was replaced by the next version
+            replacedAt: snapshot.createdAt,
+            current: false,
+          })),
+        ],
+      });
+    } catch (error) {
+      console.error("Get thesis versions error:", error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    // Soft delete thesis
-    thesis.isActive = false;
-    await thesis.save();
+// Get one version of a thesis, including its profile (thesis:read)
+router.get(
+  "/:id/versions/:version",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  [param("version").isInt({ min: 1 }).toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    res.json({ message: "Thesis deleted successfully" });
-  } catch (error) {
-    console.error("Delete thesis error:", error);
-    res.status(500).json({ message: "Server error" });
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      const version = await getThesisVersion(thesis, req.params.version);
+      if (!version) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+
+      res.json({ version });
+    } catch (error) {
+      console.error("Get thesis version error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Field-level diff between two versions (thesis:read)
+// Defaults to the current version against the one before it
+router.get(
+  "/:id/diff",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  [
+    query("from").optional().isInt({ min: 1 }).toInt(),
+    query("to").optional().isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      const toVersion = req.query.to || thesis.version;
+      const fromVersion = req.query.from || toVersion - 1;
+      const [from, to] = await Promise.all([
+        getThesisVersion(thesis, fromVersion),
+        getThesisVersion(thesis, toVersion),
+      ]);
+      if (!from || !to) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+
+      const changes = diffThesisProfiles(from.profile, to.profile);
+      res.json({
+        from: from.version,
+        to: to.version,
+        title:
+          from.title !== to.title ? { from: from.title, to: to.title } : null,
+        changes,
+      });
+    } catch (error) {
+      console.error("Diff thesis versions error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Restore a previous version as a new version (thesis:edit)
+router.post(
+  "/:id/versions/:version/restore",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  [
+    param("version").isInt({ min: 1 }).toInt(),
+    body("reason").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      // The running analysis would overwrite the restored profile when it finishes
+      if (thesis.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Thesis analysis is already running" });
+      }
+
+      const restoredVersion = req.params.version;
+      if (restoredVersion === thesis.version) {
+        return res
+          .status(400)
+          .json({ message: "This version is already the current one" });
+      }
+
+      const snapshot = await getThesisVersion(thesis, restoredVersion);
+      if (!snapshot) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+
+      await snapshotThesis(thesis);
+
+      const previousVersion = thesis.version;
+      thesis.title = snapshot.title;
+      thesis.content = snapshot.content;
+      thesis.profile = snapshot.profile;
+      thesis.rawContent = snapshot.rawContent;
+      thesis.version = previousVersion + 1;
+      thesis.versionCreatedAt = new Date();
+      thesis.lastModifiedBy = req.user._id;
+      thesis.changeReason = req.body.reason
+        ? `Restored version ${restoredVersion}: ${req.body.reason}`
+        : `Restored version ${restoredVersion}`;
+      await thesis.save();
+
+      const rescoreJob = await startRescoreJob({
+        thesis,
+        userId: req.user._id,
+        reason: thesis.changeReason,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_RESTORE,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: {
+          restoredVersion,
+          fromVersion: previousVersion,
+          newVersion: thesis.version,
+        },
+      });
+
+      res.json({
+        message: `Version ${restoredVersion} restored as version ${thesis.version}`,
+        thesis,
+        rescoreJobId: rescoreJob._id,
+      });
+    } catch (error) {
+      console.error("Restore thesis version error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Re-run the analysis on the stored document as a new version (thesis:edit)
+router.post(
+  "/:id/reanalyze",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  [body("reason").optional().trim()],
+  async (req, res) => {
+    try {
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      if (thesis.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Thesis analysis is already running" });
+      }
+
+      if (!thesis.originalPdfKey && !thesis.sourceText) {
+        return res.status(400).json({
+          message:
+            "The original document of this thesis is not stored. Upload it again.",
+        });
+      }
+
+      await snapshotThesis(thesis);
+
+      const previousVersion = thesis.version;
+      thesis.version = previousVersion + 1;
+      thesis.versionCreatedAt = new Date();
+      thesis.lastModifiedBy = req.user._id;
+      thesis.changeReason =
+        req.body.reason || "Re-analyzed the thesis document";
+      thesis.status = "ANALYZING";
+      thesis.analysisError = undefined;
+      await thesis.save();
+
+      setImmediate(() => {
+        reanalyzeStoredThesis(thesis, req.user._id).catch((err) => {
+          console.error(
+            `[THESIS-BG] Re-analysis failed for ${thesis._id}:`,
+            err
+          );
+        });
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_REANALYZE,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: { fromVersion: previousVersion, newVersion: thesis.version },
+      });
+
+      res.status(202).json({
+        message:
+          "Thesis re-analysis started. You will be notified when it finishes.",
+        thesis: {
+          id: thesis._id,
+          title: thesis.title,
+          version: thesis.version,
+          status: thesis.status,
+        },
+      });
+    } catch (error) {
+      console.error("Reanalyze thesis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
+
+// Turn the profile's open questions into targeted prompts (thesis:edit)
+router.post(
+  "/:id/gaps/prompts",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  async (req, res) => {
+    try {
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      if (thesis.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Thesis analysis is still running" });
+      }
+
+      const profile = thesis.toObject().profile || {};
+      if (!profile.openQuestions?.length) {
+        return res.json({
+          message: "This thesis has no open questions",
+          version: thesis.version,
+          prompts: [],
+        });
+      }
+
+      const prompts = await buildGapPrompts(profile);
+
+      res.json({ version: thesis.version, prompts });
+    } catch (error) {
+      console.error("Thesis gap prompts error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Merge answers to open questions into the profile as a new version (thesis:edit)
+router.post(
+  "/:id/gaps/answers",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  [
+    body("answers")
+      .isArray({ min: 1, max: 20 })
+      .withMessage("Provide between 1 and 20 answers"),
+    body("answers.*.question").isString().trim().notEmpty(),
+    body("answers.*.answer").isString().trim().notEmpty(),
+    body("answers.*.field")
+      .optional({ nullable: true })
+      .isIn([...FILLABLE_FIELDS.keys()]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      if (thesis.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Thesis analysis is still running" });
+      }
+
+      const answers = req.body.answers.map(({ question, field, answer }) => ({
+        question,
+        field: field || null,
+        answer,
+      }));
+      const currentProfile = thesis.toObject().profile || {};
+
+      const merged = await mergeGapAnswers(currentProfile, answers);
+      if (!merged) {
+        return res.status(502).json({
+          message: "The answers could not be merged. Please try again.",
+        });
+      }
+
+      await snapshotThesis(thesis);
+
+      const previousVersion = thesis.version;
+      thesis.profile = merged.profile;
+      thesis.content = JSON.stringify(merged.profile);
+      thesis.rawContent = merged.rawContent;
+      thesis.version = previousVersion + 1;
+      thesis.versionCreatedAt = new Date();
+      thesis.lastModifiedBy = req.user._id;
+      thesis.changeReason = `Answered ${answers.length} open question${
+        answers.length === 1 ? "" : "s"
+      }`;
+      await thesis.save();
+
+      const rescoreJob = await startRescoreJob({
+        thesis,
+        userId: req.user._id,
+        reason: thesis.changeReason,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_FILL_GAPS,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: {
+          answered: answers.length,
+          fromVersion: previousVersion,
+          newVersion: thesis.version,
+        },
+      });
+
+      res.json({
+        message: "Answers merged into the thesis",
+        thesis,
+        changes: diffThesisProfiles(currentProfile, thesis.toObject().profile),
+        rescoreJobId: rescoreJob._id,
+      });
+    } catch (error) {
+      console.error("Thesis fill gaps error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Re-score every deck that uses the thesis (thesis:edit); edits, restores and
+// answered open questions start this automatically
+router.post(
+  "/:id/rescore",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  aiLimiter,
+  async (req, res) => {
+    try {
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      if (thesis.status === "ANALYZING") {
+        return res
+          .status(409)
+          .json({ message: "Thesis analysis is still running" });
+      }
+
+      const job = await startRescoreJob({
+        thesis,
+        userId: req.user._id,
+        reason: "Manual re-score",
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_RESCORE,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+        metadata: { job: job._id, thesisVersion: thesis.version },
+      });
+
+      res.status(202).json({
+        message: "Pipeline re-scoring started",
+        job,
+      });
+    } catch (error) {
+      console.error("Rescore thesis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// List re-scoring jobs of a thesis, newest first (thesis:read)
+router.get(
+  "/:id/rescore-jobs",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const thesis = await findThesis(req);
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      const jobs = await RescoreJob.find({ thesis: thesis._id })
+        .select("-movements")
+        .populate("startedBy", "firstName lastName email")
+        .sort({ createdAt: -1 })
+        .limit(20);
+
+      res.json({ jobs });
+    } catch (error) {
+      console.error("Get rescore jobs error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get a re-scoring job with progress and the deals that moved in or out of thesis (thesis:read)
+router.get(
+  "/:id/rescore-jobs/:jobId",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_READ),
+  async (req, res) => {
+    try {
+      const job = await RescoreJob.findOne({
+        _id: req.params.jobId,
+        thesis: req.params.id,
+        organization: req.user.organization._id,
+      }).populate("startedBy", "firstName lastName email");
+
+      if (!job) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+
+      // Only list deals the caller can see
+      const visibleDeckIds = await PitchDeck.find({
+        _id: { $in: job.movements.map((movement) => movement.pitchDeck) },
+        organization: req.user.organization._id,
+        isActive: true,
+        ...(await deckAccessFilter(req, "viewer")),
+      }).distinct("_id");
+      const visible = new Set(visibleDeckIds.map((id) => id.toString()));
+
+      const movements = job.movements.filter((movement) =>
+        visible.has(movement.pitchDeck.toString())
+      );
+
+      res.json({
+        job: {
+          ...job.toObject(),
+          movements,
+        },
+        movedIn: movements.filter((m) => m.direction === "in"),
+        movedOut: movements.filter((m) => m.direction === "out"),
+      });
+    } catch (error) {
+      console.error("Get rescore job error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete thesis (thesis:edit)
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission(PERMISSIONS.THESIS_EDIT),
+  async (req, res) => {
+    try {
+      const thesis = await Thesis.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+        isActive: true,
+      });
+
+      if (!thesis) {
+        return res.status(404).json({ message: "Thesis not found" });
+      }
+
+      // Decks must not silently switch to another thesis
+      const [isDefault, fundCount] = await Promise.all([
+        Organization.exists({
+          _id: req.user.organization._id,
+          defaultThesis: thesis._id,
+        }),
+        Fund.countDocuments({
+          organization: req.user.organization._id,
+          thesis: thesis._id,
+          isActive: true,
+        }),
+      ]);
+      if (isDefault || fundCount > 0) {
+        return res.status(400).json({
+          message:
+            "Thesis is the organization default or assigned to funds; reassign it before deleting",
+          isDefault: Boolean(isDefault),
+          funds: fundCount,
+        });
+      }
+
+      // Soft delete thesis
+      thesis.isActive = false;
+      await thesis.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.THESIS_DELETE,
+        target: { type: "thesis", id: thesis._id, label: thesis.title },
+      });
+
+      res.json({ message: "Thesis deleted successfully" });
+    } catch (error) {
+      console.error("Delete thesis error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
 
 module.exports = router;
@@ -1,10 +1,119 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
-const { authMiddleware, requireSA } = require("../middleware/auth");
+const Invitation = require("../models/Invitation");
+const PitchDeck = require("../models/PitchDeck");
+const LiveConversation = require("../models/LiveConversation");
+const Thesis = require("../models/Thesis");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  isAssignableRole,
+  canGrantRole,
+} = require("../utils/permissions");
+const {
+  hashToken,
+  generateOpaqueToken,
+  revokeAllAuthSessions,
+} = require("../utils/authTokens");
+const { sendMail, buildAppUrl } = require("../utils/mailer");
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require("../utils/audit");
+const { disconnectUserSockets } = require("../utils/realtime");
+const { isAccountLocked, unlockAccount } = require("../utils/accountLockout");
+const {
+  resolveOrganizationAccess,
+  findOrganizationUser,
+  listOrganizationUsers,
+} = require("../utils/memberships");
 
 const router = express.Router();
 
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Helper: issue a fresh invitation token and email the accept link
+async function sendInvitationEmail(invitation, inviter) {
+  const token = generateOpaqueToken();
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  const acceptUrl = buildAppUrl("/accept-invite", { token });
+  const greeting = invitation.firstName ? `Hi ${invitation.firstName},` : "Hi,";
+  await sendMail({
+    to: invitation.email,
+    subject: `You've been invited to ${inviter.organization.name} on VC Analyst`,
+    text: `${greeting}\n\n${inviter.firstName} ${inviter.lastName} has invited you to join ${inviter.organization.name} on VC Analyst as ${invitation.role}.\n\nAccept the invitation and choose your password within 7 days:\n\n${acceptUrl}`,
+  });
+}
+
+// Helper: deactivate a user and cut off every session and open socket.
+// Members of the organization (see findOrganizationUser) only lose access to it, not their account.
+async function deactivateUser({ user, membership }, req) {
+  if (membership) {
+    membership.isActive = false;
+    await membership.save();
+
+    await revokeAllAuthSessions(user._id, "membership_revoked", {
+      organizationId: membership.organization,
+    });
+    await disconnectUserSockets(
+      user._id,
+      "Organization access revoked",
+      membership.organization
+    );
+  } else {
+    user.isActive = false;
+    await user.save();
+
+    await revokeAllAuthSessions(user._id, "admin");
+    disconnectUserSockets(user._id, "Account deactivated");
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.USER_DEACTIVATE,
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: membership ? { membership: true } : undefined,
+  });
+}
+
+// Helper: like role changes, managing a user requires every permission of their role here
+function canManageUser(req, { user, membership }) {
+  return canGrantRole(req, (membership || user).role);
+}
+
+// Helper: response when the caller's permissions don't cover the target user's role
+function sendCannotManageUser(res) {
+  return res.status(403).json({
+    message: "You cannot manage a user with permissions you do not hold",
+  });
+}
+
+// Helper: user fields returned by the management endpoints (role/status within the organization)
+function formatUser(user, membership) {
+  return {
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: membership ? membership.role : user.role,
+    isActive: membership ? membership.isActive && user.isActive : user.isActive,
+    primary: membership ? false : user.primary !== false,
+    isLocked: isAccountLocked(user),
+    lockedUntil: isAccountLocked(user) ? user.security.lockedUntil : null,
+    lastLogin: user.lastLogin,
+  };
+}
+
+// Helper: sort users by name (lists combine primary users and members)
+function byName(a, b) {
+  return (
+    a.lastName.localeCompare(b.lastName) ||
+    a.firstName.localeCompare(b.firstName)
+  );
+}
+
 // Get current user info
 router.get("/me", authMiddleware, async (req, res) => {
   try {
@@ -16,6 +125,7 @@ router.get("/me", authMiddleware, async (req, res) => {
         lastName: req.user.lastName,
         role: req.user.role,
         organization: req.user.organization,
+        permissions: req.permissions,
       },
     });
   } catch (error) {
@@ -24,11 +134,123 @@ router.get("/me", authMiddleware, async (req, res) => {
   }
 });
 
-// Create analyst (SA only)
+// Change own password (revokes every other session)
+router.put(
+  "/me/password",
+  authMiddleware,
+  [
+    body("currentPassword").notEmpty(),
+    body("newPassword").isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user._id);
+      const isMatch = await user.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res
+          .status(400)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      // Keep the caller logged in, kick out every other device
+      const revokedCount = await revokeAllAuthSessions(
+        user._id,
+        "password_change",
+        { exceptSessionId: req.authSession._id }
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_PASSWORD_CHANGE,
+        target: { type: "user", id: user._id, label: user.email },
+        metadata: { revokedSessions: revokedCount },
+      });
+
+      res.json({
+        message: "Password changed successfully",
+        revokedSessions: revokedCount,
+      });
+    } catch (error) {
+      console.error("Change password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Update own profile
+router.patch(
+  "/me",
+  authMiddleware,
+  [
+    body("firstName")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("First name cannot be empty"),
+    body("lastName")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Last name cannot be empty"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      const before = { firstName: user.firstName, lastName: user.lastName };
+
+      const { firstName, lastName } = req.body;
+      if (firstName !== undefined) user.firstName = firstName;
+      if (lastName !== undefined) user.lastName = lastName;
+      await user.save();
+
+      const changes = diffFields(before, {
+        firstName: user.firstName,
+        lastName: user.lastName,
+      });
+      if (changes) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.USER_PROFILE_UPDATE,
+          target: { type: "user", id: user._id, label: user.email },
+          changes,
+        });
+      }
+
+      res.json({
+        message: "Profile updated successfully",
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error("Update profile error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Create analyst with an SA-chosen password (user:manage)
+// Prefer POST /invitations so analysts set their own password.
 router.post(
   "/create-analyst",
   authMiddleware,
-  requireSA,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   [
     body("email").isEmail().normalizeEmail(),
     body("password").isLength({ min: 6 }),
@@ -44,6 +266,12 @@ router.post(
 
       const { email, password, firstName, lastName } = req.body;
 
+      if (!(await canGrantRole(req, "ANALYST"))) {
+        return res.status(403).json({
+          message: "You cannot assign a role with permissions you do not hold",
+        });
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({ email });
       if (existingUser) {
@@ -60,6 +288,11 @@ router.post(
         organization: req.user.organization._id,
       });
       await user.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_CREATE,
+        target: { type: "user", id: user._id, label: user.email },
+        metadata: { role: user.role },
+      });
 
       res.status(201).json({
         message: "Analyst created successfully",
@@ -78,41 +311,297 @@ router.post(
   }
 );
 
-// Get all analysts in organization (SA only)
-router.get("/analysts", authMiddleware, requireSA, async (req, res) => {
-  try {
-    const analysts = await User.find({
-      organization: req.user.organization._id,
-      role: "ANALYST",
-      isActive: true,
-    }).select("-password");
+// Invite a user by email (user:manage)
+router.post(
+  "/invitations",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  [
+    body("email").isEmail().normalizeEmail(),
+    body("role").optional().trim().toUpperCase(),
+    body("firstName").optional().trim(),
+    body("lastName").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    res.json({ analysts });
-  } catch (error) {
-    console.error("Get analysts error:", error);
-    res.status(500).json({ message: "Server error" });
+      const { email, role, firstName, lastName } = req.body;
+
+      if (role && !(await isAssignableRole(role, req.user.organization._id))) {
+        return res.status(400).json({ message: "Unknown role" });
+      }
+      if (!(await canGrantRole(req, role || "ANALYST"))) {
+        return res.status(403).json({
+          message: "You cannot assign a role with permissions you do not hold",
+        });
+      }
+
+      // Existing accounts can be invited too; accepting adds a membership
+      const existingUser = await User.findOne({ email });
+      if (
+        existingUser &&
+        (await resolveOrganizationAccess(
+          existingUser,
+          req.user.organization._id
+        ))
+      ) {
+        return res
+          .status(400)
+          .json({ message: "User is already a member of this organization" });
+      }
+
+      const pendingInvitation = await Invitation.findOne({
+        organization: req.user.organization._id,
+        email,
+        status: "PENDING",
+        expiresAt: { $gt: new Date() },
+      });
+      if (pendingInvitation) {
+        return res.status(400).json({
+          message: "A pending invitation already exists for this email",
+          invitationId: pendingInvitation._id,
+        });
+      }
+
+      const invitation = new Invitation({
+        email,
+        firstName,
+        lastName,
+        role: role || "ANALYST",
+        organization: req.user.organization._id,
+        invitedBy: req.user._id,
+      });
+      // Sets the token and expiry, then saves
+      await sendInvitationEmail(invitation, req.user);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_INVITE,
+        target: { type: "invitation", id: invitation._id, label: email },
+        metadata: { role: invitation.role },
+      });
+
+      res.status(201).json({
+        message: "Invitation sent successfully",
+        invitation,
+      });
+    } catch (error) {
+      console.error("Create invitation error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
-// Deactivate analyst (SA only)
-router.patch(
-  "/analysts/:id/deactivate",
+// List invitations in organization (user:manage), optionally filtered by status
+router.get(
+  "/invitations",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const query = { organization: req.user.organization._id };
+      if (req.query.status) {
+        query.status = String(req.query.status).toUpperCase();
+      }
+
+      const invitations = await Invitation.find(query)
+        .populate("invitedBy", "firstName lastName email")
+        .sort({ createdAt: -1 });
+
+      res.json({ invitations });
+    } catch (error) {
+      console.error("Get invitations error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Resend a pending invitation with a fresh link (user:manage)
+router.post(
+  "/invitations/:id/resend",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findOne({
+        _id: req.params.id,
+        organization: req.user.organization._id,
+        status: "PENDING",
+      });
+
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      invitation.sendCount += 1;
+      await sendInvitationEmail(invitation, req.user);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_INVITE_RESEND,
+        target: {
+          type: "invitation",
+          id: invitation._id,
+          label: invitation.email,
+        },
+      });
+
+      res.json({ message: "Invitation resent successfully", invitation });
+    } catch (error) {
+      console.error("Resend invitation error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Revoke a pending invitation (user:manage)
+router.delete(
+  "/invitations/:id",
   authMiddleware,
-  requireSA,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   async (req, res) => {
     try {
-      const analyst = await User.findOne({
+      const invitation = await Invitation.findOne({
         _id: req.params.id,
         organization: req.user.organization._id,
+        status: "PENDING",
+      });
+
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      invitation.status = "REVOKED";
+      invitation.revokedAt = new Date();
+      invitation.revokedBy = req.user._id;
+      await invitation.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_INVITE_REVOKE,
+        target: {
+          type: "invitation",
+          id: invitation._id,
+          label: invitation.email,
+        },
+      });
+
+      res.json({ message: "Invitation revoked successfully" });
+    } catch (error) {
+      console.error("Revoke invitation error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Change a user's role (user:manage)
+router.patch(
+  "/:id/role",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  [body("role").trim().toUpperCase().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role } = req.body;
+
+      if (req.params.id === req.user._id.toString()) {
+        return res
+          .status(400)
+          .json({ message: "You cannot change your own role" });
+      }
+
+      if (!(await isAssignableRole(role, req.user.organization._id))) {
+        return res.status(400).json({ message: "Unknown role" });
+      }
+      if (!(await canGrantRole(req, role))) {
+        return res.status(403).json({
+          message: "You cannot assign a role with permissions you do not hold",
+        });
+      }
+
+      const found = await findOrganizationUser(
+        req.params.id,
+        req.user.organization._id
+      );
+
+      if (!found) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      // Members have a role per organization; the user's own role is for their primary one
+      const { user, membership } = found;
+      const roleHolder = membership || user;
+      const previousRole = roleHolder.role;
+      if (!(await canGrantRole(req, previousRole))) {
+        return res.status(403).json({
+          message:
+            "You cannot change the role of a user with permissions you do not hold",
+        });
+      }
+      roleHolder.role = role;
+      await roleHolder.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_ROLE_CHANGE,
+        target: { type: "user", id: user._id, label: user.email },
+        changes: diffFields({ role: previousRole }, { role }),
+      });
+
+      res.json({
+        message: "Role updated successfully",
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: roleHolder.role,
+        },
+      });
+    } catch (error) {
+      console.error("Update user role error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get all analysts in organization (user:manage)
+router.get(
+  "/analysts",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const analysts = await listOrganizationUsers(req.user.organization._id, {
         role: "ANALYST",
       });
 
-      if (!analyst) {
+      res.json({ analysts });
+    } catch (error) {
+      console.error("Get analysts error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Deactivate analyst (user:manage)
+router.patch(
+  "/analysts/:id/deactivate",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const found = await findOrganizationUser(
+        req.params.id,
+        req.user.organization._id
+      );
+
+      if (!found || (found.membership || found.user).role !== "ANALYST") {
         return res.status(404).json({ message: "Analyst not found" });
       }
 
-      analyst.isActive = false;
-      await analyst.save();
+      await deactivateUser(found, req);
 
       res.json({ message: "Analyst deactivated successfully" });
     } catch (error) {
@@ -122,4 +611,288 @@ router.patch(
   }
 );
 
+// List users in organization (user:manage); inactive users with ?includeInactive=true
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const users = await listOrganizationUsers(req.user.organization._id, {
+        includeInactive: req.query.includeInactive === "true",
+      });
+
+      res.json({ users: users.sort(byName).map((user) => formatUser(user)) });
+    } catch (error) {
+      console.error("Get users error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Deactivate any user (user:manage); revokes their sessions and open sockets
+router.patch(
+  "/:id/deactivate",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      if (req.params.id === req.user._id.toString()) {
+        return res
+          .status(400)
+          .json({ message: "You cannot deactivate your own account" });
+      }
+
+      const found = await findOrganizationUser(
+        req.params.id,
+        req.user.organization._id
+      );
+
+      if (!found) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      const roleHolder = found.membership || found.user;
+      if (!roleHolder.isActive) {
+        return res.status(400).json({ message: "User is already inactive" });
+      }
+      if (!(await canManageUser(req, found))) {
+        return sendCannotManageUser(res);
+      }
+      if (roleHolder.role === "SA") {
+        const superAdmins = await listOrganizationUsers(
+          req.user.organization._id,
+          { role: "SA" }
+        );
+        if (superAdmins.length <= 1) {
+          return res.status(400).json({
+            message: "You cannot deactivate the last active super admin",
+          });
+        }
+      }
+
+      await deactivateUser(found, req);
+
+      res.json({
+        message: "User deactivated successfully",
+        user: formatUser(found.user, found.membership),
+      });
+    } catch (error) {
+      console.error("Deactivate user error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Reactivate a deactivated user (user:manage)
+router.patch(
+  "/:id/reactivate",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const found = await findOrganizationUser(
+        req.params.id,
+        req.user.organization._id
+      );
+
+      if (!found) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      // Reactivating a membership restores access to this organization only
+      const { user, membership } = found;
+      const statusHolder = membership || user;
+      if (statusHolder.isActive) {
+        return res.status(400).json({ message: "User is already active" });
+      }
+      if (!(await canManageUser(req, found))) {
+        return sendCannotManageUser(res);
+      }
+
+      statusHolder.isActive = true;
+      await statusHolder.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_REACTIVATE,
+        target: { type: "user", id: user._id, label: user.email },
+        metadata: membership ? { membership: true } : undefined,
+      });
+
+      res.json({
+        message: "User reactivated successfully",
+        user: formatUser(user, membership),
+      });
+    } catch (error) {
+      console.error("Reactivate user error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get a user's recent lockouts (user:manage)
+router.get(
+  "/:id/lockouts",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const found = await findOrganizationUser(
+        req.params.id,
+        req.user.organization._id
+      );
+
+      if (!found) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const { user, membership } = found;
+      await user.populate(
+        "security.lockoutEvents.unlockedBy",
+        "firstName lastName email"
+      );
+
+      res.json({
+        user: formatUser(user, membership),
+        failedLoginAttempts: user.security?.failedLoginAttempts || 0,
+        lockoutEvents: [...(user.security?.lockoutEvents || [])].reverse(),
+      });
+    } catch (error) {
+      console.error("Get user lockouts error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Unlock an account locked after failed logins (user:manage)
+router.post(
+  "/:id/unlock",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  async (req, res) => {
+    try {
+      const found = await findOrganizationUser(
+        req.params.id,
+        req.user.organization._id
+      );
+
+      if (!found) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const { user, membership } = found;
+      if (!isAccountLocked(user)) {
+        return res.status(400).json({ message: "Account is not locked" });
+      }
+      if (!(await canManageUser(req, found))) {
+        return sendCannotManageUser(res);
+      }
+
+      await unlockAccount(user, req.user);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_UNLOCK,
+        target: { type: "user", id: user._id, label: user.email },
+      });
+
+      res.json({
+        message: "Account unlocked successfully",
+        user: formatUser(user, membership),
+      });
+    } catch (error) {
+      console.error("Unlock user error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Transfer a user's pitch decks, live conversations and theses to another user (user:manage)
+// Runs in a transaction (requires MongoDB running as a replica set)
+router.post(
+  "/:id/transfer",
+  authMiddleware,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  [body("toUserId").isMongoId().withMessage("Valid target user ID required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { toUserId } = req.body;
+      if (toUserId === req.params.id) {
+        return res
+          .status(400)
+          .json({ message: "Cannot transfer ownership to the same user" });
+      }
+
+      const organizationId = req.user.organization._id;
+      const [from, to] = await Promise.all([
+        findOrganizationUser(req.params.id, organizationId),
+        findOrganizationUser(toUserId, organizationId),
+      ]);
+
+      if (!from) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (!to || !formatUser(to.user, to.membership).isActive) {
+        return res.status(404).json({ message: "Target user not found" });
+      }
+      if (!(await canManageUser(req, from))) {
+        return sendCannotManageUser(res);
+      }
+      const fromUser = from.user;
+      const toUser = to.user;
+
+      const transferred = {};
+      const session = await mongoose.startSession();
+      try {
+        // All or nothing: no deck ends up with a new owner while its sessions keep the old one
+        await session.withTransaction(async () => {
+          const decks = await PitchDeck.updateMany(
+            { organization: organizationId, uploadedBy: fromUser._id },
+            { $set: { uploadedBy: toUser._id } },
+            { session }
+          );
+          const conversations = await LiveConversation.updateMany(
+            { organization: organizationId, createdBy: fromUser._id },
+            { $set: { createdBy: toUser._id } },
+            { session }
+          );
+          const theses = await Thesis.updateMany(
+            { organization: organizationId, createdBy: fromUser._id },
+            { $set: { createdBy: toUser._id } },
+            { session }
+          );
+
+          transferred.pitchDecks = decks.modifiedCount;
+          transferred.liveConversations = conversations.modifiedCount;
+          transferred.theses = theses.modifiedCount;
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_TRANSFER,
+        target: { type: "user", id: fromUser._id, label: fromUser.email },
+        metadata: {
+          toUserId: toUser._id,
+          toUserEmail: toUser.email,
+          ...transferred,
+        },
+      });
+
+      res.json({
+        message: "Ownership transferred successfully",
+        from: formatUser(fromUser, from.membership),
+        to: formatUser(toUser, to.membership),
+        transferred,
+      });
+    } catch (error) {
+      console.error("Transfer ownership error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 module.exports = router;
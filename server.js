@@ -4,15 +4,23 @@ const { Server } = require("socket.io");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
 require("dotenv").config();
 
 const authRoutes = require("./routes/auth");
 const thesisRoutes = require("./routes/thesis.js");
 const pitchDeckRoutes = require("./routes/pitchDeck");
 const userRoutes = require("./routes/users.js");
+const organizationRoutes = require("./routes/organizations");
+const roleRoutes = require("./routes/roles");
+const teamRoutes = require("./routes/teams");
+const auditRoutes = require("./routes/audit");
+const privacyRoutes = require("./routes/privacy");
+const fundRoutes = require("./routes/funds");
+const companyRoutes = require("./routes/companies");
 const liveConversationRoutes = require("./routes/liveConversation").router;
 const { websocketAuth } = require("./middleware/websocketAuth");
+const { setIo, userRoom, organizationRoom } = require("./utils/realtime");
+const { apiLimiter } = require("./utils/rateLimits");
 
 const app = express();
 // Trust proxy (so req.secure and IPs work correctly behind Nginx)
@@ -30,6 +38,7 @@ const corsOptions = {
   allowedHeaders: [
     "Content-Type",
     "Authorization",
+    "X-API-Key",
     "Accept",
     "Origin",
     "X-Requested-With",
@@ -43,12 +52,8 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
 
-// Rate limiting
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // limit each IP to 100 requests per windowMs
-// });
-// app.use(limiter);
+// Rate limiting: baseline per IP; auth and AI routes add stricter policies (utils/rateLimits.js)
+app.use("/api", apiLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
@@ -71,6 +76,13 @@ app.use("/api/auth", authRoutes);
 app.use("/api/thesis", thesisRoutes);
 app.use("/api/pitch-decks", pitchDeckRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/teams", teamRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/privacy", privacyRoutes);
+app.use("/api/funds", fundRoutes);
+app.use("/api/companies", companyRoutes);
 app.use("/api/live-conversations", liveConversationRoutes);
 
 // Health check endpoint
@@ -119,6 +131,9 @@ const io = new Server(server, {
   transports: ["websocket", "polling"],
 });
 
+// Make the server available to routes (e.g. to disconnect deactivated users)
+setIo(io);
+
 // WebSocket authentication middleware
 io.use(websocketAuth);
 
@@ -126,6 +141,10 @@ io.use(websocketAuth);
 io.on("connection", (socket) => {
   console.log(`WebSocket client connected: ${socket.userId}`);
 
+  // Per-user and per-organization rooms for server-initiated events
+  socket.join(userRoom(socket.userId));
+  socket.join(organizationRoom(socket.organizationId));
+
   // Initialize WebSocket handlers
   const {
     setupLiveConversationHandlers,
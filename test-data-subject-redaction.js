@@ -0,0 +1,64 @@
+// test-data-subject-redaction.js
+// Test script for name redaction during data-subject erasure
+
+const assert = require("assert");
+const { REDACTED, redactMentions } = require("./utils/dataSubject");
+
+const cases = [
+  {
+    description: "redacts the name as a whole word, in any case",
+    name: "Ann",
+    input: "Call with ann, Ann's CFO and ANN.",
+    expected: `Call with ${REDACTED}, ${REDACTED}'s CFO and ${REDACTED}.`,
+  },
+  {
+    description: "leaves names embedded in longer words alone",
+    name: "Ann",
+    input: "Annual planning with Joanna and Hanna",
+    expected: "Annual planning with Joanna and Hanna",
+  },
+  {
+    description: "treats accented letters and digits as part of a word",
+    name: "Ann",
+    input: "Anné, Ann2 and Ann",
+    expected: `Anné, Ann2 and ${REDACTED}`,
+  },
+  {
+    description: "matches full names and regex characters literally",
+    name: "Jane (J.) Doe",
+    input: "Founder: Jane (J.) Doe; not Jane (JX) Doe",
+    expected: `Founder: ${REDACTED}; not Jane (JX) Doe`,
+  },
+  {
+    description: "redacts strings nested in arrays and objects",
+    name: "Ann",
+    input: { team: ["Ann (CEO)", "Joanna (CTO)"], summary: "Ann founded it" },
+    expected: {
+      team: [`${REDACTED} (CEO)`, "Joanna (CTO)"],
+      summary: `${REDACTED} founded it`,
+    },
+  },
+];
+
+function testRedaction() {
+  for (const { description, name, input, expected } of cases) {
+    assert.deepStrictEqual(redactMentions(input, name), expected, description);
+    console.log(`✅ ${description}`);
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  try {
+    testRedaction();
+    console.log("\n✨ All tests passed!");
+    process.exit(0);
+  } catch (error) {
+    console.error("\n💥 Test failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testRedaction,
+};
@@ -0,0 +1,98 @@
+const { getRequestMetadata } = require("./authTokens");
+
+// Failed password/MFA attempts allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = 5;
+// Lock duration doubles with every consecutive lockout, up to the maximum
+const BASE_LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Only the most recent lockout events are kept on the user
+const MAX_LOCKOUT_EVENTS = 20;
+
+/**
+ * Whether a user is currently locked out
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function isAccountLocked(user) {
+  const lockedUntil = user.security?.lockedUntil;
+  return Boolean(lockedUntil && lockedUntil > new Date());
+}
+
+/**
+ * Count a failed login attempt, locking the account once the limit is reached
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (IP and user agent are stored with the lockout)
+ * @param {string} reason - "invalid_password" or "invalid_mfa_code"
+ * @returns {Promise<Date|null>} lockedUntil if this attempt locked the account
+ */
+async function registerFailedLogin(user, req, reason) {
+  user.security = user.security || {};
+  user.security.failedLoginAttempts =
+    (user.security.failedLoginAttempts || 0) + 1;
+  user.security.lastFailedLoginAt = new Date();
+
+  let lockedUntil = null;
+  if (user.security.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+    const lockoutCount = user.security.lockoutCount || 0;
+    const durationMs = Math.min(
+      BASE_LOCKOUT_MS * 2 ** lockoutCount,
+      MAX_LOCKOUT_MS
+    );
+    lockedUntil = new Date(Date.now() + durationMs);
+
+    const { ip, userAgent } = getRequestMetadata(req);
+    user.security.lockedUntil = lockedUntil;
+    user.security.lockoutCount = lockoutCount + 1;
+    user.security.failedLoginAttempts = 0;
+    user.security.lockoutEvents.push({
+      lockedAt: new Date(),
+      lockedUntil,
+      reason,
+      ip,
+      userAgent,
+    });
+    if (user.security.lockoutEvents.length > MAX_LOCKOUT_EVENTS) {
+      user.security.lockoutEvents.splice(
+        0,
+        user.security.lockoutEvents.length - MAX_LOCKOUT_EVENTS
+      );
+    }
+  }
+
+  await user.save();
+  return lockedUntil;
+}
+
+/**
+ * Clear failed attempts after a successful login (caller saves)
+ * @param {Object} user - User document
+ */
+function resetFailedLogins(user) {
+  if (!user.security) return;
+  user.security.failedLoginAttempts = 0;
+  user.security.lockoutCount = 0;
+  user.security.lockedUntil = undefined;
+}
+
+/**
+ * Lift a lockout on behalf of an administrator
+ * @param {Object} user - User document
+ * @param {Object} unlockedBy - User performing the unlock
+ */
+async function unlockAccount(user, unlockedBy) {
+  const latestEvent = user.security.lockoutEvents.at(-1);
+  if (latestEvent && !latestEvent.unlockedAt) {
+    latestEvent.unlockedAt = new Date();
+    latestEvent.unlockedBy = unlockedBy._id;
+  }
+  resetFailedLogins(user);
+  await user.save();
+}
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount,
+};
@@ -0,0 +1,120 @@
+const { getPath, diffLists } = require("./helpers");
+
+// PitchDeck.analysis fields compared by the version diff
+const LIST_FIELDS = ["keyPoints", "risks", "opportunities"];
+const VALUE_FIELDS = [
+  "summary",
+  "marketSize",
+  "businessModel",
+  "competitiveAdvantage",
+  "team",
+  "financials.traction",
+  "financials.fundraising",
+  "financials.unitEconomics",
+  "recommendation",
+  "fitAssessment.overallFit",
+  "ruleAssessment.verdict",
+];
+const SCORE_FIELDS = ["confidenceScore", "ruleAssessment.score"];
+
+function toScore(value) {
+  const score = parseFloat(value);
+  return Number.isFinite(score) ? score : null;
+}
+
+/**
+ * Structured diff between two deck analyses
+ * @param {Object} fromAnalysis - Older analysis
+ * @param {Object} toAnalysis - Newer analysis
+ * @returns {Object} { changes: [{ field, from, to }], lists: [{ field, added, removed }], scores: [{ field, from, to, delta }] }
+ */
+function diffAnalyses(fromAnalysis = {}, toAnalysis = {}) {
+  const changes = [];
+  const lists = [];
+  const scores = [];
+
+  for (const field of VALUE_FIELDS) {
+    const before = getPath(fromAnalysis, field) ?? null;
+    const after = getPath(toAnalysis, field) ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, from: before, to: after });
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    const { added, removed } = diffLists(
+      getPath(fromAnalysis, field) || [],
+      getPath(toAnalysis, field) || []
+    );
+    if (added.length > 0 || removed.length > 0) {
+      lists.push({ field, added, removed });
+    }
+  }
+
+  for (const field of SCORE_FIELDS) {
+    const before = toScore(getPath(fromAnalysis, field));
+    const after = toScore(getPath(toAnalysis, field));
+    if (before === null && after === null) continue;
+    scores.push({
+      field,
+      from: before,
+      to: after,
+      delta: before !== null && after !== null ? after - before : null,
+    });
+  }
+
+  return { changes, lists, scores };
+}
+
+/**
+ * Latest history entry of each analysis version; minor edits share their version
+ * @param {Object[]} analysisHistory - PitchDeck.analysisHistory
+ * @returns {Map<number, Object>} version -> { entry, revisions }
+ */
+function latestEntriesByVersion(analysisHistory = []) {
+  const versions = new Map();
+  for (const entry of analysisHistory) {
+    const existing = versions.get(entry.version);
+    versions.set(entry.version, {
+      entry,
+      revisions: (existing?.revisions || 0) + 1,
+    });
+  }
+  return versions;
+}
+
+/**
+ * Load one analysis version of a deck: the current analysis for its current version, else history
+ * @param {Object} pitchDeck - PitchDeck document or lean object with analysis and analysisHistory
+ * @param {number} version - Version number
+ * @returns {Object|null} { version, analysis, analysisRaw, analysisDate, trigger, current }
+ */
+function getAnalysisVersion(pitchDeck, version) {
+  if (version === pitchDeck.analysisVersion && pitchDeck.analysis) {
+    return {
+      version,
+      analysis: pitchDeck.analysis,
+      analysisRaw: pitchDeck.analysisRaw,
+      analysisDate: pitchDeck.analysis.analysisDate,
+      current: true,
+    };
+  }
+
+  const found = latestEntriesByVersion(pitchDeck.analysisHistory).get(version);
+  return found
+    ? {
+        version,
+        analysis: found.entry.analysis,
+        analysisRaw: found.entry.analysisRaw,
+        analysisDate: found.entry.analysisDate,
+        trigger: found.entry.trigger,
+        current: false,
+      }
+    : null;
+}
+
+module.exports = {
+  diffAnalyses,
+  latestEntriesByVersion,
+  getAnalysisVersion,
+};
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const { hashToken } = require("./authTokens");
+const { resolveUserPermissions } = require("./permissions");
+const {
+  resolveOrganizationAccess,
+  applyOrganizationAccess,
+} = require("./memberships");
+
+const API_KEY_PREFIX = "vca_";
+const KEY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+// lastUsedAt is only written once per interval so busy integrations don't write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, keyPrefix, keyHash } (key is shown to the client once)
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return {
+    key,
+    keyPrefix: key.slice(0, KEY_PREFIX_LENGTH),
+    keyHash: hashToken(key),
+  };
+}
+
+/**
+ * Verify an API key and resolve who it acts as
+ * @param {string} key - Raw key from the X-API-Key header
+ * @returns {Promise<Object>} { apiKey, user, permissions }
+ */
+async function verifyApiKey(key) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isUsable()) {
+    throw new Error("API key is invalid, expired or revoked");
+  }
+
+  const user = await User.findById(apiKey.createdBy).populate("organization");
+  const access =
+    user && user.isActive
+      ? await resolveOrganizationAccess(user, apiKey.organization)
+      : null;
+  if (!access) {
+    throw new Error("API key owner not found or inactive");
+  }
+  // The creator may be a member rather than a primary user of the key's organization
+  applyOrganizationAccess(user, access);
+
+  // A key never grants more than its creator currently has
+  const userPermissions = await resolveUserPermissions(user);
+  const permissions = apiKey.scopes.filter((scope) =>
+    userPermissions.includes(scope)
+  );
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  return { apiKey, user, permissions };
+}
+
+module.exports = {
+  generateApiKey,
+  verifyApiKey,
+};
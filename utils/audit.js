@@ -0,0 +1,136 @@
+const AuditEvent = require("../models/AuditEvent");
+const { getRequestMetadata } = require("./authTokens");
+
+// Action names recorded in AuditEvent.action
+const AUDIT_ACTIONS = {
+  // Authentication
+  AUTH_REGISTER: "auth.register",
+  AUTH_LOGIN: "auth.login",
+  AUTH_LOGIN_FAILED: "auth.login_failed",
+  AUTH_ACCOUNT_LOCKED: "auth.account_locked",
+  AUTH_SSO_LOGIN: "auth.sso_login",
+  AUTH_ORGANIZATION_SWITCH: "auth.organization_switch",
+  AUTH_LOGOUT: "auth.logout",
+  AUTH_LOGOUT_ALL: "auth.logout_all",
+  AUTH_PASSWORD_RESET: "auth.password_reset",
+  AUTH_MFA_ENABLED: "auth.mfa_enabled",
+  AUTH_MFA_DISABLED: "auth.mfa_disabled",
+  AUTH_INVITE_ACCEPTED: "auth.invite_accepted",
+  // Users
+  USER_CREATE: "user.create",
+  USER_PROFILE_UPDATE: "user.profile_update",
+  USER_PASSWORD_CHANGE: "user.password_change",
+  USER_ROLE_CHANGE: "user.role_change",
+  USER_DEACTIVATE: "user.deactivate",
+  USER_REACTIVATE: "user.reactivate",
+  USER_UNLOCK: "user.unlock",
+  USER_TRANSFER: "user.transfer",
+  USER_INVITE: "user.invite",
+  USER_INVITE_RESEND: "user.invite_resend",
+  USER_INVITE_REVOKE: "user.invite_revoke",
+  // Organization
+  ORG_UPDATE: "org.update",
+  ORG_API_KEY_CREATE: "org.api_key_create",
+  ORG_API_KEY_REVOKE: "org.api_key_revoke",
+  // Theses
+  THESIS_UPLOAD: "thesis.upload",
+  THESIS_CREATE: "thesis.create",
+  THESIS_VIEW: "thesis.view",
+  THESIS_UPDATE: "thesis.update",
+  THESIS_DELETE: "thesis.delete",
+  THESIS_SET_DEFAULT: "thesis.set_default",
+  THESIS_RESTORE: "thesis.restore",
+  THESIS_REANALYZE: "thesis.reanalyze",
+  THESIS_FILL_GAPS: "thesis.fill_gaps",
+  THESIS_RESCORE: "thesis.rescore",
+  // Pitch decks
+  DECK_UPLOAD: "deck.upload",
+  DECK_VIEW: "deck.view",
+  DECK_DELETE: "deck.delete",
+  DECK_REANALYZE: "deck.reanalyze",
+  DECK_COMMENT: "deck.comment",
+  DECK_SHARE: "deck.share",
+  DECK_UNSHARE: "deck.unshare",
+  DECK_ASSIGN_FUND: "deck.assign_fund",
+  DECK_UPDATE_ATTRIBUTES: "deck.update_attributes",
+  DECK_CHECKLIST_UPDATE: "deck.checklist_update",
+  DECK_VERSION_UPLOAD: "deck.version_upload",
+  DECK_ANALYSIS_RESTORE: "deck.analysis_restore",
+  DECK_ASSIGN_COMPANY: "deck.assign_company",
+  // Funds
+  FUND_CREATE: "fund.create",
+  FUND_UPDATE: "fund.update",
+  FUND_DELETE: "fund.delete",
+  // Companies
+  COMPANY_CREATE: "company.create",
+  COMPANY_UPDATE: "company.update",
+  COMPANY_DELETE: "company.delete",
+  // Live conversations
+  SESSION_START: "session.start",
+  SESSION_STOP: "session.stop",
+  // Data-subject requests
+  PRIVACY_EXPORT: "privacy.export",
+  PRIVACY_ERASURE_REQUEST: "privacy.erasure_request",
+  PRIVACY_ERASURE_COMPLETE: "privacy.erasure_complete",
+};
+
+/**
+ * Field-level diff between two snapshots, e.g. { role: { from: "ANALYST", to: "PARTNER" } }
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @param {string[]} fields - Fields to compare (defaults to every key of both)
+ * @returns {Object|undefined} Changes, or undefined when nothing changed
+ */
+function diffFields(before = {}, after = {}, fields) {
+  const keys = fields || [
+    ...new Set([...Object.keys(before), ...Object.keys(after)]),
+  ];
+  const changes = {};
+  for (const key of keys) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : undefined;
+}
+
+/**
+ * Record an audit event; failures are logged and never break the request
+ * @param {Object} req - Express request (actor, organization, IP and user agent default from it)
+ * @param {Object} event - { action, target: { type, id, label }, changes, metadata, actor, organization }
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, event) {
+  try {
+    const actor = event.actor !== undefined ? event.actor : req.user;
+    const organization =
+      event.organization ||
+      actor?.organization?._id ||
+      actor?.organization ||
+      req.user?.organization?._id;
+    if (!organization) {
+      return;
+    }
+
+    const { ip, userAgent } = getRequestMetadata(req);
+    await AuditEvent.create({
+      organization,
+      actor: actor?._id || actor || undefined,
+      apiKey: req.apiKey?._id,
+      action: event.action,
+      target: event.target,
+      changes: event.changes,
+      metadata: event.metadata,
+      ip,
+      userAgent,
+    });
+  } catch (error) {
+    console.error(`Audit log error (${event.action}):`, error);
+  }
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffFields,
+  recordAudit,
+};
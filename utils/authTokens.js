@@ -0,0 +1,269 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const AuthSession = require("../models/AuthSession");
+const User = require("../models/User");
+const {
+  resolveOrganizationAccess,
+  applyOrganizationAccess,
+} = require("./memberships");
+
+// Short-lived access tokens; long-lived, rotating refresh tokens stored in Mongo
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+
+/**
+ * Hash an opaque token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Generate a random opaque token (refresh tokens, reset links, invitations)
+ * @returns {string} Hex-encoded random token
+ */
+function generateOpaqueToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Client IP and user agent of a request (stored with sessions and audit events)
+ * @param {Object} req - Express request
+ * @returns {Object} { ip, userAgent }
+ */
+function getRequestMetadata(req) {
+  return {
+    ip: req?.ip,
+    userAgent: req?.get ? req.get("User-Agent") : undefined,
+  };
+}
+
+function organizationIdOf(user) {
+  return (user.organization?._id || user.organization).toString();
+}
+
+/**
+ * Sign an access token bound to an auth session and scoped to the user's current organization
+ * @param {Object} user - User document (organization/role of the active membership)
+ * @param {Object} authSession - AuthSession document
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, authSession) {
+  return jwt.sign(
+    {
+      userId: user._id.toString(),
+      role: user.role,
+      orgId: organizationIdOf(user),
+      sid: authSession._id.toString(),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function buildTokenPayload(user, authSession, refreshToken) {
+  const accessToken = signAccessToken(user, authSession);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    accessTokenExpiresAt: new Date(exp * 1000),
+    refreshTokenExpiresAt: authSession.expiresAt,
+  };
+}
+
+/**
+ * Start a new auth session for a user (login, registration), scoped to user.organization
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP/user agent)
+ * @returns {Promise<Object>} { token, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt }
+ */
+async function createAuthSession(user, req) {
+  const refreshToken = generateOpaqueToken();
+
+  const authSession = await AuthSession.create({
+    user: user._id,
+    organization: organizationIdOf(user),
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    metadata: getRequestMetadata(req),
+  });
+
+  return buildTokenPayload(user, authSession, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented refresh token is invalidated; presenting it again revokes the session.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request (for IP/user agent)
+ * @returns {Promise<Object|null>} New token payload, or null if the token is not valid
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const authSession = await AuthSession.findOne({
+    refreshTokenHash: tokenHash,
+  });
+
+  if (!authSession) {
+    // A rotated-out token being replayed means it leaked: kill the session
+    const reusedSession = await AuthSession.findOne({
+      previousRefreshTokenHash: tokenHash,
+      revokedAt: null,
+    });
+    if (reusedSession) {
+      console.warn(
+        `[AUTH] Refresh token reuse detected for session ${reusedSession._id}, revoking`
+      );
+      await revokeAuthSession(reusedSession._id, "refresh_reuse");
+    }
+    return null;
+  }
+
+  if (!authSession.isUsable()) {
+    return null;
+  }
+
+  const user = await User.findById(authSession.user);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  // Stay in the session's organization while the membership lasts, else fall back to the primary one
+  const access = authSession.organization
+    ? await resolveOrganizationAccess(user, authSession.organization)
+    : null;
+  if (access) {
+    applyOrganizationAccess(user, access);
+  }
+
+  const newRefreshToken = generateOpaqueToken();
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: authSession._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        expiresAt: refreshTokenExpiry(),
+        lastUsedAt: new Date(),
+        organization: organizationIdOf(user),
+        metadata: getRequestMetadata(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return null;
+  }
+
+  return buildTokenPayload(user, rotated, newRefreshToken);
+}
+
+/**
+ * Revoke a single auth session
+ * @param {string} sessionId - AuthSession ID
+ * @param {string} reason - Revocation reason
+ */
+async function revokeAuthSession(sessionId, reason = "logout") {
+  await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Revoke every active auth session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} options - { exceptSessionId } to keep the caller's own session alive,
+ *   { organizationId } to only revoke sessions scoped to one organization
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllAuthSessions(
+  userId,
+  reason = "logout_all",
+  { exceptSessionId, organizationId } = {}
+) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  if (organizationId) {
+    query.organization = organizationId;
+  }
+
+  const result = await AuthSession.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Verify an access token and load its user and auth session.
+ * user.organization/user.role are those of the token's organization (orgId claim).
+ * Throws if the token is invalid, its session is revoked, the user is inactive
+ * or no longer a member of the token's organization.
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} { decoded, user, authSession }
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens minted before sessions existed can't be revoked, so they are not accepted
+  if (!decoded.sid) {
+    throw new Error("Token is not bound to a session");
+  }
+
+  const authSession = await AuthSession.findById(decoded.sid);
+  if (
+    !authSession ||
+    authSession.revokedAt ||
+    authSession.user.toString() !== String(decoded.userId)
+  ) {
+    throw new Error("Session has been revoked");
+  }
+
+  const user = await User.findById(decoded.userId).populate("organization");
+  if (!user || !user.isActive) {
+    throw new Error("User not found or inactive");
+  }
+
+  // Tokens issued before memberships existed are scoped to the primary organization
+  const access = await resolveOrganizationAccess(
+    user,
+    decoded.orgId || user.organization
+  );
+  if (!access) {
+    throw new Error("User is not a member of this organization");
+  }
+  applyOrganizationAccess(user, access);
+
+  return { decoded, user, authSession };
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  hashToken,
+  generateOpaqueToken,
+  getRequestMetadata,
+  signAccessToken,
+  createAuthSession,
+  rotateRefreshToken,
+  revokeAuthSession,
+  revokeAllAuthSessions,
+  verifyAccessToken,
+};
@@ -0,0 +1,299 @@
+const Company = require("../models/Company");
+const PitchDeck = require("../models/PitchDeck");
+const SupportingDocument = require("../models/SupportingDocument");
+const LiveConversation = require("../models/LiveConversation");
+const Comment = require("../models/Comment");
+
+// Company matching: names are compared after normalization, websites by domain
+const LEGAL_SUFFIXES = new Set([
+  "inc",
+  "incorporated",
+  "llc",
+  "ltd",
+  "limited",
+  "corp",
+  "corporation",
+  "co",
+  "gmbh",
+  "ag",
+  "sa",
+  "sas",
+  "bv",
+  "plc",
+  "oy",
+  "ab",
+]);
+const MIN_SUGGESTION_SCORE = 0.6;
+
+/**
+ * Lower-case a company name and drop punctuation and legal suffixes
+ * @param {string} name - Company name, e.g. "Acme, Inc."
+ * @returns {string} Normalized name, e.g. "acme"
+ */
+function normalizeCompanyName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .split(/\s+/)
+    .filter((word) => word && !LEGAL_SUFFIXES.has(word))
+    .join(" ");
+}
+
+/**
+ * Host of a website URL or e-mail address without "www."
+ * @param {string} value - e.g. "https://www.acme.io/about" or "jane@acme.io"
+ * @returns {string|null} e.g. "acme.io"
+ */
+function domainOf(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  const host = text.includes("@")
+    ? text.split("@").pop()
+    : text.replace(/^[a-z]+:\/\//, "").split(/[/?#:]/)[0];
+  const domain = host.replace(/^www\./, "");
+  return domain.includes(".") ? domain : null;
+}
+
+// Fields derived from name and website that matching relies on
+function companyMatchFields(name, website) {
+  return {
+    normalizedName: normalizeCompanyName(name),
+    domain: domainOf(website) || undefined,
+  };
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, "");
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Dice coefficient of character bigrams, 0-1
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const first = bigrams(a);
+  const second = bigrams(b);
+  if (first.length === 0 || second.length === 0) return 0;
+
+  const counts = new Map();
+  first.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let overlap = 0;
+  for (const pair of second) {
+    if (counts.get(pair) > 0) {
+      counts.set(pair, counts.get(pair) - 1);
+      overlap += 1;
+    }
+  }
+  return (2 * overlap) / (first.length + second.length);
+}
+
+// Deck titles often wrap the company name, e.g. "Acme - Series A deck"
+function containsName(text, name) {
+  return ` ${text} `.includes(` ${name} `);
+}
+
+/**
+ * Suggest existing companies for a deck by name and domain similarity
+ * @param {string} organizationId - Organization ID
+ * @param {Object} candidate - { name, website } (name may be a deck title; website may be an e-mail)
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<Object[]>} [{ company: { id, name, website, sector }, score, reasons }], best first
+ */
+async function suggestCompanies(organizationId, { name, website }, limit = 5) {
+  const normalizedName = normalizeCompanyName(name);
+  const domain = domainOf(website);
+  if (!normalizedName && !domain) return [];
+
+  const companies = await Company.find({
+    organization: organizationId,
+    isActive: true,
+  })
+    .select("name normalizedName website domain sector")
+    .lean();
+
+  const suggestions = [];
+  for (const company of companies) {
+    const reasons = [];
+    let score = 0;
+
+    if (domain && company.domain === domain) {
+      score = 1;
+      reasons.push("domain");
+    }
+
+    const similarity = containsName(normalizedName, company.normalizedName)
+      ? Math.max(0.9, nameSimilarity(normalizedName, company.normalizedName))
+      : nameSimilarity(normalizedName, company.normalizedName);
+    if (similarity >= MIN_SUGGESTION_SCORE) {
+      score = Math.max(score, similarity);
+      reasons.push("name");
+    }
+
+    if (reasons.length > 0) {
+      suggestions.push({
+        company: {
+          id: company._id,
+          name: company.name,
+          website: company.website,
+          sector: company.sector,
+        },
+        score: Math.round(score * 100) / 100,
+        reasons,
+      });
+    }
+  }
+
+  return suggestions.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Attach a deck, its supporting documents and live conversations to a company (null detaches)
+ * @param {Object} pitchDeck - PitchDeck document
+ * @param {Object|null} company - Company document
+ */
+async function assignDeckCompany(pitchDeck, company) {
+  const update = company
+    ? { $set: { company: company._id } }
+    : { $unset: { company: 1 } };
+
+  pitchDeck.company = company?._id;
+  await pitchDeck.save();
+  await Promise.all([
+    SupportingDocument.updateMany({ pitchDeck: pitchDeck._id }, update),
+    LiveConversation.updateMany({ pitchDeck: pitchDeck._id }, update),
+  ]);
+}
+
+/**
+ * Every interaction with a company, newest first: deck uploads and new file versions,
+ * analyses, supporting documents, live conversations and comments
+ * @param {Object} company - Company document
+ * @param {Object} accessFilter - deckAccessFilter result; only accessible decks are included
+ * @returns {Promise<Object[]>} [{ type, date, pitchDeck: { id, title }, ... }]
+ */
+async function buildCompanyTimeline(company, accessFilter = {}) {
+  const decks = await PitchDeck.find({
+    company: company._id,
+    organization: company.organization,
+    isActive: true,
+    ...accessFilter,
+  })
+    .select(
+      "title status createdAt uploadedBy fileVersions analysisHistory.version analysisHistory.trigger analysisHistory.analysisDate analysisHistory.analysis.recommendation analysisHistory.analysis.confidenceScore"
+    )
+    .populate("uploadedBy fileVersions.uploadedBy", "firstName lastName email")
+    .lean();
+  if (decks.length === 0) return [];
+
+  const deckIds = decks.map((deck) => deck._id);
+  const deckRefs = new Map(
+    decks.map((deck) => [
+      deck._id.toString(),
+      { id: deck._id, title: deck.title },
+    ])
+  );
+  const deckRef = (deckId) => deckRefs.get(deckId.toString());
+
+  const [documents, conversations, comments] = await Promise.all([
+    SupportingDocument.find({
+      company: company._id,
+      pitchDeck: { $in: deckIds },
+      isActive: true,
+    })
+      .select("pitchDeck title createdAt uploadedBy")
+      .populate("uploadedBy", "firstName lastName email")
+      .lean(),
+    LiveConversation.find({
+      company: company._id,
+      pitchDeck: { $in: deckIds },
+      isActive: true,
+    })
+      .select("pitchDeck title status startedAt endedAt createdBy")
+      .populate("createdBy", "firstName lastName email")
+      .lean(),
+    Comment.find({ pitchDeck: { $in: deckIds }, isActive: true })
+      .select("pitchDeck content createdAt author")
+      .populate("author", "firstName lastName email")
+      .lean(),
+  ]);
+
+  const events = [];
+  for (const deck of decks) {
+    events.push({
+      type: "deck_uploaded",
+      date: deck.createdAt,
+      pitchDeck: deckRef(deck._id),
+      user: deck.uploadedBy,
+      status: deck.status,
+    });
+    for (const fileVersion of deck.fileVersions || []) {
+      if (fileVersion.version === 1) continue;
+      events.push({
+        type: "deck_version_uploaded",
+        date: fileVersion.uploadedAt,
+        pitchDeck: deckRef(deck._id),
+        user: fileVersion.uploadedBy,
+        version: fileVersion.version,
+        fileName: fileVersion.fileName,
+        note: fileVersion.note,
+      });
+    }
+    for (const entry of deck.analysisHistory || []) {
+      events.push({
+        type: "analysis",
+        date: entry.analysisDate,
+        pitchDeck: deckRef(deck._id),
+        version: entry.version,
+        trigger: entry.trigger,
+        recommendation: entry.analysis?.recommendation,
+        confidenceScore: entry.analysis?.confidenceScore,
+      });
+    }
+  }
+  for (const document of documents) {
+    events.push({
+      type: "supporting_document",
+      date: document.createdAt,
+      pitchDeck: deckRef(document.pitchDeck),
+      user: document.uploadedBy,
+      title: document.title,
+    });
+  }
+  for (const conversation of conversations) {
+    events.push({
+      type: "live_conversation",
+      date: conversation.startedAt,
+      pitchDeck: deckRef(conversation.pitchDeck),
+      user: conversation.createdBy,
+      sessionId: conversation._id,
+      title: conversation.title,
+      status: conversation.status,
+      endedAt: conversation.endedAt,
+    });
+  }
+  for (const comment of comments) {
+    events.push({
+      type: "comment",
+      date: comment.createdAt,
+      pitchDeck: deckRef(comment.pitchDeck),
+      user: comment.author,
+      content: comment.content,
+    });
+  }
+
+  return events.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+module.exports = {
+  normalizeCompanyName,
+  domainOf,
+  companyMatchFields,
+  suggestCompanies,
+  assignDeckCompany,
+  buildCompanyTimeline,
+};
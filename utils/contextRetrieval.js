@@ -1,7 +1,7 @@
 const PitchDeck = require("../models/PitchDeck");
-const Thesis = require("../models/Thesis");
 const PitchDeckMessage = require("../models/PitchDeckMessage");
 const SupportingDocument = require("../models/SupportingDocument");
+const { resolveDeckThesis } = require("./thesisResolver");
 
 /**
  * Retrieve complete knowledge base context for a pitch deck
@@ -19,13 +19,8 @@ async function getPitchDeckContext(pitchDeckId) {
       throw new Error("Pitch deck not found");
     }
 
-    // Fetch latest active thesis for the organization
-    const thesis = await Thesis.findOne({
-      organization: pitchDeck.organization,
-      isActive: true,
-    })
-      .sort({ updatedAt: -1 })
-      .lean();
+    // Thesis of the deck's fund, else the organization default
+    const thesis = await resolveDeckThesis(pitchDeck);
 
     // Fetch all conversation messages
     const messages = await PitchDeckMessage.find({
@@ -53,7 +48,9 @@ async function getPitchDeckContext(pitchDeckId) {
           : "Analyst";
         const attachments =
           msg.attachments && msg.attachments.length > 0
-            ? ` [Attachments: ${msg.attachments.map((a) => a.fileName).join(", ")}]`
+            ? ` [Attachments: ${msg.attachments
+                .map((a) => a.fileName)
+                .join(", ")}]`
             : "";
 
         const userPart = `${author}: ${msg.userQuery}${attachments}`;
@@ -74,8 +71,7 @@ async function getPitchDeckContext(pitchDeckId) {
       supportingDocs.length > 0
         ? supportingDocs
             .map(
-              (doc) =>
-                `- ${doc.title}: ${doc.description || "No description"}`
+              (doc) => `- ${doc.title}: ${doc.description || "No description"}`
             )
             .join("\n")
         : "";
@@ -128,7 +124,10 @@ async function getFormattedContext(pitchDeckId) {
   if (context.thesis) {
     formatted += `FIRM INVESTMENT THESIS:\n`;
     formatted += `Title: ${context.thesis.title}\n`;
-    if (context.thesis.profile && Object.keys(context.thesis.profile).length > 0) {
+    if (
+      context.thesis.profile &&
+      Object.keys(context.thesis.profile).length > 0
+    ) {
       formatted += JSON.stringify(context.thesis.profile, null, 2);
     } else if (context.thesis.content) {
       formatted += context.thesis.content;
@@ -157,4 +156,3 @@ module.exports = {
   getPitchDeckContext,
   getFormattedContext,
 };
-
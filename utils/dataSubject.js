@@ -0,0 +1,481 @@
+const User = require("../models/User");
+const Membership = require("../models/Membership");
+const Comment = require("../models/Comment");
+const PitchDeck = require("../models/PitchDeck");
+const PitchDeckMessage = require("../models/PitchDeckMessage");
+const SupportingDocument = require("../models/SupportingDocument");
+const LiveConversation = require("../models/LiveConversation");
+const ConversationTranscript = require("../models/ConversationTranscript");
+const AuditEvent = require("../models/AuditEvent");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const Invitation = require("../models/Invitation");
+const Company = require("../models/Company");
+const DiligenceChecklist = require("../models/DiligenceChecklist");
+const { createZip } = require("./zip");
+const { deleteFromS3 } = require("./s3Upload");
+const { revokeAllAuthSessions } = require("./authTokens");
+const { disconnectUserSockets } = require("./realtime");
+const { escapeRegex } = require("./helpers");
+
+// Personal data export (ZIP of JSON) and erasure for data-subject requests.
+// A subject is a platform user or a founder known only by name (transcript speaker, mentions,
+// company founder entry).
+
+const REDACTED = "[redacted]";
+const ANONYMIZED_SPEAKER = "Anonymized speaker";
+
+// Speaker labels are matched as a whole, mentions anywhere in text as whole words
+// (erasing "Ann" leaves "Annual" and "Joanna" alone)
+function speakerRegex(name) {
+  return new RegExp(`^\\s*${escapeRegex(name)}\\s*$`, "i");
+}
+
+function mentionRegex(name, flags = "iu") {
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegex(name)}(?![\\p{L}\\p{N}])`,
+    flags
+  );
+}
+
+// Replace mentions of a name in every string of a value (strings, arrays, plain objects)
+function redactMentions(value, name) {
+  if (typeof value === "string") {
+    return value.replace(mentionRegex(name, "giu"), REDACTED);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactMentions(item, name));
+  }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        redactMentions(item, name),
+      ])
+    );
+  }
+  return value;
+}
+
+function subjectName(subject) {
+  if (subject.name) return subject.name;
+  return subject.user
+    ? `${subject.user.firstName} ${subject.user.lastName}`
+    : null;
+}
+
+async function organizationConversationIds(organizationId) {
+  return LiveConversation.find({ organization: organizationId }).distinct(
+    "_id"
+  );
+}
+
+// Chat messages naming someone in the question or anywhere in the AI response,
+// which is stored as a JSON object or as text
+async function messageIdsMentioning(organizationId, name) {
+  const regex = mentionRegex(name);
+  const ids = [];
+  const cursor = PitchDeckMessage.find({ organization: organizationId })
+    .select("userQuery aiResponse")
+    .lean()
+    .cursor();
+  for await (const message of cursor) {
+    const response =
+      typeof message.aiResponse === "string"
+        ? message.aiResponse
+        : JSON.stringify(message.aiResponse ?? "");
+    if (regex.test(message.userQuery || "") || regex.test(response)) {
+      ids.push(message._id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Collect the personal data of a subject within an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} subject - { type: "user"|"founder", user, name, pitchDecks }
+ * @returns {Promise<Object>} Plain objects keyed by collection
+ */
+async function collectSubjectData(organizationId, subject) {
+  const name = subjectName(subject);
+  const conversationIds = await organizationConversationIds(organizationId);
+
+  const authoredFilter =
+    subject.type === "user"
+      ? { author: subject.user._id }
+      : { content: mentionRegex(name) };
+  const messageFilter =
+    subject.type === "user"
+      ? { author: subject.user._id }
+      : { _id: { $in: await messageIdsMentioning(organizationId, name) } };
+  const auditFilter =
+    subject.type === "user"
+      ? {
+          $or: [{ actor: subject.user._id }, { "target.id": subject.user._id }],
+        }
+      : { "target.label": mentionRegex(name) };
+
+  const [
+    comments,
+    chatMessages,
+    transcripts,
+    liveConversations,
+    auditEvents,
+    pitchDecks,
+    companies,
+  ] = await Promise.all([
+    Comment.find({ organization: organizationId, ...authoredFilter }).lean(),
+    PitchDeckMessage.find({
+      organization: organizationId,
+      ...messageFilter,
+    }).lean(),
+    name
+      ? ConversationTranscript.find({
+          liveConversation: { $in: conversationIds },
+          speaker: speakerRegex(name),
+        })
+          .select("liveConversation pitchDeck timestamp speaker text")
+          .lean()
+      : [],
+    name
+      ? LiveConversation.find({
+          organization: organizationId,
+          "summary.participants": speakerRegex(name),
+        })
+          .select("title pitchDeck startedAt endedAt summary")
+          .lean()
+      : [],
+    AuditEvent.find({ organization: organizationId, ...auditFilter })
+      .sort({ createdAt: 1 })
+      .lean(),
+    subject.pitchDecks?.length
+      ? PitchDeck.find({
+          _id: { $in: subject.pitchDecks },
+          organization: organizationId,
+        })
+          .select(
+            "title description originalFileKey analysis analysisRaw analysisHistory createdAt"
+          )
+          .lean()
+      : [],
+    name
+      ? Company.find({
+          organization: organizationId,
+          "founders.name": speakerRegex(name),
+        })
+          .select("name website founders")
+          .lean()
+      : [],
+  ]);
+
+  return {
+    ...(subject.type === "user" ? { profile: subject.user.toJSON() } : {}),
+    comments,
+    chatMessages,
+    transcripts,
+    liveConversations,
+    auditEvents,
+    ...(pitchDecks.length > 0 ? { pitchDecks } : {}),
+    // Only the subject's own founder entries, not those of co-founders
+    companies: companies.map((company) => ({
+      ...company,
+      founders: company.founders.filter((founder) =>
+        speakerRegex(name).test(founder.name)
+      ),
+    })),
+  };
+}
+
+/**
+ * Build the export archive: one JSON file per collection plus a manifest
+ * @param {Object} request - DataSubjectRequest document
+ * @param {Object} data - Result of collectSubjectData
+ * @returns {Buffer} ZIP file contents
+ */
+function buildExportArchive(request, data) {
+  const manifest = {
+    requestId: request._id,
+    organization: request.organization,
+    subject: request.subject,
+    generatedAt: new Date(),
+    files: Object.keys(data).map((key) => `${key}.json`),
+  };
+
+  return createZip([
+    { name: "manifest.json", data: JSON.stringify(manifest, null, 2) },
+    ...Object.entries(data).map(([key, value]) => ({
+      name: `${key}.json`,
+      data: JSON.stringify(value, null, 2),
+    })),
+  ]);
+}
+
+// Best effort: objects that fail to delete are counted, not fatal
+async function deleteS3Objects(keys) {
+  const counts = { deleted: 0, failed: 0 };
+  for (const key of new Set(keys.filter(Boolean))) {
+    try {
+      await deleteFromS3(key);
+      counts.deleted += 1;
+    } catch (error) {
+      console.error(`Erasure: failed to delete S3 object ${key}:`, error);
+      counts.failed += 1;
+    }
+  }
+  return counts;
+}
+
+// Anonymize the subject as a transcript speaker and in meeting summaries
+async function anonymizeSpeaker(organizationId, name) {
+  const conversationIds = await organizationConversationIds(organizationId);
+
+  const transcripts = await ConversationTranscript.updateMany(
+    { liveConversation: { $in: conversationIds }, speaker: speakerRegex(name) },
+    { $set: { speaker: ANONYMIZED_SPEAKER } }
+  );
+  const summaries = await LiveConversation.updateMany(
+    {
+      organization: organizationId,
+      "summary.participants": speakerRegex(name),
+    },
+    { $set: { "summary.participants.$[participant]": ANONYMIZED_SPEAKER } },
+    { arrayFilters: [{ participant: speakerRegex(name) }] }
+  );
+
+  return {
+    transcripts: transcripts.modifiedCount,
+    liveConversations: summaries.modifiedCount,
+  };
+}
+
+// Staff member: redact what they wrote, delete their attachments and erase the account
+async function eraseUser(organizationId, user, name) {
+  const counts = {};
+
+  const comments = await Comment.updateMany(
+    { organization: organizationId, author: user._id },
+    { $set: { content: REDACTED, "metadata.editHistory": [] } }
+  );
+  counts.comments = comments.modifiedCount;
+
+  const messages = await PitchDeckMessage.find({
+    organization: organizationId,
+    author: user._id,
+  }).select("attachments");
+  const attachmentKeys = messages.flatMap((message) =>
+    message.attachments.map((attachment) => attachment.fileKey)
+  );
+  const chatMessages = await PitchDeckMessage.updateMany(
+    { organization: organizationId, author: user._id },
+    { $set: { userQuery: REDACTED, attachments: [] } }
+  );
+  counts.chatMessages = chatMessages.modifiedCount;
+  counts.s3Objects = await deleteS3Objects(attachmentKeys);
+
+  Object.assign(counts, await anonymizeSpeaker(organizationId, name));
+
+  // The account itself is only erased by its primary organization; others just lose the member
+  if (user.organization.toString() === organizationId.toString()) {
+    const originalEmail = user.email;
+    user.email = `erased-${user._id}@erased.invalid`;
+    user.firstName = "Erased";
+    user.lastName = "User";
+    user.isActive = false;
+    user.externalId = undefined;
+    user.mfa = { enabled: false, backupCodes: [] };
+    user.security = { lockoutEvents: [] };
+    await user.save();
+
+    await Promise.all([
+      PasswordResetToken.deleteMany({ user: user._id }),
+      Invitation.updateMany(
+        { email: originalEmail },
+        { $set: { email: user.email, firstName: "Erased", lastName: "User" } }
+      ),
+      Membership.updateMany({ user: user._id }, { $set: { isActive: false } }),
+    ]);
+    await revokeAllAuthSessions(user._id, "admin");
+    disconnectUserSockets(user._id, "Account erased");
+    counts.account = "erased";
+  } else {
+    await Membership.updateOne(
+      { user: user._id, organization: organizationId },
+      { $set: { isActive: false } }
+    );
+    await revokeAllAuthSessions(user._id, "membership_revoked", {
+      organizationId,
+    });
+    counts.account = "membership_removed";
+  }
+
+  return counts;
+}
+
+// Founder: redact mentions in comments, chat and transcripts; delete files of their decks
+async function eraseFounder(organizationId, name, pitchDeckIds = []) {
+  const counts = { comments: 0, chatMessages: 0 };
+  const conversationIds = await organizationConversationIds(organizationId);
+
+  const comments = await Comment.find({
+    organization: organizationId,
+    $or: [
+      { content: mentionRegex(name) },
+      { "metadata.editHistory.content": mentionRegex(name) },
+    ],
+  });
+  for (const comment of comments) {
+    comment.content = redactMentions(comment.content, name);
+    comment.metadata.editHistory.forEach((entry) => {
+      entry.content = redactMentions(entry.content, name);
+    });
+    await comment.save();
+    counts.comments += 1;
+  }
+
+  const messages = await PitchDeckMessage.find({
+    _id: { $in: await messageIdsMentioning(organizationId, name) },
+  });
+  for (const message of messages) {
+    message.userQuery = redactMentions(message.userQuery, name);
+    message.aiResponse = redactMentions(message.aiResponse, name);
+    message.markModified("aiResponse");
+    await message.save();
+    counts.chatMessages += 1;
+  }
+
+  const transcripts = await ConversationTranscript.find({
+    liveConversation: { $in: conversationIds },
+    text: mentionRegex(name),
+  });
+  for (const transcript of transcripts) {
+    transcript.text = redactMentions(transcript.text, name);
+    await transcript.save();
+  }
+  counts.transcriptMentions = transcripts.length;
+
+  Object.assign(counts, await anonymizeSpeaker(organizationId, name));
+
+  const { modifiedCount: companies } = await Company.updateMany(
+    { organization: organizationId, "founders.name": speakerRegex(name) },
+    { $pull: { founders: { name: speakerRegex(name) } } }
+  );
+  counts.companies = companies;
+
+  // Decks submitted by the founder: files, analyses and chat go; the soft-deleted,
+  // redacted records stay for the audit trail
+  if (pitchDeckIds.length > 0) {
+    const decks = await PitchDeck.find({
+      _id: { $in: pitchDeckIds },
+      organization: organizationId,
+    });
+    const deckIds = decks.map((deck) => deck._id);
+    const [documents, deckMessages] = await Promise.all([
+      SupportingDocument.find({ pitchDeck: { $in: deckIds } }),
+      PitchDeckMessage.find({ pitchDeck: { $in: deckIds } }).select(
+        "attachments"
+      ),
+    ]);
+
+    counts.s3Objects = await deleteS3Objects([
+      ...decks.map((deck) => deck.originalFileKey),
+      ...decks.flatMap((deck) =>
+        deck.fileVersions.map((fileVersion) => fileVersion.fileKey)
+      ),
+      ...documents.map((document) => document.fileKey),
+      ...deckMessages.flatMap((message) =>
+        message.attachments.map((attachment) => attachment.fileKey)
+      ),
+    ]);
+
+    await Promise.all([
+      PitchDeck.updateMany(
+        { _id: { $in: deckIds } },
+        {
+          $set: {
+            isActive: false,
+            title: REDACTED,
+            description: "",
+            analysisHistory: [],
+            thesisAssessments: [],
+            fileVersions: [],
+          },
+          $unset: { analysis: 1, analysisRaw: 1 },
+        }
+      ),
+      SupportingDocument.updateMany(
+        { pitchDeck: { $in: deckIds } },
+        { $set: { isActive: false } }
+      ),
+      PitchDeckMessage.updateMany(
+        { pitchDeck: { $in: deckIds } },
+        {
+          $set: {
+            attachments: [],
+            userQuery: REDACTED,
+            aiResponse: REDACTED,
+          },
+        }
+      ),
+      DiligenceChecklist.deleteMany({ pitchDeck: { $in: deckIds } }),
+      Comment.updateMany(
+        { pitchDeck: { $in: deckIds } },
+        { $set: { isActive: false } }
+      ),
+    ]);
+    counts.pitchDecks = decks.length;
+  }
+
+  return counts;
+}
+
+/**
+ * Erase a subject's personal data within an organization.
+ * Audit events are kept: the audit log is append-only and records the erasure itself.
+ * @param {Object} request - DataSubjectRequest document (status is updated here)
+ * @returns {Promise<Object>} Counts of changed records
+ */
+async function runErasure(request) {
+  request.status = "PROCESSING";
+  await request.save();
+
+  try {
+    let counts;
+    if (request.subject.type === "user") {
+      const user = await User.findById(request.subject.user);
+      if (!user) {
+        throw new Error("User not found");
+      }
+      counts = await eraseUser(
+        request.organization,
+        user,
+        subjectName({ user, name: request.subject.name })
+      );
+    } else {
+      counts = await eraseFounder(
+        request.organization,
+        request.subject.name,
+        request.subject.pitchDecks
+      );
+    }
+
+    request.status = "COMPLETED";
+    request.counts = counts;
+    request.completedAt = new Date();
+    await request.save();
+    return counts;
+  } catch (error) {
+    request.status = "FAILED";
+    request.error = error.message;
+    await request.save();
+    throw error;
+  }
+}
+
+module.exports = {
+  REDACTED,
+  ANONYMIZED_SPEAKER,
+  redactMentions,
+  collectSubjectData,
+  buildExportArchive,
+  runErasure,
+};
@@ -0,0 +1,116 @@
+const PitchDeck = require("../models/PitchDeck");
+const Team = require("../models/Team");
+const { PERMISSIONS, hasPermission } = require("./permissions");
+
+// Share rights that satisfy each access level; the uploader always has every level
+const GRANTS_BY_LEVEL = {
+  viewer: ["viewer", "editor"],
+  editor: ["editor"],
+  owner: [],
+};
+
+// deck:read_all opens every deck for reading only; editing or managing other people's
+// decks also takes one of these write permissions (none needed for "viewer")
+const WRITE_PERMISSIONS_BY_LEVEL = {
+  viewer: [],
+  editor: [PERMISSIONS.DECK_CHAT, PERMISSIONS.DECK_UPLOAD],
+  owner: [PERMISSIONS.DECK_UPLOAD],
+};
+
+// Whether the caller has the given level on every deck of the organization
+function hasOrganizationWideAccess(reqOrSocket, level) {
+  if (!hasPermission(reqOrSocket, PERMISSIONS.DECK_READ_ALL)) return false;
+  const writePermissions = WRITE_PERMISSIONS_BY_LEVEL[level];
+  return (
+    writePermissions.length === 0 ||
+    writePermissions.some((permission) =>
+      hasPermission(reqOrSocket, permission)
+    )
+  );
+}
+
+/**
+ * IDs of the active teams a user belongs to
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Team IDs
+ */
+async function getUserTeamIds(user) {
+  return Team.find({
+    organization: user.organization._id,
+    members: user._id,
+    isActive: true,
+  }).distinct("_id");
+}
+
+/**
+ * Mongo filter restricting pitch decks to those the caller can access.
+ * Spread it into a query that already scopes by organization, e.g.
+ *   { organization, isActive: true, ...(await deckAccessFilter(req, "viewer")) }
+ * @param {Object} reqOrSocket - Express request or Socket.IO socket (user + permissions)
+ * @param {string} level - "viewer" (read), "editor" (modify/analyze) or "owner" (delete/share)
+ * @returns {Promise<Object>} Filter ({} when the caller has the level on every deck)
+ */
+async function deckAccessFilter(reqOrSocket, level = "viewer") {
+  const grants = GRANTS_BY_LEVEL[level];
+  if (!grants) {
+    throw new Error(`Unknown deck access level: ${level}`);
+  }
+  if (hasOrganizationWideAccess(reqOrSocket, level)) {
+    return {};
+  }
+
+  const user = reqOrSocket.user;
+
+  const conditions = [{ uploadedBy: user._id }];
+  if (grants.length > 0) {
+    const teamIds = await getUserTeamIds(user);
+    conditions.push({
+      access: {
+        $elemMatch: {
+          principalType: "user",
+          principal: user._id,
+          permission: { $in: grants },
+        },
+      },
+    });
+    if (teamIds.length > 0) {
+      conditions.push({
+        access: {
+          $elemMatch: {
+            principalType: "team",
+            principal: { $in: teamIds },
+            permission: { $in: grants },
+          },
+        },
+      });
+    }
+  }
+
+  return { $or: conditions };
+}
+
+/**
+ * Whether the caller can access a pitch deck at the given level
+ * @param {Object} reqOrSocket - Express request or Socket.IO socket
+ * @param {string} pitchDeckId - Pitch deck ID
+ * @param {string} level - "viewer", "editor" or "owner"
+ * @returns {Promise<boolean>}
+ */
+async function canAccessDeck(reqOrSocket, pitchDeckId, level = "viewer") {
+  if (hasOrganizationWideAccess(reqOrSocket, level)) {
+    return true;
+  }
+
+  const deck = await PitchDeck.exists({
+    _id: pitchDeckId,
+    organization: reqOrSocket.user.organization._id,
+    ...(await deckAccessFilter(reqOrSocket, level)),
+  });
+  return Boolean(deck);
+}
+
+module.exports = {
+  getUserTeamIds,
+  deckAccessFilter,
+  canAccessDeck,
+};
@@ -0,0 +1,166 @@
+const DiligenceChecklist = require("../models/DiligenceChecklist");
+const PitchDeckMessage = require("../models/PitchDeckMessage");
+const SupportingDocument = require("../models/SupportingDocument");
+const ConversationTranscript = require("../models/ConversationTranscript");
+const { resolveDeckThesis } = require("./thesisResolver");
+
+const EXCERPT_LENGTH = 120;
+
+function excerpt(text) {
+  const value = String(text || "").trim();
+  return value.length > EXCERPT_LENGTH
+    ? `${value.slice(0, EXCERPT_LENGTH - 1)}…`
+    : value;
+}
+
+// Evidence must belong to the same deck; label is what the checklist shows
+const EVIDENCE_SOURCES = {
+  chat_message: {
+    find: (sourceId, pitchDeckId) =>
+      PitchDeckMessage.findOne({
+        _id: sourceId,
+        pitchDeck: pitchDeckId,
+        isActive: true,
+      }).lean(),
+    label: (message) => excerpt(message.userQuery),
+  },
+  supporting_document: {
+    find: (sourceId, pitchDeckId) =>
+      SupportingDocument.findOne({
+        _id: sourceId,
+        pitchDeck: pitchDeckId,
+        isActive: true,
+      }).lean(),
+    label: (document) => excerpt(document.title),
+  },
+  transcript_segment: {
+    find: (sourceId, pitchDeckId) =>
+      ConversationTranscript.findOne({
+        _id: sourceId,
+        pitchDeck: pitchDeckId,
+      }).lean(),
+    label: (segment) => excerpt(`${segment.speaker}: ${segment.text}`),
+  },
+};
+
+function normalizeText(text) {
+  return String(text).trim().toLowerCase();
+}
+
+function thesisItems(thesis) {
+  const framework = thesis?.profile?.diligenceFramework || {};
+  return [
+    ...(framework.criteria || []).map((text) => ({ kind: "criterion", text })),
+    ...(framework.redFlags || []).map((text) => ({ kind: "red_flag", text })),
+  ].filter((item) => String(item.text || "").trim());
+}
+
+function openQuestionItems(checklist, openQuestions = []) {
+  const existing = new Set(
+    checklist.items.map((item) => normalizeText(item.text))
+  );
+  return openQuestions
+    .filter((question) => typeof question === "string" && question.trim())
+    .filter((question) => !existing.has(normalizeText(question)))
+    .map((text) => ({ kind: "open_question", text }));
+}
+
+/**
+ * Create a deck's checklist from its thesis' diligence criteria and red flags
+ * @param {Object} pitchDeck - Pitch deck with _id, organization and fund
+ * @param {Object} [thesis] - Thesis to use; resolved from the deck when omitted
+ * @returns {Promise<Object>} DiligenceChecklist (existing one if already created)
+ */
+async function createDiligenceChecklist(pitchDeck, thesis) {
+  const sourceThesis =
+    thesis === undefined ? await resolveDeckThesis(pitchDeck) : thesis;
+
+  return DiligenceChecklist.findOneAndUpdate(
+    { pitchDeck: pitchDeck._id },
+    {
+      $setOnInsert: {
+        organization: pitchDeck.organization,
+        thesis: sourceThesis?._id,
+        thesisVersion: sourceThesis?.version,
+        items: thesisItems(sourceThesis),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Add the deck's fit open questions as checklist items (skipping ones already listed)
+ * @param {Object} pitchDeck - Pitch deck with _id, organization and fund
+ * @param {string[]} openQuestions - analysis.fitAssessment.openQuestions
+ */
+async function addOpenQuestions(pitchDeck, openQuestions) {
+  const checklist = await createDiligenceChecklist(pitchDeck);
+  const items = openQuestionItems(checklist, openQuestions);
+  if (items.length === 0) return checklist;
+
+  checklist.items.push(...items);
+  return checklist.save();
+}
+
+/**
+ * Deck checklist, created on first access for decks uploaded before checklists existed
+ * @param {Object} pitchDeck - Pitch deck document
+ * @returns {Promise<Object>} DiligenceChecklist
+ */
+async function getDiligenceChecklist(pitchDeck) {
+  const checklist = await DiligenceChecklist.findOne({
+    pitchDeck: pitchDeck._id,
+  });
+  if (checklist) return checklist;
+
+  return addOpenQuestions(
+    pitchDeck,
+    pitchDeck.analysis?.fitAssessment?.openQuestions
+  );
+}
+
+/**
+ * Counts per status and completion (share of items no longer open)
+ * @param {Object} checklist - DiligenceChecklist
+ * @returns {Object} { total, open, satisfied, failed, notApplicable, completion }
+ */
+function summarizeChecklist(checklist) {
+  const items = checklist?.items || [];
+  const count = (status) =>
+    items.filter((item) => item.status === status).length;
+  const open = count("open");
+  return {
+    total: items.length,
+    open,
+    satisfied: count("satisfied"),
+    failed: count("failed"),
+    notApplicable: count("not_applicable"),
+    completion: items.length
+      ? Math.round(((items.length - open) / items.length) * 100)
+      : null,
+  };
+}
+
+/**
+ * Look up evidence for a checklist item
+ * @param {string} source - chat_message, supporting_document or transcript_segment
+ * @param {string} sourceId - Referenced document ID
+ * @param {string} pitchDeckId - Deck the evidence must belong to
+ * @returns {Promise<Object|null>} { source, sourceId, label } or null if not found
+ */
+async function resolveEvidence(source, sourceId, pitchDeckId) {
+  const evidenceSource = EVIDENCE_SOURCES[source];
+  const found = await evidenceSource.find(sourceId, pitchDeckId);
+  if (!found) return null;
+  return { source, sourceId: found._id, label: evidenceSource.label(found) };
+}
+
+module.exports = {
+  EVIDENCE_SOURCES,
+  createDiligenceChecklist,
+  addOpenQuestions,
+  getDiligenceChecklist,
+  summarizeChecklist,
+  resolveEvidence,
+};
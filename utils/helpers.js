@@ -67,6 +67,43 @@ const generateRandomString = (length = 8) => {
   return result;
 };
 
+// Mongo range for ISO 8601 from/to query parameters; a date without a time
+// covers that whole day (UTC)
+const dateRangeFilter = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+  return range;
+};
+
+// Escape a user-supplied string for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Read a dotted path such as "checkSize.min"; undefined if any step is missing
+const getPath = (object, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Entries added to and removed from a list, ignoring case and surrounding whitespace
+const diffLists = (before = [], after = []) => {
+  const normalize = (entry) => String(entry).trim().toLowerCase();
+  const beforeKeys = new Set(before.map(normalize));
+  const afterKeys = new Set(after.map(normalize));
+  return {
+    added: after.filter((entry) => !beforeKeys.has(normalize(entry))),
+    removed: before.filter((entry) => !afterKeys.has(normalize(entry))),
+  };
+};
+
 // Strip ```json ... ``` or ``` ... ``` fences
 // Handles cases where there's text before/after the code fence block
 const stripCodeFences = (text) => {
@@ -197,6 +234,10 @@ module.exports = {
   validateFileType,
   formatFileSize,
   generateRandomString,
+  dateRangeFilter,
+  escapeRegex,
+  getPath,
+  diffLists,
   stripCodeFences,
   tryParseJson,
   toThesisProfile,
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Registered transports: name -> async (message) => void
+const transports = new Map();
+
+/**
+ * Register (or replace) a mail transport
+ * @param {string} name - Transport name, selected via MAIL_TRANSPORT
+ * @param {Function} send - async (message) => void
+ */
+function registerTransport(name, send) {
+  if (typeof send !== "function") {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports.set(name, send);
+}
+
+// Console transport: prints the message to stdout (default for local development)
+registerTransport("console", async (message) => {
+  console.log(
+    `[MAIL] To: ${message.to}\n[MAIL] Subject: ${message.subject}\n${message.text}`
+  );
+});
+
+// File transport: writes each message as a JSON file into MAIL_OUTBOX_DIR
+registerTransport("file", async (message) => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "mail-outbox");
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+  await fs.promises.writeFile(
+    path.join(outboxDir, fileName),
+    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+  );
+});
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  const transportName = process.env.MAIL_TRANSPORT || "console";
+  const send = transports.get(transportName);
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || "no-reply@vc-analyst.local",
+    ...message,
+  });
+}
+
+/**
+ * Build a link into the frontend app, e.g. buildAppUrl("/reset-password", { token })
+ * @param {string} pathname - Frontend route
+ * @param {Object} params - Query parameters
+ * @returns {string} Absolute URL (or relative path if FRONTEND_URL is not set)
+ */
+function buildAppUrl(pathname, params = {}) {
+  const base = (process.env.FRONTEND_URL || "").replace(/\/+$/, "");
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ""}`;
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  buildAppUrl,
+};
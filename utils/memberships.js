@@ -0,0 +1,176 @@
+const Membership = require("../models/Membership");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+
+// A user's primary organization and role live on the User; every other organization is a Membership
+function sameId(a, b) {
+  return Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+}
+
+/**
+ * Resolve a user's access to an organization
+ * @param {Object} user - User document
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object|null>} { organization, role, membership } or null if the user is not a member
+ */
+async function resolveOrganizationAccess(user, organizationId) {
+  if (sameId(user.organization, organizationId)) {
+    const organization = user.organization?.name
+      ? user.organization
+      : await Organization.findById(organizationId);
+    return organization
+      ? { organization, role: user.role, membership: null }
+      : null;
+  }
+
+  const membership = await Membership.findOne({
+    user: user._id,
+    organization: organizationId,
+    isActive: true,
+  }).populate("organization");
+  if (!membership || !membership.organization?.isActive) {
+    return null;
+  }
+
+  return {
+    organization: membership.organization,
+    role: membership.role,
+    membership,
+  };
+}
+
+/**
+ * Point a loaded user at an organization for the current request.
+ * Only for request-scoped user objects: the document must not be saved afterwards.
+ * @param {Object} user - User document
+ * @param {Object} access - Result of resolveOrganizationAccess
+ */
+function applyOrganizationAccess(user, access) {
+  user.primaryOrganization = user.organization?._id || user.organization;
+  user.primaryRole = user.role;
+  user.organization = access.organization;
+  user.role = access.role;
+  // Keep save() from ever writing the overlay back to the user
+  user.unmarkModified("organization");
+  user.unmarkModified("role");
+}
+
+/**
+ * Organizations a user can switch to (primary first)
+ * @param {Object} user - User document
+ * @returns {Promise<Object[]>} [{ organization: { id, name }, role, primary }]
+ */
+async function listUserOrganizations(user) {
+  const primaryId = user.primaryOrganization || user.organization;
+  const [primary, memberships] = await Promise.all([
+    Organization.findById(primaryId._id || primaryId).select("name"),
+    Membership.find({ user: user._id, isActive: true }).populate(
+      "organization",
+      "name isActive"
+    ),
+  ]);
+  const primaryRole = user.primaryRole || user.role;
+
+  return [
+    ...(primary
+      ? [
+          {
+            organization: { id: primary._id, name: primary.name },
+            role: primaryRole,
+            primary: true,
+          },
+        ]
+      : []),
+    ...memberships
+      .filter((m) => m.organization?.isActive)
+      .map((m) => ({
+        organization: { id: m.organization._id, name: m.organization.name },
+        role: m.role,
+        primary: false,
+      })),
+  ];
+}
+
+/**
+ * Mongo filter matching every user of an organization (primary users and members)
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} User filter
+ */
+async function organizationUsersFilter(organizationId) {
+  const memberIds = await Membership.find({
+    organization: organizationId,
+    isActive: true,
+  }).distinct("user");
+  return {
+    $or: [{ organization: organizationId }, { _id: { $in: memberIds } }],
+  };
+}
+
+/**
+ * Find a user of an organization along with their membership (null for primary users)
+ * @param {string} userId - User ID
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object|null>} { user, membership }
+ */
+async function findOrganizationUser(userId, organizationId) {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  if (sameId(user.organization, organizationId)) {
+    return { user, membership: null };
+  }
+
+  const membership = await Membership.findOne({
+    user: user._id,
+    organization: organizationId,
+  });
+  return membership ? { user, membership } : null;
+}
+
+/**
+ * List the users of an organization with their role and status in it
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options - { includeInactive, role }
+ * @returns {Promise<Object[]>} Plain user objects (role/isActive reflect this organization)
+ */
+async function listOrganizationUsers(
+  organizationId,
+  { includeInactive = false, role } = {}
+) {
+  const userQuery = { organization: organizationId };
+  const membershipQuery = { organization: organizationId };
+  if (!includeInactive) {
+    userQuery.isActive = true;
+    membershipQuery.isActive = true;
+  }
+  if (role) {
+    userQuery.role = role;
+    membershipQuery.role = role;
+  }
+
+  const [users, memberships] = await Promise.all([
+    User.find(userQuery),
+    Membership.find(membershipQuery).populate("user"),
+  ]);
+
+  return [
+    ...users.map((user) => ({ ...user.toJSON(), primary: true })),
+    ...memberships
+      .filter((m) => m.user && (includeInactive || m.user.isActive))
+      .map((m) => ({
+        ...m.user.toJSON(),
+        organization: m.organization,
+        role: m.role,
+        isActive: m.isActive && m.user.isActive,
+        primary: false,
+      })),
+  ];
+}
+
+module.exports = {
+  resolveOrganizationAccess,
+  applyOrganizationAccess,
+  listUserOrganizations,
+  organizationUsersFilter,
+  findOrganizationUser,
+  listOrganizationUsers,
+};
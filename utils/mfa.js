@@ -0,0 +1,180 @@
+const jwt = require("jsonwebtoken");
+const { hashToken } = require("./authTokens");
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpauthUrl,
+  generateBackupCodes,
+} = require("./totp");
+
+const MFA_ISSUER = process.env.MFA_ISSUER || "VC Analyst";
+const MFA_CHALLENGE_EXPIRES_IN = "5m";
+
+function normalizeBackupCode(code) {
+  return String(code || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Whether a user must complete a second factor to log in
+ * @param {Object} user - User document with populated organization
+ * @returns {boolean}
+ */
+function isMfaRequired(user) {
+  return Boolean(
+    user.mfa?.enabled || user.organization?.settings?.requireMfa
+  );
+}
+
+/**
+ * Issue a short-lived challenge token proving the password (or SSO) step succeeded
+ * @param {Object} user - User document; user.organization is the organization being logged in to
+ * @param {string} method - "password" or "sso"
+ * @returns {string} Signed JWT (not usable as an access token)
+ */
+function issueMfaChallenge(user, method = "password") {
+  return jwt.sign(
+    {
+      userId: user._id.toString(),
+      organizationId: (user.organization?._id || user.organization).toString(),
+      method,
+      purpose: "mfa",
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - Challenge token from the login step
+ * @returns {Object|null} { userId, organizationId, method }, or null if invalid/expired
+ */
+function verifyMfaChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== "mfa") return null;
+    return {
+      userId: decoded.userId,
+      organizationId: decoded.organizationId,
+      method: decoded.method || "password",
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start (or restart) TOTP enrollment; the secret only becomes active once confirmed
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function startMfaEnrollment(user) {
+  const secret = generateTotpSecret();
+  user.mfa = user.mfa || {};
+  user.mfa.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({
+      secret,
+      accountName: user.email,
+      issuer: MFA_ISSUER,
+    }),
+  };
+}
+
+/**
+ * Replace a user's backup codes
+ * @param {Object} user - User document (caller saves)
+ * @returns {string[]} Plain backup codes to show once
+ */
+function resetBackupCodes(user) {
+  const codes = generateBackupCodes();
+  user.mfa.backupCodes = codes.map((code) => ({
+    codeHash: hashToken(normalizeBackupCode(code)),
+  }));
+  return codes;
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {Object} user - User document
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]|null>} Backup codes, or null if the code is wrong
+ */
+async function confirmMfaEnrollment(user, code) {
+  const pendingSecret = user.mfa?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotpCode(pendingSecret, code);
+  if (step === null) return null;
+
+  user.mfa.secret = pendingSecret;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.enabled = true;
+  user.mfa.enrolledAt = new Date();
+  user.mfa.lastUsedStep = step;
+  const backupCodes = resetBackupCodes(user);
+  await user.save();
+
+  return backupCodes;
+}
+
+/**
+ * Verify a TOTP or backup code for an enrolled user (consumes backup codes)
+ * @param {Object} user - User document
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<boolean>}
+ */
+async function verifyMfaCode(user, code) {
+  if (!user.mfa?.enabled || !user.mfa.secret) return false;
+
+  const step = verifyTotpCode(user.mfa.secret, code);
+  if (step !== null) {
+    // Reject a code that was already used (or an older one)
+    if (user.mfa.lastUsedStep !== undefined && step <= user.mfa.lastUsedStep) {
+      return false;
+    }
+    user.mfa.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  const codeHash = hashToken(normalizeBackupCode(code));
+  const backupCode = (user.mfa.backupCodes || []).find(
+    (c) => c.codeHash === codeHash && !c.usedAt
+  );
+  if (backupCode) {
+    backupCode.usedAt = new Date();
+    await user.save();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Turn off MFA for a user
+ * @param {Object} user - User document
+ */
+async function disableMfa(user) {
+  user.mfa = {
+    enabled: false,
+    backupCodes: [],
+  };
+  await user.save();
+}
+
+module.exports = {
+  isMfaRequired,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  verifyMfaCode,
+  resetBackupCodes,
+  disableMfa,
+};
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Discovery documents and JWKS are cached per URL
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const discoveryCache = new Map(); // issuer -> { document, fetchedAt }
+const jwksCache = new Map(); // jwksUri -> { keys, fetchedAt }
+
+function base64UrlEncode(buffer) {
+  return buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(
+      `OIDC request to ${url} failed (${response.status}): ${text}`
+    );
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`OIDC response from ${url} is not valid JSON`);
+  }
+}
+
+/**
+ * Fetch (and cache) the issuer's OpenID Provider configuration
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Discovery document
+ */
+async function discover(issuer) {
+  const normalizedIssuer = issuer.replace(/\/+$/, "");
+  const cached = discoveryCache.get(normalizedIssuer);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.document;
+  }
+
+  const document = await fetchJson(
+    `${normalizedIssuer}/.well-known/openid-configuration`
+  );
+  if (!document.authorization_endpoint || !document.token_endpoint) {
+    throw new Error("OIDC discovery document is missing required endpoints");
+  }
+
+  discoveryCache.set(normalizedIssuer, { document, fetchedAt: Date.now() });
+  return document;
+}
+
+async function getSigningKey(jwksUri, kid, { forceRefresh = false } = {}) {
+  let cached = jwksCache.get(jwksUri);
+  if (
+    forceRefresh ||
+    !cached ||
+    Date.now() - cached.fetchedAt >= CACHE_TTL_MS
+  ) {
+    const { keys } = await fetchJson(jwksUri);
+    cached = { keys: keys || [], fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const jwk = cached.keys.find((k) => !kid || k.kid === kid);
+  if (!jwk) {
+    // The IdP may have rotated keys since we cached them
+    if (!forceRefresh) {
+      return getSigningKey(jwksUri, kid, { forceRefresh: true });
+    }
+    throw new Error(`No signing key found for kid "${kid}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Generate state, nonce and PKCE values for a new authorization request
+ * @returns {Object} { state, nonce, codeVerifier, codeChallenge }
+ */
+function generateAuthRequestParams() {
+  const codeVerifier = base64UrlEncode(crypto.randomBytes(32));
+  return {
+    state: base64UrlEncode(crypto.randomBytes(24)),
+    nonce: base64UrlEncode(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64UrlEncode(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    ),
+  };
+}
+
+/**
+ * Build the IdP authorization URL the browser is redirected to
+ * @param {Object} oidcConfig - Organization.sso.oidc
+ * @param {Object} params - { state, nonce, codeChallenge, redirectUri, loginHint }
+ * @returns {Promise<string>} Authorization URL
+ */
+async function buildAuthorizationUrl(oidcConfig, params) {
+  const discovery = await discover(oidcConfig.issuer);
+  const query = new URLSearchParams({
+    response_type: "code",
+    client_id: oidcConfig.clientId,
+    redirect_uri: params.redirectUri,
+    scope: oidcConfig.scopes || "openid email profile",
+    state: params.state,
+    nonce: params.nonce,
+    code_challenge: params.codeChallenge,
+    code_challenge_method: "S256",
+  });
+  if (params.loginHint) {
+    query.set("login_hint", params.loginHint);
+  }
+  return `${discovery.authorization_endpoint}?${query.toString()}`;
+}
+
+/**
+ * Exchange an authorization code and return the verified ID token claims
+ * @param {Object} oidcConfig - Organization.sso.oidc (including clientSecret)
+ * @param {Object} params - { code, codeVerifier, redirectUri, nonce }
+ * @returns {Promise<Object>} ID token claims
+ */
+async function exchangeCodeForClaims(oidcConfig, params) {
+  const discovery = await discover(oidcConfig.issuer);
+
+  const tokenResponse = await fetchJson(discovery.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: params.code,
+      redirect_uri: params.redirectUri,
+      client_id: oidcConfig.clientId,
+      client_secret: oidcConfig.clientSecret || "",
+      code_verifier: params.codeVerifier,
+    }).toString(),
+  });
+
+  if (!tokenResponse.id_token) {
+    throw new Error("OIDC token response did not include an id_token");
+  }
+
+  const decoded = jwt.decode(tokenResponse.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error("OIDC id_token is malformed");
+  }
+
+  // Symmetric tokens are signed with the client secret, asymmetric ones with a JWKS key
+  const { alg, kid } = decoded.header;
+  let key;
+  let algorithms;
+  if (alg === "HS256") {
+    key = oidcConfig.clientSecret;
+    algorithms = ["HS256"];
+  } else {
+    if (!discovery.jwks_uri) {
+      throw new Error("OIDC discovery document has no jwks_uri");
+    }
+    key = await getSigningKey(discovery.jwks_uri, kid);
+    algorithms = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+  }
+
+  const claims = jwt.verify(tokenResponse.id_token, key, {
+    algorithms,
+    issuer: discovery.issuer || oidcConfig.issuer,
+    audience: oidcConfig.clientId,
+  });
+
+  if (claims.nonce !== params.nonce) {
+    throw new Error("OIDC id_token nonce mismatch");
+  }
+
+  return claims;
+}
+
+module.exports = {
+  discover,
+  generateAuthRequestParams,
+  buildAuthorizationUrl,
+  exchangeCodeForClaims,
+};
@@ -0,0 +1,192 @@
+const Role = require("../models/Role");
+
+// Named permissions checked by routes (see requirePermission in middleware/auth.js)
+const PERMISSIONS = {
+  DECK_READ: "deck:read", // View decks the user has access to
+  DECK_READ_ALL: "deck:read_all", // View every deck in the organization
+  DECK_UPLOAD: "deck:upload",
+  DECK_DELETE: "deck:delete",
+  DECK_COMMENT: "deck:comment",
+  DECK_CHAT: "deck:chat", // AI chat and re-analysis
+  THESIS_READ: "thesis:read",
+  THESIS_EDIT: "thesis:edit",
+  SESSION_READ: "session:read",
+  SESSION_START: "session:start", // Start, run and stop live conversations
+  USER_MANAGE: "user:manage",
+  ROLE_MANAGE: "role:manage",
+  ORG_MANAGE: "org:manage",
+  AUDIT_READ: "audit:read",
+  PRIVACY_MANAGE: "privacy:manage", // Personal data export and erasure
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permissions an API key can be scoped to (pitch-deck and thesis routes only)
+const API_KEY_SCOPES = [
+  PERMISSIONS.DECK_READ,
+  PERMISSIONS.DECK_READ_ALL,
+  PERMISSIONS.DECK_UPLOAD,
+  PERMISSIONS.DECK_DELETE,
+  PERMISSIONS.DECK_COMMENT,
+  PERMISSIONS.DECK_CHAT,
+  PERMISSIONS.THESIS_READ,
+  PERMISSIONS.THESIS_EDIT,
+];
+
+// Built-in roles available in every organization; keys are stored in User.role
+const BUILT_IN_ROLES = {
+  SA: {
+    name: "Super Admin",
+    description:
+      "Full access, including users, roles and organization settings",
+    permissions: ALL_PERMISSIONS,
+  },
+  PARTNER: {
+    name: "Partner",
+    description: "Sees and manages every deal and edits the investment thesis",
+    permissions: [
+      PERMISSIONS.DECK_READ,
+      PERMISSIONS.DECK_READ_ALL,
+      PERMISSIONS.DECK_UPLOAD,
+      PERMISSIONS.DECK_DELETE,
+      PERMISSIONS.DECK_COMMENT,
+      PERMISSIONS.DECK_CHAT,
+      PERMISSIONS.THESIS_READ,
+      PERMISSIONS.THESIS_EDIT,
+      PERMISSIONS.SESSION_READ,
+      PERMISSIONS.SESSION_START,
+    ],
+  },
+  ANALYST: {
+    name: "Analyst",
+    description: "Works on the decks they upload",
+    permissions: [
+      PERMISSIONS.DECK_READ,
+      PERMISSIONS.DECK_UPLOAD,
+      PERMISSIONS.DECK_DELETE,
+      PERMISSIONS.DECK_COMMENT,
+      PERMISSIONS.DECK_CHAT,
+      PERMISSIONS.THESIS_READ,
+      PERMISSIONS.SESSION_READ,
+      PERMISSIONS.SESSION_START,
+    ],
+  },
+  ASSOCIATE: {
+    name: "Associate",
+    description: "Like an analyst, but cannot delete decks",
+    permissions: [
+      PERMISSIONS.DECK_READ,
+      PERMISSIONS.DECK_UPLOAD,
+      PERMISSIONS.DECK_COMMENT,
+      PERMISSIONS.DECK_CHAT,
+      PERMISSIONS.THESIS_READ,
+      PERMISSIONS.SESSION_READ,
+      PERMISSIONS.SESSION_START,
+    ],
+  },
+  VIEWER: {
+    name: "Viewer",
+    description: "Read-only access to every deal, thesis and meeting",
+    permissions: [
+      PERMISSIONS.DECK_READ,
+      PERMISSIONS.DECK_READ_ALL,
+      PERMISSIONS.THESIS_READ,
+      PERMISSIONS.SESSION_READ,
+    ],
+  },
+};
+
+/**
+ * Resolve the permissions granted by a role key within an organization
+ * @param {string} roleKey - Built-in role key or custom Role.key
+ * @param {string} organizationId - Organization ID (for custom roles)
+ * @returns {Promise<string[]>} Permission names
+ */
+async function getRolePermissions(roleKey, organizationId) {
+  if (BUILT_IN_ROLES[roleKey]) {
+    return BUILT_IN_ROLES[roleKey].permissions;
+  }
+
+  const role = await Role.findOne({
+    organization: organizationId,
+    key: roleKey,
+    isActive: true,
+  }).lean();
+  return role ? role.permissions : [];
+}
+
+/**
+ * Resolve the permissions of a user (populated or unpopulated organization)
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} Permission names
+ */
+async function resolveUserPermissions(user) {
+  const organizationId = user.organization?._id || user.organization;
+  return getRolePermissions(user.role, organizationId);
+}
+
+/**
+ * Whether a role key can be assigned within an organization
+ * @param {string} roleKey - Role key
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<boolean>}
+ */
+async function isAssignableRole(roleKey, organizationId) {
+  if (!roleKey) return false;
+  if (BUILT_IN_ROLES[roleKey]) return true;
+
+  const role = await Role.exists({
+    organization: organizationId,
+    key: roleKey,
+    isActive: true,
+  });
+  return Boolean(role);
+}
+
+/**
+ * Permissions of a list the caller does not hold; nobody can grant more than they hold
+ * @param {Object} req - Express request resolved by the auth middleware
+ * @param {string[]} permissions - Permission names to grant
+ * @returns {string[]} Permissions the caller lacks (empty when all can be granted)
+ */
+function ungrantablePermissions(req, permissions = []) {
+  return permissions.filter((permission) => !hasPermission(req, permission));
+}
+
+/**
+ * Whether the caller holds every permission of a role, i.e. may assign it or
+ * change the role of someone who holds it
+ * @param {Object} req - Express request resolved by the auth middleware
+ * @param {string} roleKey - Role key
+ * @returns {Promise<boolean>}
+ */
+async function canGrantRole(req, roleKey) {
+  const permissions = await getRolePermissions(
+    roleKey,
+    req.user.organization._id
+  );
+  return ungrantablePermissions(req, permissions).length === 0;
+}
+
+/**
+ * Check a permission on a request (or socket) resolved by the auth middleware
+ * @param {Object} reqOrSocket - Express request or Socket.IO socket
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(reqOrSocket, permission) {
+  return (reqOrSocket.permissions || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  API_KEY_SCOPES,
+  BUILT_IN_ROLES,
+  getRolePermissions,
+  resolveUserPermissions,
+  isAssignableRole,
+  ungrantablePermissions,
+  canGrantRole,
+  hasPermission,
+};
@@ -0,0 +1,17 @@
+const Perplexity = require("@perplexity-ai/perplexity_ai");
+
+// Shared client; full deck analysis with web research can take minutes
+const perplexity = new Perplexity({
+  apiKey: process.env.PERPLEXITY_API_KEY, // if not already set
+  timeout: 600000, // 10 minutes in ms; tweak lower/higher as you like
+  maxRetries: 3,
+});
+
+// Per-call options for completions made while an HTTP request waits on them,
+// matching the SDK defaults the thesis routes run with
+const REQUEST_OPTIONS = {
+  timeout: Perplexity.DEFAULT_TIMEOUT,
+  maxRetries: 2,
+};
+
+module.exports = { perplexity, REQUEST_OPTIONS };
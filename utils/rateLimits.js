@@ -0,0 +1,59 @@
+const rateLimit = require("express-rate-limit");
+
+const MINUTE_MS = 60 * 1000;
+
+// Authenticated routes are limited per user, everything else per client IP
+function userOrIpKey(req) {
+  return req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+}
+
+function createLimiter({ windowMs, max, message, ...options }) {
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true, // RateLimit-* headers
+    legacyHeaders: false,
+    message: { message },
+    ...options,
+  });
+}
+
+// Baseline for every API route
+const apiLimiter = createLimiter({
+  windowMs: 15 * MINUTE_MS,
+  max: 1000,
+  message: "Too many requests, please try again later",
+});
+
+// Failed logins per IP (successful logins don't count); per-account lockout is in utils/accountLockout.js.
+// Like the other limiters this is a fixed window in the default in-memory store, so counts are
+// per server process and reset on restart
+const loginLimiter = createLimiter({
+  windowMs: 15 * MINUTE_MS,
+  max: 20,
+  skipSuccessfulRequests: true,
+  message:
+    "Too many failed login attempts from this IP, please try again later",
+});
+
+// Unauthenticated auth flows that send email or accept tokens
+const authLimiter = createLimiter({
+  windowMs: 15 * MINUTE_MS,
+  max: 30,
+  message: "Too many requests, please try again later",
+});
+
+// Routes that trigger AI analysis (uploads, chat, re-analysis); must run after authMiddleware
+const aiLimiter = createLimiter({
+  windowMs: 60 * MINUTE_MS,
+  max: 60,
+  keyGenerator: userOrIpKey,
+  message: "AI request limit reached, please try again later",
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiter,
+  authLimiter,
+  aiLimiter,
+};
@@ -0,0 +1,81 @@
+// Shared Socket.IO server, so routes can reach connected clients
+let io = null;
+
+/**
+ * Room every socket of a user joins on connect
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Room every socket of an organization joins on connect
+ * @param {string} organizationId - Organization ID
+ * @returns {string} Room name
+ */
+function organizationRoom(organizationId) {
+  return `org:${organizationId}`;
+}
+
+/**
+ * Register the Socket.IO server (called once from server.js)
+ * @param {Object} server - Socket.IO server
+ */
+function setIo(server) {
+  io = server;
+}
+
+/**
+ * Get the Socket.IO server, or null when running without one (e.g. scripts)
+ * @returns {Object|null}
+ */
+function getIo() {
+  return io;
+}
+
+/**
+ * Send an event to every connected socket of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function emitToOrganization(organizationId, event, payload) {
+  if (!io) return;
+  io.to(organizationRoom(organizationId.toString())).emit(event, payload);
+}
+
+/**
+ * Notify and disconnect every open socket of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason sent to the client in the "session-revoked" event
+ * @param {string} [organizationId] - Only disconnect sockets scoped to this organization
+ */
+async function disconnectUserSockets(userId, reason, organizationId) {
+  if (!io) return;
+
+  const room = userRoom(userId.toString());
+  if (!organizationId) {
+    io.to(room).emit("session-revoked", { reason });
+    io.in(room).disconnectSockets(true);
+    return;
+  }
+
+  const sockets = await io.in(room).fetchSockets();
+  sockets
+    .filter((socket) => socket.organizationId === organizationId.toString())
+    .forEach((socket) => {
+      socket.emit("session-revoked", { reason });
+      socket.disconnect(true);
+    });
+}
+
+module.exports = {
+  userRoom,
+  organizationRoom,
+  setIo,
+  getIo,
+  emitToOrganization,
+  disconnectUserSockets,
+};
@@ -0,0 +1,227 @@
+const PitchDeck = require("../models/PitchDeck");
+const RescoreJob = require("../models/RescoreJob");
+const Thesis = require("../models/Thesis");
+const { resolveDeckThesis } = require("./thesisResolver");
+const { assessThesisFit } = require("./thesisFit");
+const { evaluateThesisRules } = require("./thesisRules");
+const { emitToOrganization } = require("./realtime");
+
+// AI fit ratings that count as "in thesis"
+const IN_THESIS_FITS = ["STRONG", "PARTIAL"];
+
+function overallFitOf(fitAssessment) {
+  return String(fitAssessment?.overallFit || "UNKNOWN").toUpperCase();
+}
+
+function isInThesis(fitAssessment) {
+  return IN_THESIS_FITS.includes(overallFitOf(fitAssessment));
+}
+
+// Analyzed decks whose fit is assessed against the thesis (fund thesis, else organization default)
+async function findDecksUsingThesis(thesis) {
+  const decks = await PitchDeck.find({
+    organization: thesis.organization,
+    isActive: true,
+    status: "COMPLETED",
+  })
+    .select("organization fund")
+    .lean();
+
+  // Decks of the same fund resolve to the same thesis
+  const resolvedByFund = new Map();
+  const deckIds = [];
+  for (const deck of decks) {
+    const key = deck.fund ? deck.fund.toString() : "none";
+    if (!resolvedByFund.has(key)) {
+      resolvedByFund.set(key, await resolveDeckThesis(deck));
+    }
+    if (resolvedByFund.get(key)?._id.equals(thesis._id)) {
+      deckIds.push(deck._id);
+    }
+  }
+  return deckIds;
+}
+
+// Re-assess one deck and record the new fit as an analysis version; null if the deck is
+// gone or was re-analyzed meanwhile (that analysis already uses the current thesis)
+async function rescoreDeck(deckId, thesis) {
+  const deck = await PitchDeck.findOne({
+    _id: deckId,
+    isActive: true,
+    status: "COMPLETED",
+  }).lean();
+  if (!deck) return null;
+
+  const fitAssessment = await assessThesisFit(deck, thesis);
+  // Keep the stored assessment rather than replacing it with a placeholder
+  if (fitAssessment.parseError) {
+    throw new Error("Fit assessment could not be parsed");
+  }
+  const ruleAssessment = evaluateThesisRules(deck.analysis, thesis);
+  const newVersion = (deck.analysisVersion || 1) + 1;
+
+  const { matchedCount } = await PitchDeck.updateOne(
+    {
+      _id: deck._id,
+      status: "COMPLETED",
+      analysisVersion: deck.analysisVersion ?? null,
+    },
+    {
+      $set: {
+        "analysis.fitAssessment": fitAssessment,
+        "analysis.ruleAssessment": ruleAssessment,
+        analysisVersion: newVersion,
+        fitThesis: thesis._id,
+      },
+      $push: {
+        analysisHistory: {
+          version: newVersion,
+          analysis: { ...deck.analysis, fitAssessment, ruleAssessment },
+          analysisDate: new Date(),
+          trigger: "thesis_change",
+        },
+      },
+    }
+  );
+
+  if (matchedCount === 0) return null;
+
+  return {
+    deck,
+    before: deck.analysis?.fitAssessment,
+    after: fitAssessment,
+    beforeVerdict: deck.analysis?.ruleAssessment?.verdict,
+    afterVerdict: ruleAssessment?.verdict,
+  };
+}
+
+async function runRescoreJob(jobId) {
+  const job = await RescoreJob.findById(jobId);
+  if (!job || job.status !== "PENDING") return;
+
+  try {
+    const thesis = await Thesis.findOne({
+      _id: job.thesis,
+      isActive: true,
+    }).lean();
+    if (!thesis) {
+      throw new Error("Thesis no longer exists");
+    }
+
+    const deckIds = await findDecksUsingThesis(thesis);
+    job.status = "RUNNING";
+    job.startedAt = new Date();
+    job.total = deckIds.length;
+    await job.save();
+
+    // One deck at a time keeps the AI provider's rate limits in check
+    for (const deckId of deckIds) {
+      // A newer change to the same thesis cancels this job
+      const running = await RescoreJob.exists({
+        _id: job._id,
+        status: "RUNNING",
+      });
+      if (!running) return;
+
+      const update = { $inc: { processed: 1 } };
+      try {
+        const result = await rescoreDeck(deckId, thesis);
+        if (
+          result &&
+          overallFitOf(result.before) !== overallFitOf(result.after)
+        ) {
+          update.$inc.changed = 1;
+          if (isInThesis(result.before) !== isInThesis(result.after)) {
+            update.$push = {
+              movements: {
+                pitchDeck: result.deck._id,
+                title: result.deck.title,
+                direction: isInThesis(result.after) ? "in" : "out",
+                fromFit: overallFitOf(result.before),
+                toFit: overallFitOf(result.after),
+                fromVerdict: result.beforeVerdict,
+                toVerdict: result.afterVerdict,
+              },
+            };
+          }
+        }
+      } catch (deckError) {
+        console.error(
+          `[RESCORE] Failed to re-score deck ${deckId} for job ${job._id}:`,
+          deckError
+        );
+        update.$inc.failed = 1;
+      }
+      await RescoreJob.updateOne({ _id: job._id }, update);
+    }
+
+    const finished = await RescoreJob.findOneAndUpdate(
+      { _id: job._id, status: "RUNNING" },
+      { $set: { status: "COMPLETED", completedAt: new Date() } },
+      { new: true }
+    );
+    if (!finished) return;
+
+    emitToOrganization(finished.organization, "thesis-rescore-complete", {
+      jobId: finished._id.toString(),
+      thesisId: finished.thesis.toString(),
+      processed: finished.processed,
+      failed: finished.failed,
+      changed: finished.changed,
+      movedIn: finished.movements.filter((m) => m.direction === "in").length,
+      movedOut: finished.movements.filter((m) => m.direction === "out").length,
+    });
+  } catch (error) {
+    await RescoreJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "FAILED",
+          completedAt: new Date(),
+          error: error.message,
+        },
+      }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Start re-scoring every deck that uses a thesis; runs as a background job.
+ * Unfinished jobs for the same thesis are cancelled.
+ * @param {Object} options - { thesis, userId, reason }
+ * @returns {Promise<Object>} RescoreJob
+ */
+async function startRescoreJob({ thesis, userId, reason }) {
+  await RescoreJob.updateMany(
+    { thesis: thesis._id, status: { $in: ["PENDING", "RUNNING"] } },
+    {
+      $set: {
+        status: "CANCELLED",
+        completedAt: new Date(),
+        error: "Superseded by a newer thesis change",
+      },
+    }
+  );
+
+  const job = await RescoreJob.create({
+    organization: thesis.organization,
+    thesis: thesis._id,
+    thesisVersion: thesis.version,
+    reason,
+    startedBy: userId,
+  });
+
+  // Fire-and-forget; progress is visible via GET /api/thesis/:id/rescore-jobs/:jobId
+  setImmediate(() => {
+    runRescoreJob(job._id).catch((err) => {
+      console.error(`[RESCORE] Job ${job._id} failed:`, err);
+    });
+  });
+
+  return job;
+}
+
+module.exports = {
+  startRescoreJob,
+};
@@ -15,29 +15,108 @@ const s3 = new AWS.S3();
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      "application/pdf",
-      "application/vnd.ms-powerpoint",
-      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error(
-          "Invalid file type. Only PDF and PowerPoint files are allowed."
-        ),
-        false
-      );
+// Upload limits come from Organization.settings; these apply when a setting is missing
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+// The deck analysis sends the file itself to the model, so organizations can only choose
+// among the deck formats it handles; routes for other documents pass their own file types
+const DECK_FILE_TYPES = ["pdf", "ppt", "pptx"];
+// Files are buffered in memory, so organizations can't raise the limit past this
+const MAX_FILE_SIZE_LIMIT = 100 * 1024 * 1024; // 100MB
+
+// File types an organization can allow (extension -> accepted MIME types)
+const FILE_TYPE_MIME_TYPES = {
+  pdf: ["application/pdf"],
+  ppt: ["application/vnd.ms-powerpoint"],
+  pptx: [
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ],
+  doc: ["application/msword"],
+  docx: [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  xls: ["application/vnd.ms-excel"],
+  xlsx: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  csv: ["text/csv"],
+  txt: ["text/plain"],
+  md: ["text/markdown", "text/plain"],
+};
+
+// Allowed deck types of an organization; values saved before the setting was restricted
+// to DECK_FILE_TYPES are ignored
+const organizationFileTypes = (settings) => {
+  const fileTypes = (settings.allowedFileTypes || []).filter((fileType) =>
+    DECK_FILE_TYPES.includes(fileType)
+  );
+  return fileTypes.length ? fileTypes : DECK_FILE_TYPES;
+};
+
+// Resolve the upload settings of the authenticated user's organization.
+// Routes that take a specific kind of document pass their own file types.
+const getUploadSettings = (req, fileTypes = null) => {
+  const settings = req.user?.organization?.settings || {};
+  return {
+    maxFileSize: Math.min(
+      settings.maxFileSize || DEFAULT_MAX_FILE_SIZE,
+      MAX_FILE_SIZE_LIMIT
+    ),
+    allowedFileTypes: fileTypes || organizationFileTypes(settings),
+  };
+};
+
+// Both the extension and the MIME type must match an allowed file type
+const createFileFilter = (allowedFileTypes) => (req, file, cb) => {
+  const extension = path.extname(file.originalname).slice(1).toLowerCase();
+  const mimeTypes = allowedFileTypes.includes(extension)
+    ? FILE_TYPE_MIME_TYPES[extension] || []
+    : [];
+
+  if (mimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    const error = new Error(
+      `Invalid file type. Allowed types: ${allowedFileTypes.join(", ")}`
+    );
+    error.code = "INVALID_FILE_TYPE";
+    cb(error, false);
+  }
+};
+
+// Build the multer middleware for the request's organization and turn upload errors into 4xx responses
+const handleUpload = (selectHandler, fileTypes) => (req, res, next) => {
+  const { maxFileSize, allowedFileTypes } = getUploadSettings(req, fileTypes);
+  const multerUpload = multer({
+    storage,
+    limits: { fileSize: maxFileSize },
+    fileFilter: createFileFilter(allowedFileTypes),
+  });
+
+  selectHandler(multerUpload)(req, res, (err) => {
+    if (!err) {
+      return next();
     }
-  },
-});
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: `File is too large. Maximum size is ${Math.floor(
+          maxFileSize / (1024 * 1024)
+        )}MB.`,
+      });
+    }
+    if (err.code === "INVALID_FILE_TYPE" || err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  });
+};
+
+// Drop-in replacement for a multer instance; must run after authMiddleware.
+// Optional fileTypes (extensions) replace the organization's allowed file types.
+const upload = {
+  single: (fieldName, fileTypes) =>
+    handleUpload((m) => m.single(fieldName), fileTypes),
+  array: (fieldName, maxCount, fileTypes) =>
+    handleUpload((m) => m.array(fieldName, maxCount), fileTypes),
+};
 
 // Generate unique file key
 const generateFileKey = (originalName, organizationId, type) => {
@@ -142,6 +221,9 @@ const generateSignedUrl = async (key, expiresIn = 3600) => {
 };
 
 module.exports = {
+  DECK_FILE_TYPES,
+  FILE_TYPE_MIME_TYPES,
+  MAX_FILE_SIZE_LIMIT,
   upload,
   uploadToS3,
   deleteFromS3,
@@ -0,0 +1,77 @@
+const { tryParseJson } = require("./helpers");
+const { perplexity, REQUEST_OPTIONS } = require("./perplexity");
+
+// JSON shape of a fit assessment, shared with the deck analysis prompts
+const FIT_ASSESSMENT_SCHEMA = `{
+    "overallFit": "STRONG | PARTIAL | WEAK",
+    "rationale": "Explain main reasons for this fit rating.",
+    "alignment": {
+      "sectors": [{ "match": true/false, "details": "text or 'unknown'" }],
+      "stage": [{ "match": true/false, "details": "text or 'unknown'" }],
+      "geography": [{ "match": true/false, "details": "text or 'unknown'" }],
+      "checkSize": { "match": true/false, "details": "text or 'unknown'" },
+      "ownershipTargets": { "match": true/false, "details": "text or 'unknown'" },
+      "timeHorizon": { "match": true/false, "details": "text or 'unknown'" },
+      "returnTargets": { "match": true/false, "details": "text or 'unknown'" },
+      "riskTolerance": { "match": true/false, "details": "text or 'unknown'" },
+      "constraintsAndExclusions": [{ "violated": true/false, "details": "text or 'unknown'" }]
+    },
+    "openQuestions": ["Top 5 questions the analyst should ask to validate assumptions."]
+  }`;
+
+/**
+ * Assess an analyzed deck against one thesis (side-by-side comparison across
+ * funds, pipeline re-scoring after a thesis change)
+ * @param {Object} pitchDeck - Pitch deck (document or lean) with analysis
+ * @param {Object} thesis - Thesis with profile or content
+ * @returns {Promise<Object>} fitAssessment ({ overallFit, rationale, alignment, openQuestions })
+ */
+async function assessThesisFit(pitchDeck, thesis) {
+  const deck = pitchDeck.toObject ? pitchDeck.toObject() : pitchDeck;
+  // Sector research and the existing fit assessments would bias the comparison
+  const { sectorAnalysis, fitAssessment, ruleAssessment, ...deckAnalysis } =
+    deck.analysis || {};
+
+  const fitPrompt = `You are DealFlow AI — an AI assistant for Venture Capital analysts.
+
+Assess how well the startup below fits the firm thesis. Use only the deck analysis and the thesis; do NOT perform external web search.
+
+Deck analysis (JSON):
+${JSON.stringify(deckAnalysis)}
+
+Firm thesis (JSON below). Use it strictly to assess fit; do not alter it.
+${
+  thesis.profile ? JSON.stringify(thesis.profile) : String(thesis.content || "")
+}
+
+Return a single JSON object:
+
+{ "fitAssessment": ${FIT_ASSESSMENT_SCHEMA} }
+
+Output valid JSON only.`;
+
+  const completion = await perplexity.chat.completions.create(
+    {
+      model: "sonar-pro",
+      messages: [
+        {
+          role: "user",
+          content: [{ type: "text", text: fitPrompt }],
+        },
+      ],
+    },
+    REQUEST_OPTIONS
+  );
+
+  const parsed = tryParseJson(completion.choices[0].message.content);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return {
+      overallFit: "UNKNOWN",
+      rationale: "Fit assessment could not be parsed. Try again later.",
+      parseError: true,
+    };
+  }
+  return parsed.fitAssessment || parsed;
+}
+
+module.exports = { FIT_ASSESSMENT_SCHEMA, assessThesisFit };
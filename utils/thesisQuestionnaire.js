@@ -0,0 +1,221 @@
+const { toThesisProfile } = require("./helpers");
+
+// Guided questionnaire for creating a thesis without a document.
+// Each question fills one Thesis.profile field; nested fields use dot paths.
+const THESIS_QUESTIONNAIRE = [
+  {
+    field: "firmSummary",
+    type: "text",
+    required: true,
+    question:
+      "Describe your firm's investment focus and philosophy in 2-3 sentences.",
+  },
+  {
+    field: "investmentObjectives",
+    type: "text",
+    question: "What are the firm's primary investment goals?",
+  },
+  {
+    field: "targetSectors",
+    type: "list",
+    required: true,
+    question: "Which sectors or industries do you invest in?",
+  },
+  {
+    field: "stages",
+    type: "list",
+    required: true,
+    question: "Which stages do you invest at (e.g. Seed, Series A)?",
+  },
+  {
+    field: "geographies",
+    type: "list",
+    question: "Which regions or countries do you invest in?",
+  },
+  {
+    field: "checkSize",
+    type: "checkSize",
+    question: "What is your typical check size (minimum, maximum, currency)?",
+  },
+  {
+    field: "ownershipTargets",
+    type: "text",
+    question: "What ownership do you target at entry?",
+  },
+  {
+    field: "timeHorizon",
+    type: "text",
+    question: "How long do you typically hold an investment?",
+  },
+  {
+    field: "returnTargets",
+    type: "text",
+    question: "What return multiple or IRR do you target?",
+  },
+  {
+    field: "riskTolerance",
+    type: "text",
+    question: "How much risk is the firm willing to take?",
+  },
+  {
+    field: "constraints",
+    type: "list",
+    question: "Which constraints apply to your investments (e.g. fund terms)?",
+  },
+  {
+    field: "exclusions",
+    type: "list",
+    question: "Which sectors, stages or deal types do you never invest in?",
+  },
+  {
+    field: "esgPolicy",
+    type: "text",
+    question: "What is the firm's ESG policy?",
+  },
+  {
+    field: "diligenceFramework.criteria",
+    type: "list",
+    question: "Which criteria do you assess during due diligence?",
+  },
+  {
+    field: "diligenceFramework.redFlags",
+    type: "list",
+    question: "Which red flags are deal breakers?",
+  },
+  {
+    field: "sourcingStrategy",
+    type: "list",
+    question: "How and where do you source deals?",
+  },
+  {
+    field: "portfolioConstruction",
+    type: "text",
+    question: "How do you construct the portfolio and reserve follow-ons?",
+  },
+  {
+    field: "governancePreferences",
+    type: "text",
+    question: "Do you take board seats or other governance rights?",
+  },
+  {
+    field: "valueCreationPlan",
+    type: "text",
+    question: "How do you support portfolio companies after investing?",
+  },
+  {
+    field: "decisionProcess",
+    type: "text",
+    question: "How are investment decisions made and approved?",
+  },
+  {
+    field: "exampleDeals",
+    type: "list",
+    question: "Which past deals best represent the thesis?",
+  },
+];
+
+const QUESTIONS_BY_FIELD = new Map(
+  THESIS_QUESTIONNAIRE.map((question) => [question.field, question])
+);
+
+// List answers may be arrays or comma/newline separated strings
+function toList(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return entries.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+function isAnswered(question, value) {
+  if (value === undefined || value === null) return false;
+  if (question.type === "list") return toList(value).length > 0;
+  if (question.type === "checkSize") {
+    return ["min", "max"].some((key) => String(value[key] ?? "").trim());
+  }
+  return String(value).trim() !== "";
+}
+
+/**
+ * Validate questionnaire answers keyed by profile field
+ * @param {Object} answers - { [field]: answer }
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateQuestionnaireAnswers(answers) {
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return ["Answers must be an object keyed by profile field"];
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries(answers)) {
+    const question = QUESTIONS_BY_FIELD.get(field);
+    if (!question) {
+      errors.push(`Unknown questionnaire field: ${field}`);
+    } else if (question.type === "checkSize") {
+      if (
+        value !== null &&
+        (typeof value !== "object" || Array.isArray(value))
+      ) {
+        errors.push(`${field} must be an object with min, max and currency`);
+      }
+    } else if (
+      value !== null &&
+      typeof value === "object" &&
+      !(question.type === "list" && Array.isArray(value))
+    ) {
+      errors.push(
+        `${field} must be ${question.type === "list" ? "a list" : "text"}`
+      );
+    }
+  }
+
+  for (const question of THESIS_QUESTIONNAIRE) {
+    if (question.required && !isAnswered(question, answers[question.field])) {
+      errors.push(`${question.field} is required`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Build a Thesis.profile from validated questionnaire answers.
+ * Unanswered questions become the profile's openQuestions.
+ * @param {Object} answers - { [field]: answer }
+ * @returns {Object} Thesis profile
+ */
+function questionnaireToProfile(answers) {
+  const profile = { diligenceFramework: {}, openQuestions: [] };
+
+  for (const question of THESIS_QUESTIONNAIRE) {
+    const value = answers[question.field];
+    if (!isAnswered(question, value)) {
+      profile.openQuestions.push(question.question);
+      continue;
+    }
+
+    let answer;
+    if (question.type === "list") {
+      answer = toList(value);
+    } else if (question.type === "checkSize") {
+      answer = {
+        min: value.min != null ? String(value.min).trim() : null,
+        max: value.max != null ? String(value.max).trim() : null,
+        currency: value.currency ? String(value.currency).trim() : null,
+      };
+    } else {
+      answer = String(value).trim();
+    }
+
+    const [key, nestedKey] = question.field.split(".");
+    if (nestedKey) {
+      profile[key][nestedKey] = answer;
+    } else {
+      profile[key] = answer;
+    }
+  }
+
+  return toThesisProfile(profile);
+}
+
+module.exports = {
+  THESIS_QUESTIONNAIRE,
+  validateQuestionnaireAnswers,
+  questionnaireToProfile,
+};
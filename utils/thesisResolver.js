@@ -0,0 +1,60 @@
+const Thesis = require("../models/Thesis");
+const Fund = require("../models/Fund");
+const Organization = require("../models/Organization");
+
+async function findActiveThesis(thesisId, organizationId) {
+  if (!thesisId) return null;
+  return Thesis.findOne({
+    _id: thesisId,
+    organization: organizationId,
+    isActive: true,
+  }).lean();
+}
+
+/**
+ * Organization's default thesis, or its oldest active thesis for organizations
+ * that never chose one (a stable pick: editing a thesis doesn't change it)
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object|null>} Lean thesis
+ */
+async function resolveDefaultThesis(organizationId) {
+  const organization = await Organization.findById(organizationId)
+    .select("defaultThesis")
+    .lean();
+  const defaultThesis = await findActiveThesis(
+    organization?.defaultThesis,
+    organizationId
+  );
+  if (defaultThesis) return defaultThesis;
+
+  return Thesis.findOne({ organization: organizationId, isActive: true })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+}
+
+/**
+ * Thesis a pitch deck is assessed against: its fund's thesis, else the organization default
+ * @param {Object} pitchDeck - Pitch deck (document or lean) with organization and fund
+ * @returns {Promise<Object|null>} Lean thesis
+ */
+async function resolveDeckThesis(pitchDeck) {
+  if (pitchDeck.fund) {
+    const fund = await Fund.findOne({
+      _id: pitchDeck.fund,
+      organization: pitchDeck.organization,
+      isActive: true,
+    }).lean();
+    const fundThesis = await findActiveThesis(
+      fund?.thesis,
+      pitchDeck.organization
+    );
+    if (fundThesis) return fundThesis;
+  }
+
+  return resolveDefaultThesis(pitchDeck.organization);
+}
+
+module.exports = {
+  resolveDefaultThesis,
+  resolveDeckThesis,
+};
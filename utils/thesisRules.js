@@ -0,0 +1,478 @@
+// Deterministic thesis-fit rules: compare a deck's extracted deal attributes
+// (analysis.dealAttributes) with Thesis.profile. Unlike the AI fitAssessment the
+// result only changes when the deck attributes or the thesis change.
+
+// Bump when rule logic changes so stored results can be told apart
+const RULES_VERSION = 3;
+
+const STAGE_ORDER = [
+  "pre-seed",
+  "seed",
+  "series a",
+  "series b",
+  "series c",
+  "series d",
+  "growth",
+];
+const STAGE_PATTERN =
+  /pre[\s-]?seed|seed|series\s+([a-z])\b|growth|late[\s-]stage/g;
+const STAGE_RANGE_SEPARATOR = /\s(?:to|through|-|–)\s/;
+
+// Exclusions are free text: "Gambling, tobacco and weapons", "Companies headquartered
+// outside Europe". What follows "outside", "except", "non-" etc. is still allowed.
+const EXCLUSION_NEGATION =
+  /(?:^|\s)(?:outside|except|other than|apart from|unless|not|non)(?:\s|-|$).*$/;
+const EXCLUSION_TERM_SEPARATOR = /\s*(?:[,;/&]|\band\b|\bor\b|\bnor\b)\s*/;
+const EXCLUSION_FILLER = /^(?:no|any|all|exclude|excludes|excluding)\s+/;
+
+const MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  million: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9,
+};
+const CURRENCY_SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP" };
+const CURRENCY_CODES = ["USD", "EUR", "GBP", "CHF", "CAD", "AUD", "INR", "SGD"];
+
+// Words too generic to link two sector or risk descriptions
+const STOPWORDS = new Set([
+  "and",
+  "the",
+  "for",
+  "with",
+  "without",
+  "other",
+  "related",
+  "company",
+  "companies",
+  "startup",
+  "startups",
+  "business",
+  "businesses",
+  "focused",
+  "based",
+  "tech",
+  "technology",
+  "technologies",
+  "deals",
+  "lack",
+]);
+
+function normalize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}%.\s-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter((entry) => normalize(entry));
+  return normalize(value) && normalize(value) !== "unknown" ? [value] : [];
+}
+
+function significantWords(text) {
+  return normalize(text)
+    .split(/[\s-]+/)
+    .filter((word) => word.length >= 4 && !STOPWORDS.has(word));
+}
+
+// Two descriptions match when one contains the other or they share a significant word
+function termsMatch(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (!left || !right) return false;
+  if (left.includes(right) || right.includes(left)) return true;
+  const words = new Set(significantWords(left));
+  return significantWords(right).some((word) => words.has(word));
+}
+
+function containsPhrase(text, phrase) {
+  const escaped = normalize(phrase).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return (
+    escaped.length >= 3 &&
+    new RegExp(`(^|[^\\p{L}\\p{N}-])${escaped}($|[^\\p{L}\\p{N}-])`, "u").test(
+      normalize(text)
+    )
+  );
+}
+
+// Canonical stages named in a text; "Seed to Series B" expands to the stages in between
+function stagesIn(text) {
+  const normalized = normalize(text);
+  const found = [...normalized.matchAll(STAGE_PATTERN)].map((match) => {
+    if (match[1]) return `series ${match[1]}`;
+    if (/pre/.test(match[0])) return "pre-seed";
+    if (/growth|late/.test(match[0])) return "growth";
+    return "seed";
+  });
+
+  if (found.length === 2 && STAGE_RANGE_SEPARATOR.test(normalized)) {
+    const from = STAGE_ORDER.indexOf(found[0]);
+    const to = STAGE_ORDER.indexOf(found[1]);
+    if (from !== -1 && to > from) return STAGE_ORDER.slice(from, to + 1);
+  }
+  return found;
+}
+
+// "$1.5M", "500k", "2 million", "$1,000,000", "USD 1,500,000", 250000 -> number;
+// null if no amount is given. Thousands separators go before normalize() drops commas.
+function parseAmount(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = normalize(
+    String(value ?? "").replace(/(\d),(?=\d{3})/g, "$1")
+  ).match(/(\d+(?:\.\d+)?)\s*(k|mm|m|bn|b|thousand|million|billion)?\b/);
+  if (!match) return null;
+  return Number(match[1]) * (MULTIPLIERS[match[2]] || 1);
+}
+
+function parseCurrency(...values) {
+  for (const value of values) {
+    if (!value) continue;
+    const text = String(value);
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find((s) => text.includes(s));
+    if (symbol) return CURRENCY_SYMBOLS[symbol];
+    const code = CURRENCY_CODES.find((c) => text.toUpperCase().includes(c));
+    if (code) return code;
+  }
+  return null;
+}
+
+// "10-15%" -> [10, 15], "at least 8%" -> [8]
+function parsePercentages(value) {
+  if (typeof value === "number") return [value];
+  return [
+    ...String(value ?? "").matchAll(
+      /(\d+(?:\.\d+)?)\s*%?\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*%|(\d+(?:\.\d+)?)\s*%/g
+    ),
+  ].flatMap((match) =>
+    match[3] ? [Number(match[3])] : [Number(match[1]), Number(match[2])]
+  );
+}
+
+function formatAmount(amount, currency) {
+  return `${currency ? `${currency} ` : ""}${amount.toLocaleString("en-US")}`;
+}
+
+function criterion(name, result, { expected, actual, reason }) {
+  return { criterion: name, result, expected, actual, reason };
+}
+
+function evaluateSector(profile, deal) {
+  const expected = toList(profile.targetSectors);
+  if (!expected.length) return null;
+  const actual = [...toList(deal.sectors), ...toList(deal.keywords)];
+  if (!actual.length) {
+    return criterion("sector", "unknown", {
+      expected,
+      actual,
+      reason: "The deck's sector is unknown",
+    });
+  }
+  const matches = expected.filter((sector) =>
+    actual.some((term) => termsMatch(sector, term))
+  );
+  return criterion("sector", matches.length ? "pass" : "fail", {
+    expected,
+    actual,
+    reason: matches.length
+      ? `Matches target sector: ${matches.join(", ")}`
+      : "No target sector matches the deck's sectors",
+  });
+}
+
+function evaluateStage(profile, deal) {
+  const expected = toList(profile.stages);
+  const targetStages = new Set(expected.flatMap(stagesIn));
+  if (!targetStages.size) return null;
+  const actual = toList(deal.stage);
+  const dealStages = actual.flatMap(stagesIn);
+  if (!dealStages.length) {
+    return criterion("stage", "unknown", {
+      expected,
+      actual,
+      reason: "The deck's funding stage is unknown",
+    });
+  }
+  const matches = dealStages.filter((stage) => targetStages.has(stage));
+  return criterion("stage", matches.length ? "pass" : "fail", {
+    expected,
+    actual,
+    reason: matches.length
+      ? `Round stage ${matches.join(", ")} is a target stage`
+      : `Round stage ${dealStages.join(", ")} is not a target stage`,
+  });
+}
+
+function evaluateGeography(profile, deal) {
+  const expected = toList(profile.geographies);
+  if (!expected.length) return null;
+  const actual = toList(deal.geography);
+  if (expected.some((region) => /global|worldwide/.test(normalize(region)))) {
+    return criterion("geography", "pass", {
+      expected,
+      actual,
+      reason: "The thesis invests globally",
+    });
+  }
+  if (!actual.length) {
+    return criterion("geography", "unknown", {
+      expected,
+      actual,
+      reason: "The deck's geography is unknown",
+    });
+  }
+  const matches = expected.filter((region) =>
+    actual.some((place) => termsMatch(region, place))
+  );
+  return criterion("geography", matches.length ? "pass" : "fail", {
+    expected,
+    actual,
+    reason: matches.length
+      ? `Located in target geography: ${matches.join(", ")}`
+      : "The deck's location is outside the target geographies",
+  });
+}
+
+// The round must be large enough to take the firm's minimum check
+function evaluateCheckSize(profile, deal) {
+  const checkSize = profile.checkSize || {};
+  const min = parseAmount(checkSize.min);
+  const max = parseAmount(checkSize.max);
+  if (min === null && max === null) return null;
+
+  const expected = checkSize;
+  const actual = deal.raiseAmount || null;
+  const amount = parseAmount(actual?.amount ?? actual);
+  if (amount === null) {
+    return criterion("checkSize", "unknown", {
+      expected,
+      actual,
+      reason: "The round size is unknown",
+    });
+  }
+
+  const thesisCurrency = parseCurrency(
+    checkSize.currency,
+    checkSize.min,
+    checkSize.max
+  );
+  const dealCurrency = parseCurrency(actual?.currency, actual?.amount, actual);
+  if (thesisCurrency && dealCurrency && thesisCurrency !== dealCurrency) {
+    return criterion("checkSize", "unknown", {
+      expected,
+      actual,
+      reason: `Round is in ${dealCurrency}, checks are in ${thesisCurrency}`,
+    });
+  }
+
+  if (min !== null && amount < min) {
+    return criterion("checkSize", "fail", {
+      expected,
+      actual,
+      reason: `Round of ${formatAmount(
+        amount,
+        dealCurrency
+      )} is below the minimum check of ${formatAmount(min, thesisCurrency)}`,
+    });
+  }
+  return criterion("checkSize", "pass", {
+    expected,
+    actual,
+    reason: `Round of ${formatAmount(
+      amount,
+      dealCurrency
+    )} can take a check within the thesis range`,
+  });
+}
+
+// The equity offered in the round must reach the minimum ownership target
+function evaluateOwnership(profile, deal) {
+  const targets = parsePercentages(profile.ownershipTargets);
+  if (!targets.length) return null;
+  const expected = profile.ownershipTargets;
+  const actual = deal.ownershipOffered ?? null;
+  const [offered] = parsePercentages(
+    typeof actual === "string" && !actual.includes("%") ? `${actual}%` : actual
+  );
+  if (offered === undefined) {
+    return criterion("ownership", "unknown", {
+      expected,
+      actual,
+      reason: "The equity offered in the round is unknown",
+    });
+  }
+  const minimum = Math.min(...targets);
+  return criterion("ownership", offered >= minimum ? "pass" : "fail", {
+    expected,
+    actual,
+    reason:
+      offered >= minimum
+        ? `Round offers ${offered}% equity, enough for the ${minimum}% target`
+        : `Round offers ${offered}% equity, below the ${minimum}% target`,
+  });
+}
+
+// The excluded part of an exclusion as a whole and split into its listed terms
+function parseExclusion(exclusion) {
+  const excluded = String(exclusion)
+    .toLowerCase()
+    .replace(EXCLUSION_NEGATION, "");
+  return {
+    text: normalize(excluded),
+    terms: excluded
+      .split(EXCLUSION_TERM_SEPARATOR)
+      .map((term) => normalize(term).replace(EXCLUSION_FILLER, ""))
+      .filter(Boolean),
+  };
+}
+
+// A deck value equal to an excluded term, or an excluded stage, fails. A value that only
+// overlaps a longer description ("tech" and "Hardware and deep tech") warns for review.
+function evaluateExclusions(profile, deal) {
+  const expected = toList(profile.exclusions);
+  if (!expected.length) return null;
+  const values = [
+    ...toList(deal.sectors),
+    ...toList(deal.keywords),
+    ...toList(deal.geography),
+  ].map(normalize);
+  const dealStages = toList(deal.stage).flatMap(stagesIn);
+  const actual = [
+    ...toList(deal.sectors),
+    ...toList(deal.keywords),
+    ...toList(deal.geography),
+    ...toList(deal.stage),
+  ];
+  if (!actual.length) {
+    return criterion("exclusions", "unknown", {
+      expected,
+      actual,
+      reason: "The deck's attributes are unknown",
+    });
+  }
+
+  const violated = [];
+  const possible = [];
+  for (const exclusion of expected) {
+    const { text, terms } = parseExclusion(exclusion);
+    if (
+      values.some((value) => value === text || terms.includes(value)) ||
+      stagesIn(text).some((stage) => dealStages.includes(stage))
+    ) {
+      violated.push(exclusion);
+    } else if (
+      values.some(
+        (value) =>
+          containsPhrase(text, value) ||
+          terms.some((term) => containsPhrase(value, term))
+      )
+    ) {
+      possible.push(exclusion);
+    }
+  }
+
+  if (violated.length) {
+    return criterion("exclusions", "fail", {
+      expected,
+      actual,
+      reason: `Excluded by: ${violated.join("; ")}`,
+    });
+  }
+  return criterion("exclusions", possible.length ? "warn" : "pass", {
+    expected,
+    actual,
+    reason: possible.length
+      ? `Possibly excluded by: ${possible.join("; ")}; needs review`
+      : "No exclusion applies",
+  });
+}
+
+// A red flag matches a deck risk sharing at least two significant words (one for single-word flags)
+function evaluateRedFlags(profile, analysis) {
+  const expected = toList(profile.diligenceFramework?.redFlags);
+  if (!expected.length) return null;
+  const actual = toList(analysis.risks);
+  if (!actual.length) {
+    return criterion("redFlags", "unknown", {
+      expected,
+      actual,
+      reason: "The deck analysis lists no risks",
+    });
+  }
+  const raised = expected.filter((flag) => {
+    const flagWords = new Set(significantWords(flag));
+    const needed = Math.min(2, flagWords.size);
+    return (
+      needed > 0 &&
+      actual.some(
+        (risk) =>
+          new Set(significantWords(risk).filter((word) => flagWords.has(word)))
+            .size >= needed
+      )
+    );
+  });
+  return criterion("redFlags", raised.length ? "fail" : "pass", {
+    expected,
+    actual,
+    reason: raised.length
+      ? `Deck risks match red flags: ${raised.join("; ")}`
+      : "No deck risk matches a red flag",
+  });
+}
+
+/**
+ * Evaluate a deck analysis against a thesis with deterministic rules
+ * @param {Object} analysis - PitchDeck.analysis (dealAttributes, risks)
+ * @param {Object} thesis - Thesis with profile, _id and version
+ * @returns {Object|null} { rulesVersion, thesis, thesisVersion, verdict, score, counts, criteria, evaluatedAt };
+ *   null without a thesis profile. Criteria the thesis doesn't define are left out.
+ */
+function evaluateThesisRules(analysis, thesis) {
+  if (!thesis?.profile) return null;
+  const profile = thesis.profile.toObject?.() || thesis.profile;
+  const deal = analysis?.dealAttributes || {};
+
+  const criteria = [
+    evaluateSector(profile, deal),
+    evaluateStage(profile, deal),
+    evaluateGeography(profile, deal),
+    evaluateCheckSize(profile, deal),
+    evaluateOwnership(profile, deal),
+    evaluateExclusions(profile, deal),
+    evaluateRedFlags(profile, analysis || {}),
+  ].filter(Boolean);
+
+  // "warn" (a possible exclusion) keeps the verdict from PASS without failing it
+  const counts = { pass: 0, warn: 0, fail: 0, unknown: 0 };
+  for (const item of criteria) counts[item.result] += 1;
+
+  let verdict = "INCOMPLETE";
+  if (counts.fail > 0) verdict = "FAIL";
+  else if (criteria.length > 0 && counts.pass === criteria.length) {
+    verdict = "PASS";
+  }
+
+  return {
+    rulesVersion: RULES_VERSION,
+    thesis: thesis._id,
+    thesisVersion: thesis.version,
+    verdict,
+    // Share of criteria passed; unknown and warn criteria count against the score
+    score: criteria.length
+      ? Math.round((counts.pass / criteria.length) * 100)
+      : null,
+    counts,
+    criteria,
+    evaluatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  RULES_VERSION,
+  evaluateThesisRules,
+};
@@ -0,0 +1,153 @@
+const ThesisVersion = require("../models/ThesisVersion");
+const { getPath, diffLists } = require("./helpers");
+
+// Thesis.profile fields compared by the version diff
+const LIST_FIELDS = [
+  "targetSectors",
+  "stages",
+  "geographies",
+  "constraints",
+  "exclusions",
+  "diligenceFramework.criteria",
+  "diligenceFramework.redFlags",
+  "sourcingStrategy",
+  "exampleDeals",
+  "openQuestions",
+];
+const VALUE_FIELDS = [
+  "firmSummary",
+  "investmentObjectives",
+  "checkSize.min",
+  "checkSize.max",
+  "checkSize.currency",
+  "ownershipTargets",
+  "timeHorizon",
+  "returnTargets",
+  "riskTolerance",
+  "esgPolicy",
+  "portfolioConstruction",
+  "governancePreferences",
+  "valueCreationPlan",
+  "decisionProcess",
+  "confidenceScore",
+  "extras",
+];
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (typeof value === "object" && Object.keys(value).length === 0)
+  );
+}
+
+/**
+ * Field-level diff between two thesis profiles
+ * @param {Object} fromProfile - Older profile
+ * @param {Object} toProfile - Newer profile
+ * @returns {Object[]} [{ field, type: "list", added, removed }] or [{ field, type: "value", from, to }]
+ */
+function diffThesisProfiles(fromProfile = {}, toProfile = {}) {
+  const changes = [];
+
+  for (const field of LIST_FIELDS) {
+    const { added, removed } = diffLists(
+      getPath(fromProfile, field) || [],
+      getPath(toProfile, field) || []
+    );
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ field, type: "list", added, removed });
+    }
+  }
+
+  for (const field of VALUE_FIELDS) {
+    const before = getPath(fromProfile, field);
+    const after = getPath(toProfile, field);
+    if (isBlank(before) && isBlank(after)) continue;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({
+        field,
+        type: "value",
+        from: before ?? null,
+        to: after ?? null,
+      });
+    }
+  }
+
+  return changes;
+}
+
+// Version-relevant fields of a thesis or snapshot as a plain object
+function toVersionView(source, extra = {}) {
+  return {
+    version: source.version,
+    title: source.title,
+    content: source.content,
+    profile: source.profile || {},
+    rawContent: source.rawContent,
+    ...extra,
+  };
+}
+
+/**
+ * Archive the current state of a thesis before it changes
+ * @param {Object} thesis - Thesis document
+ * @returns {Promise<Object>} ThesisVersion document
+ */
+async function snapshotThesis(thesis) {
+  const current = thesis.toObject();
+  // Idempotent per version, e.g. when an update fails after the snapshot was taken
+  return ThesisVersion.findOneAndUpdate(
+    { thesis: thesis._id, version: thesis.version },
+    {
+      $setOnInsert: {
+        organization: thesis.organization,
+        title: current.title,
+        content: current.content,
+        profile: current.profile,
+        rawContent: current.rawContent,
+        author: thesis.lastModifiedBy || thesis.createdBy,
+        reason: thesis.changeReason,
+        versionCreatedAt: thesis.versionCreatedAt || thesis.createdAt,
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Load a version of a thesis: the thesis itself for its current version, else a snapshot
+ * @param {Object} thesis - Thesis document
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Plain version view
+ */
+async function getThesisVersion(thesis, version) {
+  if (version === thesis.version) {
+    return toVersionView(thesis.toObject(), {
+      author: thesis.lastModifiedBy || thesis.createdBy,
+      reason: thesis.changeReason,
+      versionCreatedAt: thesis.versionCreatedAt || thesis.createdAt,
+      current: true,
+    });
+  }
+
+  const snapshot = await ThesisVersion.findOne({
+    thesis: thesis._id,
+    version,
+  }).lean();
+  return snapshot
+    ? toVersionView(snapshot, {
+        author: snapshot.author,
+        reason: snapshot.reason,
+        versionCreatedAt: snapshot.versionCreatedAt,
+        current: false,
+      })
+    : null;
+}
+
+module.exports = {
+  diffThesisProfiles,
+  snapshotThesis,
+  getThesisVersion,
+};